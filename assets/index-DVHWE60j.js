@@ -41,7 +41,7 @@ document.head.appendChild(inlineStyle);
 
 await loadScript("https://unpkg.com/stats.js@0.17.0/build/stats.min.js");
 await loadScript("https://unpkg.com/dat.gui@0.7.9/build/dat.gui.min.js");
-await import("../main.js?v=20260309i");
+await import("../main.js?v=20261020o");
 
 function loadScript(src) {
   return new Promise((resolve, reject) => {
@@ -1,14 +1,34 @@
 import { mat4, vec3 } from 'https://unpkg.com/wgpu-matrix@3.4.0/dist/3.x/wgpu-matrix.module.js'
-import { renderUniformsValues, renderUniformsViews } from './common.js?v=20260310p'
+import { renderUniformsValues, renderUniformsViews } from './common.js?v=20261019c'
+import { InputMap, PointerGestures } from './input.js?v=20261019x'
+
+export const cameraProjections = ['perspective', 'orthographic']
+
+// Orbit angles for the preset views. Front looks down +z from the open end, away
+// from the piston wall; side looks down +x so z grows to the right; isometric
+// sits on the box diagonal.
+export const cameraViews = {
+    front: { xTheta: Math.PI, yTheta: 0 },
+    side: { xTheta: -Math.PI / 2, yTheta: 0 },
+    top: { xTheta: Math.PI, yTheta: -Math.PI / 2 },
+    isometric: { xTheta: Math.PI + Math.PI / 4, yTheta: -Math.atan(1 / Math.SQRT2) },
+}
+
+// Room left around a framed box, as a fraction of its size on screen.
+const FRAME_MARGIN = 1.1
+const NEAR_PLANE = 0.1
+const FAR_PLANE = 50000
 
 export class Camera {
     constructor (canvasElement) {
         this.mode = 'orbit'
 
         this.isDragging = false
-        this.prevX = 0
-        this.prevY = 0
         this.fov = 0
+        this.aspect = 1
+        this.projection = 'perspective'
+        // Half the view height in world units while orthographic.
+        this.orthoScale = 1
 
         this.currentXtheta = 0
         this.currentYtheta = 0
@@ -31,56 +51,26 @@ export class Camera {
         this.moveSpeed = 80.0
         this.fastMoveSpeed = 320.0
         this.dirty = true
-
-        this.keys = {
-            forward: false,
-            backward: false,
-            left: false,
-            right: false,
-            up: false,
-            down: false,
-            fast: false
-        }
-
-        canvasElement.addEventListener("mousedown", (event) => {
-            event.preventDefault();
-            this.isDragging = true;
-            this.prevX = event.clientX;
-            this.prevY = event.clientY;
-            if (this.mode === 'coolcal') {
-                canvasElement.requestPointerLock();
-            }
-        });
-
-        canvasElement.addEventListener("wheel", (event) => {
-            event.preventDefault();
-            const scrollDelta = event.deltaY;
-
-            if (this.mode === 'orbit') {
-                this.currentDistance += ((scrollDelta > 0) ? 1 : -1) * this.zoomRate;
-                if (this.currentDistance < this.minDistance) this.currentDistance = this.minDistance;
-                this.recalculateView();
-            } else {
-                const moveDirection = vec3.scale(this.forward, -scrollDelta * 0.1);
-                this.position = vec3.add(this.position, moveDirection);
-                this.recalculateView();
-            }
-        }, { passive: false });
-
-        canvasElement.addEventListener("mousemove", (event) => {
-            if (this.isDragging) {
-                let deltaX, deltaY;
-
+        // Optional (event) => boolean; a pointerdown it returns true for is left to another tool.
+        this.ignoreMouseDown = null
+
+        this.lookSpeed = 2.5
+        this.input = new InputMap()
+        this.input.capturesKeys = () => this.mode === 'coolcal'
+
+        this.gestures = new PointerGestures(canvasElement, this.input, {
+            ignore: (event) => this.ignoreMouseDown !== null && this.ignoreMouseDown(event),
+            useSticks: () => this.mode === 'coolcal',
+            dragStart: (event) => {
+                this.isDragging = true;
+                if (this.mode === 'coolcal' && event.pointerType === 'mouse') {
+                    canvasElement.requestPointerLock();
+                }
+            },
+            drag: (event, deltaX, deltaY) => {
                 if (this.mode === 'coolcal' && document.pointerLockElement === canvasElement) {
                     deltaX = event.movementX;
                     deltaY = event.movementY;
-                } else {
-                    const currentX = event.clientX;
-                    const currentY = event.clientY;
-                    deltaX = this.prevX - currentX;
-                    deltaY = this.prevY - currentY;
-                    this.prevX = currentX;
-                    this.prevY = currentY;
                 }
 
                 if (this.mode === 'orbit') {
@@ -96,86 +86,47 @@ export class Camera {
                     this.updateVectors();
                     this.recalculateView();
                 }
-            }
-        });
-
-        canvasElement.addEventListener("mouseup", (event) => {
-            this.isDragging = false;
-            if (this.mode === 'coolcal' && document.pointerLockElement === canvasElement) {
-                document.exitPointerLock();
-            }
+            },
+            dragEnd: () => {
+                this.isDragging = false;
+                if (document.pointerLockElement === canvasElement) {
+                    document.exitPointerLock();
+                }
+            },
+            pinch: (ratio) => {
+                if (this.projection === 'orthographic') {
+                    this.setOrthoScale(this.orthoScale * ratio);
+                    return;
+                }
+                if (this.mode !== 'orbit') return;
+                this.currentDistance = Math.max(this.minDistance, this.currentDistance * ratio);
+                this.recalculateView();
+            },
+            pan: (deltaX, deltaY) => {
+                if (this.mode !== 'orbit') return;
+                this.panTarget(deltaX, deltaY, canvasElement.clientHeight);
+            },
         });
 
-        canvasElement.addEventListener("contextmenu", (event) => {
+        canvasElement.addEventListener("wheel", (event) => {
             event.preventDefault();
-        });
-
-        document.addEventListener("keydown", (event) => {
-            if (this.mode !== 'coolcal') return;
-
-            if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyS', 'KeyA', 'KeyD', 'Space', 'ShiftLeft', 'KeyC', 'ControlLeft'].includes(event.code)) {
-                event.preventDefault();
-            }
+            const scrollDelta = event.deltaY;
 
-            switch(event.code) {
-                case 'ArrowUp':
-                case 'KeyW':
-                    this.keys.forward = true;
-                    break;
-                case 'ArrowDown':
-                case 'KeyS':
-                    this.keys.backward = true;
-                    break;
-                case 'ArrowLeft':
-                case 'KeyA':
-                    this.keys.right = true;
-                    break;
-                case 'ArrowRight':
-                case 'KeyD':
-                    this.keys.left = true;
-                    break;
-                case 'Space':
-                    this.keys.up = true;
-                    break;
-                case 'ShiftLeft':
-                case 'KeyC':
-                    this.keys.down = true;
-                    break;
-                case 'ControlLeft':
-                    this.keys.fast = true;
-                    break;
+            if (this.projection === 'orthographic') {
+                this.setOrthoScale(this.orthoScale * (scrollDelta > 0 ? 1.1 : 1 / 1.1));
+            } else if (this.mode === 'orbit') {
+                this.currentDistance += ((scrollDelta > 0) ? 1 : -1) * this.zoomRate;
+                if (this.currentDistance < this.minDistance) this.currentDistance = this.minDistance;
+                this.recalculateView();
+            } else {
+                const moveDirection = vec3.scale(this.forward, -scrollDelta * 0.1);
+                this.position = vec3.add(this.position, moveDirection);
+                this.recalculateView();
             }
-        });
+        }, { passive: false });
 
-        document.addEventListener("keyup", (event) => {
-            switch(event.code) {
-                case 'ArrowUp':
-                case 'KeyW':
-                    this.keys.forward = false;
-                    break;
-                case 'ArrowDown':
-                case 'KeyS':
-                    this.keys.backward = false;
-                    break;
-                case 'ArrowLeft':
-                case 'KeyA':
-                    this.keys.right = false;
-                    break;
-                case 'ArrowRight':
-                case 'KeyD':
-                    this.keys.left = false;
-                    break;
-                case 'Space':
-                    this.keys.up = false;
-                    break;
-                case 'ShiftLeft':
-                case 'KeyC':
-                    this.keys.down = false;
-                    break;
-                case 'ControlLeft':
-                    this.keys.fast = false;
-                    break;
-            }
+        canvasElement.addEventListener("contextmenu", (event) => {
+            event.preventDefault();
         });
     }
 
@@ -191,10 +142,12 @@ export class Camera {
         this.currentXtheta = 0.75 + Math.PI;
         this.currentYtheta = -Math.PI / 9;
         this.maxYTheta = 0;
-        this.minYTheta = -0.99 * Math.PI / 2;
+        // Straight down is allowed; the orbit view matrix does not depend on an up vector.
+        this.minYTheta = -Math.PI / 2;
         this.orbitSensitivity = 0.005;
         this.currentDistance = initDistance;
         this.minDistance = 0.1 * initDistance;
+        this.orthoScale = initDistance * Math.tan(fov / 2);
 
         var mat = mat4.identity();
         mat4.translate(mat, target, mat);
@@ -212,10 +165,109 @@ export class Camera {
         this.pitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, this.pitch));
         this.updateVectors();
 
-        const aspect = canvasElement.clientWidth / canvasElement.clientHeight;
-        const projection = mat4.perspective(fov, aspect, 0.1, 50000);
+        this.setAspect(canvasElement.clientWidth / canvasElement.clientHeight);
+        this.recalculateView();
+    }
+
+    setAspect(aspect) {
+        this.aspect = aspect;
+        this.updateProjection();
+    }
+
+    // Switching to orthographic keeps what is at the orbit target the same size on screen.
+    setProjection(projection) {
+        if (projection === 'orthographic' && this.projection !== projection) {
+            this.orthoScale = this.currentDistance * Math.tan(this.fov / 2);
+        }
+        this.projection = projection;
+        this.updateProjection();
+    }
+
+    setOrthoScale(scale) {
+        this.orthoScale = Math.max(scale, 0.5);
+        this.updateProjection();
+    }
+
+    updateProjection() {
+        const halfHeight = this.orthoScale;
+        const halfWidth = halfHeight * this.aspect;
+        const projection = this.projection === 'orthographic'
+            ? mat4.ortho(-halfWidth, halfWidth, -halfHeight, halfHeight, NEAR_PLANE, FAR_PLANE)
+            : mat4.perspective(this.fov, this.aspect, NEAR_PLANE, FAR_PLANE);
         renderUniformsViews.projection_matrix.set(projection);
         renderUniformsViews.inv_projection_matrix.set(mat4.inverse(projection));
+        this.dirty = true;
+    }
+
+    // World units per CSS pixel of a view `viewHeight` pixels tall; orthographic only.
+    unitsPerPixel(viewHeight) {
+        return 2 * this.orthoScale / Math.max(viewHeight, 1);
+    }
+
+    /**
+     * Orbits to one of `cameraViews` around the box from `boxMin` to
+     * `boxMax` (render coordinates) and sets the distance and orthographic
+     * scale so the whole box fits on screen.
+     */
+    frameBox(view, boxMin, boxMax) {
+        const { xTheta, yTheta } = cameraViews[view];
+        const center = boxMin.map((value, axis) => (value + boxMax[axis]) / 2);
+        const rotation = mat4.rotateX(mat4.rotationY(xTheta), yTheta);
+        const axes = [0, 1, 2].map((column) => vec3.normalize([
+            rotation[column * 4], rotation[column * 4 + 1], rotation[column * 4 + 2],
+        ]));
+        const halfExtents = [0, 0, 0];
+        for (let corner = 0; corner < 8; corner++) {
+            const offset = [0, 1, 2].map((axis) =>
+                ((corner >> axis) & 1 ? boxMax[axis] : boxMin[axis]) - center[axis]);
+            axes.forEach((direction, index) => {
+                halfExtents[index] = Math.max(halfExtents[index], Math.abs(vec3.dot(offset, direction)));
+            });
+        }
+        const [halfWidth, halfHeight, halfDepth] = halfExtents;
+        const fitHalfHeight = Math.max(halfHeight, halfWidth / this.aspect) * FRAME_MARGIN;
+
+        this.mode = 'orbit';
+        this.target = center;
+        this.currentXtheta = xTheta;
+        this.currentYtheta = Math.max(this.minYTheta, Math.min(this.maxYTheta, yTheta));
+        this.currentDistance = Math.max(this.minDistance, fitHalfHeight / Math.tan(this.fov / 2) + halfDepth);
+        this.orthoScale = fitHalfHeight;
+        this.updateProjection();
+        this.recalculateView();
+    }
+
+    getPose() {
+        return {
+            mode: this.mode,
+            target: [...this.target],
+            distance: this.currentDistance,
+            xTheta: this.currentXtheta,
+            yTheta: this.currentYtheta,
+            position: [...this.position],
+            yaw: this.yaw,
+            pitch: this.pitch,
+            projection: this.projection,
+            orthoScale: this.orthoScale,
+        };
+    }
+
+    setPose(pose) {
+        this.mode = pose.mode;
+        this.target = [...pose.target];
+        this.currentDistance = Math.max(this.minDistance, pose.distance);
+        this.currentXtheta = pose.xTheta;
+        this.currentYtheta = Math.max(this.minYTheta, Math.min(this.maxYTheta, pose.yTheta));
+        this.position = [...pose.position];
+        this.yaw = pose.yaw;
+        this.pitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, pose.pitch));
+        // Poses saved before orthographic views existed are perspective.
+        this.projection = pose.projection || 'perspective';
+        if (pose.orthoScale !== undefined) {
+            this.orthoScale = pose.orthoScale;
+        }
+        this.updateVectors();
+        this.updateProjection();
         this.recalculateView();
     }
 
@@ -231,33 +283,32 @@ export class Camera {
         this.up = vec3.normalize(vec3.cross(this.forward, this.right))
     }
 
+    // Keyboard, gamepad and touch-stick movement and looking in 'coolcal' mode.
     update(deltaTime) {
         if (this.mode !== 'coolcal') return;
 
-        const currentSpeed = this.keys.fast ? this.fastMoveSpeed : this.moveSpeed
-        const moveDistance = currentSpeed * deltaTime
-
-        let moveDirection = [0, 0, 0]
+        const input = this.input
+        input.poll()
 
-        if (this.keys.forward) {
-            moveDirection = vec3.add(moveDirection, vec3.scale(this.forward, moveDistance))
-        }
-        if (this.keys.backward) {
-            moveDirection = vec3.add(moveDirection, vec3.scale(this.forward, -moveDistance))
-        }
-        if (this.keys.right) {
-            moveDirection = vec3.add(moveDirection, vec3.scale(this.right, moveDistance))
-        }
-        if (this.keys.left) {
-            moveDirection = vec3.add(moveDirection, vec3.scale(this.right, -moveDistance))
-        }
-        if (this.keys.up) {
-            moveDirection = vec3.add(moveDirection, vec3.scale([0, 1, 0], moveDistance))
-        }
-        if (this.keys.down) {
-            moveDirection = vec3.add(moveDirection, vec3.scale([0, 1, 0], -moveDistance))
+        const lookX = input.axis('lookX')
+        const lookY = input.axis('lookY')
+        if (lookX !== 0 || lookY !== 0) {
+            this.yaw -= lookX * this.lookSpeed * deltaTime
+            this.pitch -= lookY * this.lookSpeed * deltaTime
+            this.pitch = Math.max(-Math.PI / 2 + 0.01, Math.min(Math.PI / 2 - 0.01, this.pitch))
+            this.updateVectors()
+            this.recalculateView()
         }
 
+        const currentSpeed = input.isHeld('moveFast') ? this.fastMoveSpeed : this.moveSpeed
+        const moveDistance = currentSpeed * deltaTime
+        const rise = (input.isHeld('moveUp') ? 1 : 0) - (input.isHeld('moveDown') ? 1 : 0)
+
+        // `right` points to the screen's left; see updateVectors.
+        let moveDirection = vec3.scale(this.forward, input.axis('moveY') * moveDistance)
+        moveDirection = vec3.add(moveDirection, vec3.scale(this.right, -input.axis('moveX') * moveDistance))
+        moveDirection = vec3.add(moveDirection, vec3.scale([0, 1, 0], rise * moveDistance))
+
         this.position = vec3.add(this.position, moveDirection)
 
         if (vec3.length(moveDirection) > 0) {
@@ -265,6 +316,18 @@ export class Camera {
         }
     }
 
+    // Slides the orbit target with a two-finger drag so the scene follows the fingers.
+    panTarget(deltaX, deltaY, viewHeight) {
+        const worldPerPixel = 2 * this.currentDistance * Math.tan(this.fov / 2) / Math.max(viewHeight, 1)
+        const view = renderUniformsViews.inv_view_matrix
+        const right = [view[0], view[1], view[2]]
+        const up = [view[4], view[5], view[6]]
+        let target = vec3.add(this.target, vec3.scale(right, -deltaX * worldPerPixel))
+        target = vec3.add(target, vec3.scale(up, deltaY * worldPerPixel))
+        this.target = [target[0], target[1], target[2]]
+        this.recalculateView()
+    }
+
     consumeDirty() {
         const wasDirty = this.dirty;
         this.dirty = false;
@@ -283,11 +346,8 @@ export class Camera {
             var position = mat4.multiply(mat, [0, 0, 0, 1]);
             this.position = [position[0], position[1], position[2]];
 
-            view = mat4.lookAt(
-                [position[0], position[1], position[2]],
-                this.target,
-                [0, 1, 0],
-            );
+            // The same view lookAt would give, but still defined looking straight down.
+            view = mat4.inverse(mat);
         } else {
             const target = vec3.add(this.position, this.forward);
             view = mat4.lookAt(
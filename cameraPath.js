@@ -0,0 +1,163 @@
+// Each keyframe's easing shapes the segment that leaves it.
+export const cameraEasings = {
+    linear: (t) => t,
+    'ease-in': (t) => t * t * t,
+    'ease-out': (t) => 1 - (1 - t) ** 3,
+    'ease-in-out': (t) => t * t * (3 - 2 * t),
+    // Zero speed and acceleration at both ends: smoother stops than ease-in-out.
+    smoother: (t) => t * t * t * (t * (t * 6 - 15) + 10),
+};
+export const cameraEasingNames = Object.keys(cameraEasings);
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Poses saved before a field existed leave it out; blend toward whichever side has it.
+function lerpOptional(a, b, t) {
+    if (a === undefined || b === undefined) {
+        return a ?? b;
+    }
+    return lerp(a, b, t);
+}
+
+function lerpVector(a, b, t) {
+    return a.map((value, index) => lerp(value, b[index], t));
+}
+
+/**
+ * Blend of two Camera.getPose() results. Angles are blended as stored, so a
+ * full orbit recorded between two keyframes plays back as a full orbit. A
+ * mode or projection change takes effect once the segment reaches `to`.
+ */
+export function interpolatePose(from, to, t) {
+    return {
+        mode: t < 1 ? from.mode : to.mode,
+        target: lerpVector(from.target, to.target, t),
+        distance: lerp(from.distance, to.distance, t),
+        xTheta: lerp(from.xTheta, to.xTheta, t),
+        yTheta: lerp(from.yTheta, to.yTheta, t),
+        position: lerpVector(from.position, to.position, t),
+        yaw: lerp(from.yaw, to.yaw, t),
+        pitch: lerp(from.pitch, to.pitch, t),
+        projection: t < 1 ? from.projection : to.projection,
+        orthoScale: lerpOptional(from.orthoScale, to.orthoScale, t),
+    };
+}
+
+/**
+ * Camera keyframes on a timeline of seconds, played back by advance(). The
+ * path keeps no clock of its own beyond what advance() is given, so stepping
+ * it by the recorder's fixed frame duration gives the same shot every take.
+ */
+export class CameraPath {
+    constructor() {
+        // [{ time, easing, pose }], sorted by time
+        this.keyframes = [];
+        this.loop = false;
+        this.speed = 1;
+        this.time = 0;
+        this.playing = false;
+    }
+
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+    }
+
+    // Adds `pose` at `time`, replacing any keyframe already there.
+    addKeyframe(time, pose, easing = 'ease-in-out') {
+        if (!cameraEasings[easing]) {
+            throw new Error(`Unknown camera easing: ${easing}`);
+        }
+        const keyframe = { time, easing, pose: structuredClone(pose) };
+        const existing = this.keyframes.findIndex((other) => Math.abs(other.time - time) < 1e-6);
+        if (existing >= 0) {
+            this.keyframes[existing] = keyframe;
+        } else {
+            this.keyframes.push(keyframe);
+            this.keyframes.sort((a, b) => a.time - b.time);
+        }
+        return keyframe;
+    }
+
+    removeKeyframe(index) {
+        this.keyframes.splice(index, 1);
+        if (this.keyframes.length < 2) {
+            this.stop();
+        }
+    }
+
+    clear() {
+        this.keyframes = [];
+        this.stop();
+    }
+
+    play(fromTime = 0) {
+        if (this.keyframes.length < 2) {
+            return false;
+        }
+        this.time = fromTime;
+        this.playing = true;
+        return true;
+    }
+
+    stop() {
+        this.playing = false;
+    }
+
+    poseAt(time) {
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) {
+            return null;
+        }
+        if (time <= keyframes[0].time) {
+            return keyframes[0].pose;
+        }
+        let i = 1;
+        while (i < keyframes.length - 1 && keyframes[i].time <= time) {
+            i++;
+        }
+        const from = keyframes[i - 1];
+        const to = keyframes[i];
+        const span = to.time - from.time;
+        const t = span > 0 ? Math.min(Math.max((time - from.time) / span, 0), 1) : 1;
+        return interpolatePose(from.pose, to.pose, cameraEasings[from.easing](t));
+    }
+
+    /**
+     * The pose at the playhead, which then moves `deltaTime` seconds (scaled
+     * by `speed`); null when not playing. The first call after play() shows
+     * the start time. Without `loop`, playback stops once the last keyframe's
+     * pose has been returned.
+     */
+    advance(deltaTime) {
+        if (!this.playing) {
+            return null;
+        }
+        const pose = this.poseAt(this.time);
+        const duration = this.duration;
+        if (this.time >= duration && !this.loop) {
+            this.playing = false;
+            return pose;
+        }
+        this.time += deltaTime * this.speed;
+        if (this.time >= duration) {
+            this.time = this.loop ? this.time % duration : duration;
+        }
+        return pose;
+    }
+
+    toJSON() {
+        return {
+            loop: this.loop,
+            keyframes: this.keyframes.map(({ time, easing, pose }) => ({ time, easing, pose })),
+        };
+    }
+
+    // `data` is a validated scene's cameraPath section.
+    load(data) {
+        this.clear();
+        this.loop = data.loop ?? false;
+        data.keyframes.forEach(({ time, easing, pose }) => this.addKeyframe(time, pose, easing));
+    }
+}
@@ -12,3 +12,20 @@ export const renderUniformsViews = {
 };
 
 export const numParticlesMax = 1000000;
+
+export async function readBuffer(device, buffer, size, offset = 0) {
+  const stagingBuffer = device.createBuffer({
+    label: 'readback staging buffer',
+    size,
+    usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+  });
+  const commandEncoder = device.createCommandEncoder();
+  commandEncoder.copyBufferToBuffer(buffer, offset, stagingBuffer, 0, size);
+  device.queue.submit([commandEncoder.finish()]);
+
+  await stagingBuffer.mapAsync(GPUMapMode.READ);
+  const data = stagingBuffer.getMappedRange().slice(0);
+  stagingBuffer.unmap();
+  stagingBuffer.destroy();
+  return data;
+}
@@ -0,0 +1,122 @@
+import { readBuffer } from '../common.js?v=20261019c';
+
+export const posvelStructSize = 48
+export const exportFormats = ['ply', 'vtk', 'csv']
+
+const posvelFloats = posvelStructSize / 4
+
+function particleAttributes(posvel, index) {
+    const base = index * posvelFloats;
+    const vx = posvel[base + 4];
+    const vy = posvel[base + 5];
+    const vz = posvel[base + 6];
+    return {
+        x: posvel[base + 0],
+        y: posvel[base + 1],
+        z: posvel[base + 2],
+        vx,
+        vy,
+        vz,
+        speed: Math.sqrt(vx * vx + vy * vy + vz * vz),
+    };
+}
+
+export function encodePLY(posvel, numParticles) {
+    const header = [
+        'ply',
+        'format binary_little_endian 1.0',
+        `element vertex ${numParticles}`,
+        'property float x',
+        'property float y',
+        'property float z',
+        'property float vx',
+        'property float vy',
+        'property float vz',
+        'property float speed',
+        'end_header',
+        '',
+    ].join('\n');
+    const headerBytes = new TextEncoder().encode(header);
+    const body = new Float32Array(numParticles * 7);
+    for (let i = 0; i < numParticles; i++) {
+        const p = particleAttributes(posvel, i);
+        body.set([p.x, p.y, p.z, p.vx, p.vy, p.vz, p.speed], i * 7);
+    }
+    return new Blob([headerBytes, body], { type: 'application/octet-stream' });
+}
+
+// Legacy VTK binary sections are big endian regardless of platform.
+export function encodeVTK(posvel, numParticles) {
+    const points = new DataView(new ArrayBuffer(numParticles * 12));
+    const vertices = new DataView(new ArrayBuffer(numParticles * 8));
+    const velocity = new DataView(new ArrayBuffer(numParticles * 12));
+    const speed = new DataView(new ArrayBuffer(numParticles * 4));
+    for (let i = 0; i < numParticles; i++) {
+        const p = particleAttributes(posvel, i);
+        points.setFloat32(i * 12 + 0, p.x);
+        points.setFloat32(i * 12 + 4, p.y);
+        points.setFloat32(i * 12 + 8, p.z);
+        vertices.setInt32(i * 8 + 0, 1);
+        vertices.setInt32(i * 8 + 4, i);
+        velocity.setFloat32(i * 12 + 0, p.vx);
+        velocity.setFloat32(i * 12 + 4, p.vy);
+        velocity.setFloat32(i * 12 + 8, p.vz);
+        speed.setFloat32(i * 4, p.speed);
+    }
+    return new Blob([
+        '# vtk DataFile Version 3.0\n',
+        'mls-mpm particles\n',
+        'BINARY\n',
+        'DATASET POLYDATA\n',
+        `POINTS ${numParticles} float\n`,
+        points,
+        `\nVERTICES ${numParticles} ${numParticles * 2}\n`,
+        vertices,
+        `\nPOINT_DATA ${numParticles}\n`,
+        'VECTORS velocity float\n',
+        velocity,
+        '\nSCALARS speed float 1\n',
+        'LOOKUP_TABLE default\n',
+        speed,
+        '\n',
+    ], { type: 'application/octet-stream' });
+}
+
+export function encodeCSV(posvel, numParticles) {
+    const lines = ['x,y,z,vx,vy,vz,speed'];
+    for (let i = 0; i < numParticles; i++) {
+        const p = particleAttributes(posvel, i);
+        lines.push(`${p.x},${p.y},${p.z},${p.vx},${p.vy},${p.vz},${p.speed}`);
+    }
+    lines.push('');
+    return new Blob([lines.join('\n')], { type: 'text/csv' });
+}
+
+const encoders = { ply: encodePLY, vtk: encodeVTK, csv: encodeCSV }
+
+export function encodeParticles(format, posvel, numParticles) {
+    const encoder = encoders[format];
+    if (!encoder) {
+        throw new Error(`Unknown particle export format "${format}"`);
+    }
+    return encoder(posvel, numParticles);
+}
+
+export class ParticleExporter {
+    constructor(device, posvelBuffer) {
+        this.device = device
+        this.posvelBuffer = posvelBuffer
+    }
+
+    async readPosVel(numParticles) {
+        if (numParticles === 0) {
+            return new Float32Array(0);
+        }
+        return new Float32Array(await readBuffer(this.device, this.posvelBuffer, numParticles * posvelStructSize));
+    }
+
+    async exportFrame(numParticles, format) {
+        const posvel = await this.readPosVel(numParticles);
+        return encodeParticles(format, posvel, numParticles);
+    }
+}
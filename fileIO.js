@@ -0,0 +1,31 @@
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export function downloadText(text, filename, type = 'text/plain') {
+    downloadBlob(new Blob([text], { type }), filename);
+}
+
+export function openFile(accept) {
+    return new Promise((resolve) => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => {
+            resolve(input.files && input.files.length > 0 ? input.files[0] : null);
+        });
+        input.click();
+    });
+}
+
+export function timestampedName(prefix, extension) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return `${prefix}-${stamp}.${extension}`;
+}
@@ -0,0 +1,350 @@
+// Held actions and the KeyboardEvent.code values that trigger them.
+export const defaultKeyBindings = {
+    moveForward: ['KeyW', 'ArrowUp'],
+    moveBackward: ['KeyS', 'ArrowDown'],
+    moveLeft: ['KeyA', 'ArrowLeft'],
+    moveRight: ['KeyD', 'ArrowRight'],
+    moveUp: ['Space'],
+    moveDown: ['ShiftLeft', 'KeyC'],
+    moveFast: ['ControlLeft'],
+}
+
+export const keyActionLabels = {
+    moveForward: 'Fly forward',
+    moveBackward: 'Fly backward',
+    moveLeft: 'Fly left',
+    moveRight: 'Fly right',
+    moveUp: 'Rise',
+    moveDown: 'Sink',
+    moveFast: 'Fly fast (hold)',
+}
+
+// Indices into a standard-mapping gamepad: left stick moves, right stick looks,
+// the shoulder buttons rise and sink and either trigger speeds up.
+export const defaultGamepadBindings = {
+    axes: { moveX: 0, moveY: 1, lookX: 2, lookY: 3 },
+    buttons: { moveUp: [5], moveDown: [4], moveFast: [6, 7] },
+}
+
+export const inputAxes = ['moveX', 'moveY', 'lookX', 'lookY']
+
+// Stick travel ignored around the center; worn sticks rarely rest at exactly 0.
+const GAMEPAD_DEAD_ZONE = 0.15
+
+// Keyboard pairs for the movement axes: [negative action, positive action].
+const keyAxes = {
+    moveX: ['moveLeft', 'moveRight'],
+    moveY: ['moveBackward', 'moveForward'],
+}
+
+// Input types that take typed text; a checkbox or slider with focus does not.
+const nonTextInputTypes = ['checkbox', 'radio', 'button', 'range']
+
+// True when a key event is text entry into a form field rather than a command.
+export function isTypingTarget(target) {
+    if (!target || !target.tagName) {
+        return false
+    }
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') {
+        return true
+    }
+    return target.tagName === 'INPUT' && !nonTextInputTypes.includes(target.type)
+}
+
+function clampUnit(value) {
+    return Math.min(Math.max(value, -1), 1)
+}
+
+function applyDeadZone(value) {
+    const magnitude = Math.abs(value)
+    if (magnitude < GAMEPAD_DEAD_ZONE) {
+        return 0
+    }
+    return Math.sign(value) * (magnitude - GAMEPAD_DEAD_ZONE) / (1 - GAMEPAD_DEAD_ZONE)
+}
+
+function cloneBindings(bindings) {
+    return Object.fromEntries(Object.entries(bindings).map(([action, codes]) => [action, [...codes]]))
+}
+
+/**
+ * Keyboard, gamepad and on-screen stick state behind named actions and axes.
+ * The camera asks for `moveForward` or `lookX` instead of key codes, so
+ * bindings can change without touching it. Axes run from -1 to 1 with
+ * forward, right and down positive; moveY is forward, so a stick pushed up
+ * reads positive.
+ */
+export class InputMap {
+    constructor(target = document) {
+        this.keyBindings = cloneBindings(defaultKeyBindings)
+        this.gamepadBindings = {
+            axes: { ...defaultGamepadBindings.axes },
+            buttons: cloneBindings(defaultGamepadBindings.buttons),
+        }
+        this.pressed = new Set()
+        this.gamepad = null
+        this.virtualAxes = Object.fromEntries(inputAxes.map((axis) => [axis, 0]))
+        // Optional (event) => boolean; bound keys are kept from the page only while it returns true.
+        this.capturesKeys = null
+
+        target.addEventListener('keydown', (event) => {
+            const action = this.actionForCode(event.code)
+            if (!action || isTypingTarget(event.target)) return
+            if (this.capturesKeys && !this.capturesKeys(event)) return
+            event.preventDefault()
+            this.pressed.add(event.code)
+        })
+        target.addEventListener('keyup', (event) => {
+            this.pressed.delete(event.code)
+        })
+        // A key released while the window is in the background never sends keyup.
+        window.addEventListener('blur', () => {
+            this.pressed.clear()
+        })
+    }
+
+    actionForCode(code) {
+        return Object.keys(this.keyBindings).find((action) => this.keyBindings[action].includes(code)) || null
+    }
+
+    bindKeys(action, codes) {
+        this.keyBindings[action] = [...codes]
+        this.pressed.clear()
+    }
+
+    setKeyBindings(bindings) {
+        this.keyBindings = cloneBindings(bindings)
+        this.pressed.clear()
+    }
+
+    bindGamepadButtons(action, buttons) {
+        this.gamepadBindings.buttons[action] = [...buttons]
+    }
+
+    bindGamepadAxis(axis, index) {
+        this.gamepadBindings.axes[axis] = index
+    }
+
+    // Reads the first connected gamepad; call once per frame before querying.
+    poll() {
+        const pads = navigator.getGamepads ? navigator.getGamepads() : []
+        this.gamepad = Array.from(pads).find((pad) => pad && pad.connected) || null
+    }
+
+    setVirtualAxis(axis, value) {
+        this.virtualAxes[axis] = clampUnit(value)
+    }
+
+    isHeld(action) {
+        const codes = this.keyBindings[action] || []
+        if (codes.some((code) => this.pressed.has(code))) {
+            return true
+        }
+        const buttons = this.gamepadBindings.buttons[action] || []
+        return this.gamepad !== null && buttons.some((index) => this.gamepad.buttons[index]?.pressed)
+    }
+
+    axis(name) {
+        let value = this.virtualAxes[name] || 0
+        const keys = keyAxes[name]
+        if (keys) {
+            value += (this.isHeld(keys[1]) ? 1 : 0) - (this.isHeld(keys[0]) ? 1 : 0)
+        }
+        const index = this.gamepadBindings.axes[name]
+        if (this.gamepad !== null && index !== undefined) {
+            const raw = applyDeadZone(this.gamepad.axes[index] ?? 0)
+            // Gamepad sticks report up as negative.
+            value += name === 'moveY' ? -raw : raw
+        }
+        return clampUnit(value)
+    }
+}
+
+// Finger travel, in CSS pixels, that pushes a virtual stick all the way.
+const STICK_RADIUS = 60
+
+/**
+ * An on-screen thumbstick that appears where a finger lands and feeds two
+ * InputMap axes until it lifts.
+ */
+export class VirtualStick {
+    constructor(input, xAxis, yAxis, { invertY = false } = {}) {
+        this.input = input
+        this.xAxis = xAxis
+        this.yAxis = yAxis
+        this.invertY = invertY
+        this.pointerId = null
+        this.originX = 0
+        this.originY = 0
+
+        this.element = document.createElement('div')
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            width: `${STICK_RADIUS * 2}px`,
+            height: `${STICK_RADIUS * 2}px`,
+            marginLeft: `${-STICK_RADIUS}px`,
+            marginTop: `${-STICK_RADIUS}px`,
+            borderRadius: '50%',
+            border: '2px solid rgba(255, 255, 255, 0.6)',
+            background: 'rgba(0, 0, 0, 0.15)',
+            pointerEvents: 'none',
+            zIndex: '100',
+            display: 'none',
+        })
+        this.knob = document.createElement('div')
+        Object.assign(this.knob.style, {
+            position: 'absolute',
+            left: `${STICK_RADIUS - 18}px`,
+            top: `${STICK_RADIUS - 18}px`,
+            width: '36px',
+            height: '36px',
+            borderRadius: '50%',
+            background: 'rgba(255, 255, 255, 0.7)',
+        })
+        this.element.appendChild(this.knob)
+        document.body.appendChild(this.element)
+    }
+
+    get active() {
+        return this.pointerId !== null
+    }
+
+    start(event) {
+        this.pointerId = event.pointerId
+        this.originX = event.clientX
+        this.originY = event.clientY
+        this.element.style.left = `${this.originX}px`
+        this.element.style.top = `${this.originY}px`
+        this.element.style.display = 'block'
+        this.move(event)
+    }
+
+    move(event) {
+        let dx = (event.clientX - this.originX) / STICK_RADIUS
+        let dy = (event.clientY - this.originY) / STICK_RADIUS
+        const length = Math.hypot(dx, dy)
+        if (length > 1) {
+            dx /= length
+            dy /= length
+        }
+        this.knob.style.transform = `translate(${dx * STICK_RADIUS}px, ${dy * STICK_RADIUS}px)`
+        this.input.setVirtualAxis(this.xAxis, dx)
+        this.input.setVirtualAxis(this.yAxis, this.invertY ? -dy : dy)
+    }
+
+    end() {
+        this.pointerId = null
+        this.element.style.display = 'none'
+        this.knob.style.transform = ''
+        this.input.setVirtualAxis(this.xAxis, 0)
+        this.input.setVirtualAxis(this.yAxis, 0)
+    }
+}
+
+/**
+ * Turns pointer events on `canvas` into camera gestures. Mouse and pen drag
+ * with one pointer. Touch drags with one finger, pinches and pans with two,
+ * or, while `useSticks()` is true, drives a move stick on the left half of
+ * the canvas and a look stick on the right.
+ *
+ * `handlers` holds optional callbacks: ignore(event) to leave a pointerdown
+ * to another tool, dragStart(event), drag(event, deltaX, deltaY) with deltas
+ * as previous minus current position, dragEnd(event), pinch(ratio) with the
+ * previous over the current finger spread, pan(deltaX, deltaY) with the
+ * midpoint's movement, and useSticks().
+ */
+export class PointerGestures {
+    constructor(canvas, input, handlers = {}) {
+        this.canvas = canvas
+        this.handlers = handlers
+        this.pointers = new Map()
+        this.moveStick = new VirtualStick(input, 'moveX', 'moveY', { invertY: true })
+        this.lookStick = new VirtualStick(input, 'lookX', 'lookY')
+
+        // Without this the browser scrolls and zooms the page on touch instead.
+        canvas.style.touchAction = 'none'
+
+        canvas.addEventListener('pointerdown', (event) => this.down(event))
+        canvas.addEventListener('pointermove', (event) => this.move(event))
+        canvas.addEventListener('pointerup', (event) => this.up(event))
+        canvas.addEventListener('pointercancel', (event) => this.up(event))
+    }
+
+    call(name, ...args) {
+        const handler = this.handlers[name]
+        return handler ? handler(...args) : undefined
+    }
+
+    stickFor(event) {
+        return [this.moveStick, this.lookStick].find((stick) => stick.pointerId === event.pointerId) || null
+    }
+
+    down(event) {
+        if (this.call('ignore', event)) return
+        event.preventDefault()
+        this.canvas.setPointerCapture(event.pointerId)
+
+        if (event.pointerType === 'touch' && this.call('useSticks')) {
+            const rect = this.canvas.getBoundingClientRect()
+            const stick = event.clientX < rect.left + rect.width / 2 ? this.moveStick : this.lookStick
+            if (!stick.active) {
+                stick.start(event)
+            }
+            return
+        }
+
+        this.pointers.set(event.pointerId, { x: event.clientX, y: event.clientY })
+        if (this.pointers.size === 1) {
+            this.call('dragStart', event)
+        } else if (this.pointers.size === 2) {
+            this.call('dragEnd', event)
+        }
+    }
+
+    move(event) {
+        const stick = this.stickFor(event)
+        if (stick) {
+            stick.move(event)
+            return
+        }
+        const pointer = this.pointers.get(event.pointerId)
+        if (!pointer) return
+
+        if (this.pointers.size === 1) {
+            const deltaX = pointer.x - event.clientX
+            const deltaY = pointer.y - event.clientY
+            pointer.x = event.clientX
+            pointer.y = event.clientY
+            this.call('drag', event, deltaX, deltaY)
+            return
+        }
+        if (this.pointers.size !== 2) return
+
+        const [a, b] = [...this.pointers.values()]
+        const previousSpread = Math.hypot(a.x - b.x, a.y - b.y)
+        const previousMidX = (a.x + b.x) / 2
+        const previousMidY = (a.y + b.y) / 2
+        pointer.x = event.clientX
+        pointer.y = event.clientY
+        const spread = Math.hypot(a.x - b.x, a.y - b.y)
+        if (previousSpread > 0 && spread > 0) {
+            this.call('pinch', previousSpread / spread)
+        }
+        this.call('pan', (a.x + b.x) / 2 - previousMidX, (a.y + b.y) / 2 - previousMidY)
+    }
+
+    up(event) {
+        const stick = this.stickFor(event)
+        if (stick) {
+            stick.end()
+            return
+        }
+        if (!this.pointers.delete(event.pointerId)) return
+        if (this.pointers.size === 1) {
+            // Back to a one-finger drag from wherever the remaining finger is now.
+            this.call('dragStart', event)
+        } else if (this.pointers.size === 0) {
+            this.call('dragEnd', event)
+        }
+    }
+}
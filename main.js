@@ -1,7 +1,28 @@
-import { Camera } from './camera.js?v=20260310p'
-import { MLSMPMSimulator, mlsmpmParticleStructSize } from './mls-mpm/mls-mpm.js?v=20260310p'
-import { FluidRenderer } from './render/fluidRender.js?v=20260716a'
-import { renderUniformsValues, renderUniformsViews, numParticlesMax } from './common.js?v=20260310p'
+import { Camera, cameraProjections } from './camera.js?v=20261019x'
+import { CameraPath, cameraEasingNames } from './cameraPath.js?v=20261019w'
+import { MLSMPMSimulator, mlsmpmParticleStructSize, defaultMaterial, mouseForceModes } from './mls-mpm/mls-mpm.js?v=20261020l'
+import { FluidRenderer, debugOverlayNames, renderModes } from './render/fluidRender.js?v=20261020m'
+import { renderUniformsValues, renderUniformsViews, numParticlesMax } from './common.js?v=20261019c'
+import { SCENE_FORMAT, SCENE_VERSION, parseScene, serializeScene } from './scene.js?v=20261020o'
+import { ParticleExporter, exportFormats, posvelStructSize } from './export/particleExporter.js?v=20261019n'
+import { FrameRecorder, recordingOutputs } from './recording/frameRecorder.js?v=20261020h'
+import { downloadBlob, downloadText, openFile, timestampedName } from './fileIO.js?v=20261019c'
+import { colorAttributes, colorPalettes, buildColorLUT, buildCategoryLUT, computeAttributeRange } from './render/colorMap.js?v=20261019n'
+import { ColorLegend } from './render/colorLegend.js?v=20261019g'
+import { MeasureRuler } from './render/measureRuler.js?v=20261019w'
+import { CanvasResizer, renderScaleRange } from './render/canvasResizer.js?v=20261019i'
+import { ObstacleSet, createObstacle, obstacleKinds, obstaclePresets } from './mls-mpm/obstacles.js?v=20261019j'
+import { parseOBJ } from './mls-mpm/meshSDF.js?v=20261019j'
+import { createDrain, createEmitter, drainShapes, emitterShapes, flowPresets } from './mls-mpm/emitters.js?v=20261020l'
+import { PistonDriver, defaultHarmonics, parsePistonTable, pistonAxes, pistonProfiles } from './mls-mpm/pistonDriver.js?v=20261020o'
+import { MouseForceTool, cameraModifierKey } from './mouseForce.js?v=20261019v'
+import { keyActionLabels } from './input.js?v=20261019x'
+import { ShortcutOverlay, ShortcutRegistry } from './shortcuts.js?v=20261019x'
+import { defaultPhases, phaseIndex } from './mls-mpm/phases.js?v=20261019o'
+import { GPUProfiler } from './optimization/gpuProfiler.js?v=20261019p'
+import { ProfilerOverlay } from './optimization/profilerOverlay.js?v=20261019p'
+import { WorkgroupOptimizer } from './optimization/workgroupOptimizer.js?v=20261020n'
+import { MAX_FRAME_SECONDS, chooseSubsteps, defaultTimeStepSettings, fixedSubsteps } from './mls-mpm/timeStep.js?v=20261020d'
 
 const BOX_WIDTH = 100;
 const BOX_HEIGHT = 190;
@@ -11,12 +32,31 @@ const SCENE_PULLBACK_RATIO = 0.5;
 
 const DEFAULT_BOX_LENGTH = 220;
 const DEFAULT_MIN_LENGTH = 120;
+const DEFAULT_MIN_WIDTH = 70;
 const DEFAULT_PERIOD_SECONDS = 8.0;
 const DEFAULT_FLUID_LENGTH = 100;
 const DEFAULT_PISTON_POWER = 0.7;
 const DEFAULT_PUSH_WIDTH = 3.0;
 const DEFAULT_PARTICLE_COUNT = 400000;
 const DEFAULT_CAMERA_DISTANCE = 275;
+const AUTO_RANGE_INTERVAL_FRAMES = 30;
+const DEFAULT_RENDER_SCALE = 3.0;
+const PROFILER_OVERLAY_INTERVAL_FRAMES = 15;
+const TIME_STEP_DISPLAY_INTERVAL_FRAMES = 15;
+const CAMERA_PATH_DISPLAY_INTERVAL_FRAMES = 15;
+
+const SCENE_LIMITS = {
+  maxBoxWidth: BOX_WIDTH,
+  maxBoxHeight: BOX_HEIGHT,
+  minBoxLength: BASE_BOX_DEPTH,
+  maxBoxLength: MAX_BOX_DEPTH,
+  maxParticles: numParticlesMax,
+};
+
+const MATERIAL_PRESETS = {
+  water: { ...defaultMaterial },
+  honey: { ...defaultMaterial, stiffness: 2.0, viscosity: 1.2 },
+};
 
 async function init() {
   const canvas = document.querySelector('canvas');
@@ -40,25 +80,25 @@ async function init() {
   }
 
   const device = await adapter.requestDevice({
+    // Optional: without it the profiler falls back to CPU frame timing.
+    requiredFeatures: adapter.features.has('timestamp-query') ? ['timestamp-query'] : [],
     requiredLimits: {
       maxBufferSize: adapter.limits.maxBufferSize,
       maxStorageBufferBindingSize: adapter.limits.maxStorageBufferBindingSize,
     }
   });
+  // Names the GPU for the cached workgroup sizes; older implementations only have requestAdapterInfo().
+  const adapterInfo = adapter.info || (adapter.requestAdapterInfo ? await adapter.requestAdapterInfo() : {});
   const context = canvas.getContext('webgpu');
 
   if (!context) {
     throw new Error();
   }
 
-  const devicePixelRatio = 3.0;
-  canvas.width = devicePixelRatio * canvas.clientWidth;
-  canvas.height = devicePixelRatio * canvas.clientHeight;
-
   const presentationFormat = navigator.gpu.getPreferredCanvasFormat();
   context.configure({ device, format: presentationFormat });
 
-  return { canvas, device, presentationFormat, context };
+  return { canvas, adapterInfo, device, presentationFormat, context };
 }
 
 async function main() {
@@ -67,7 +107,7 @@ async function main() {
   }
 
   try {
-    const { canvas, device, presentationFormat, context } = await init();
+    const { canvas, adapterInfo, device, presentationFormat, context } = await init();
     const stats = new window.Stats();
     stats.showPanel(0);
     stats.dom.style.position = 'fixed';
@@ -82,6 +122,8 @@ async function main() {
     const diameter = 2 * radius;
     const zoomRate = 10.0;
 
+    const resizer = new CanvasResizer(canvas, device, DEFAULT_RENDER_SCALE);
+    resizer.update();
     renderUniformsViews.texel_size.set([1.0 / canvas.width, 1.0 / canvas.height]);
     renderUniformsViews.sphere_size.set([radius, radius]);
 
@@ -93,8 +135,8 @@ async function main() {
 
     const posvelBuffer = device.createBuffer({
       label: 'position buffer',
-      size: 32 * numParticlesMax,
-      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+      size: posvelStructSize * numParticlesMax,
+      usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
     });
 
     const renderUniformBuffer = device.createBuffer({
@@ -103,44 +145,208 @@ async function main() {
       usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
     });
 
-    const simulator = new MLSMPMSimulator(particleBuffer, posvelBuffer, diameter, device, BOX_WIDTH, BOX_HEIGHT, MAX_BOX_DEPTH);
+    const obstacleSet = new ObstacleSet(device);
+
+    const simulator = new MLSMPMSimulator(particleBuffer, posvelBuffer, diameter, device, BOX_WIDTH, BOX_HEIGHT, MAX_BOX_DEPTH, obstacleSet);
     await simulator.initialize();
 
-    const renderer = new FluidRenderer(device, canvas, presentationFormat, radius, fov, posvelBuffer, renderUniformBuffer);
+    const renderer = new FluidRenderer(device, canvas, presentationFormat, radius, fov, posvelBuffer, renderUniformBuffer, obstacleSet);
     await renderer.initialize();
 
     const camera = new Camera(canvasElement);
+    const mouseForceTool = new MouseForceTool(canvasElement);
+    camera.ignoreMouseDown = (event) => mouseForceTool.claims(event);
+    const exporter = new ParticleExporter(device, posvelBuffer);
+    const recorder = new FrameRecorder(canvas, exporter);
+    const colorLegend = new ColorLegend();
+    const ruler = new MeasureRuler();
+    const shortcuts = new ShortcutRegistry();
+    const shortcutOverlay = new ShortcutOverlay(shortcuts);
+    const profiler = new GPUProfiler(device);
+    const profilerOverlay = new ProfilerOverlay();
+    simulator.setProfiler(profiler);
+    renderer.setProfiler(profiler);
+    const workgroupOptimizer = new WorkgroupOptimizer(device, adapterInfo);
+    let tuningWorkgroups = false;
 
+    const sceneSettings = {
+      saveScene: () => saveScene(),
+      loadScene: () => loadScene(),
+    };
+    const snapshotSettings = {
+      checkpoint: () => takeCheckpoint(),
+      rewind: () => rewindToCheckpoint(),
+      download: () => downloadSnapshot(),
+      load: () => loadSnapshotFile(),
+    };
     const simulationSettings = {
       isPaused: false,
+      blobPhase: 'honey',
+      cubePhase: 'jelly',
       addParticles: () => addMoreParticles(),
+      dropCube: () => dropCube(),
       resetSimulation: () => resetSimulation({ resetTime: true, resetCamera: false }),
     };
     const worldSettings = {
+      boxWidth: BOX_WIDTH,
+      boxHeight: BOX_HEIGHT,
       boxLength: DEFAULT_BOX_LENGTH,
       fluidLength: DEFAULT_FLUID_LENGTH,
     };
     const pistonSettings = {
       pistonEnabled: true,
+      profile: 'sine',
+      axis: 'z',
       minLength: DEFAULT_MIN_LENGTH,
+      minWidth: DEFAULT_MIN_WIDTH,
       period: DEFAULT_PERIOD_SECONDS,
       power: DEFAULT_PISTON_POWER,
       pushWidth: DEFAULT_PUSH_WIDTH,
+      harmonic2: defaultHarmonics[1].amplitude,
+      harmonic3: defaultHarmonics[2].amplitude,
+      loadTable: () => loadPistonTable(),
     };
     const cameraSettings = {
       cameraMode: 'orbit',
       resetView: () => resetCameraView(),
+      projection: 'perspective',
+      front: () => frameRealBox('front'),
+      side: () => frameRealBox('side'),
+      top: () => frameRealBox('top'),
+      isometric: () => frameRealBox('isometric'),
+      showRuler: true,
+    };
+    const cameraPath = new CameraPath();
+    const cameraPathSettings = {
+      keyframeSpacing: 3,
+      easing: 'ease-in-out',
+      keyframes: 0,
+      time: 0,
+      speed: 1,
+      loop: false,
+      playWhileRecording: true,
+      addKeyframe: () => addCameraKeyframe(),
+      removeLastKeyframe: () => removeLastCameraKeyframe(),
+      clearPath: () => clearCameraPath(),
+      togglePlayback: () => toggleCameraPath(),
+    };
+    const materialSettings = {
+      preset: 'water',
+      ...MATERIAL_PRESETS.water,
+    };
+    const obstacleSettings = {
+      preset: 'none',
+      kind: 'box',
+      centerX: BOX_WIDTH / 2,
+      centerY: 10,
+      centerZ: 90,
+      sizeX: 10,
+      sizeY: 10,
+      sizeZ: 4,
+      friction: 0.2,
+      addObstacle: () => addObstacle(),
+      loadMesh: () => loadMeshObstacle(),
+      removeLast: () => applyObstacles(obstacleList.slice(0, -1)),
+      clear: () => applyObstacles([]),
+    };
+    const flowSettings = {
+      preset: 'none',
+      emitterShape: 'nozzle',
+      drainShape: 'box',
+      centerX: BOX_WIDTH / 2,
+      centerY: 10,
+      centerZ: 60,
+      sizeX: 3,
+      sizeY: 3,
+      sizeZ: 3,
+      velocityX: 0,
+      velocityY: 4,
+      velocityZ: 0,
+      rate: 30,
+      phase: 'water',
+      addEmitter: () => addEmitter(),
+      addDrain: () => addDrain(),
+      clear: () => applyFlow({ emitters: [], drains: [] }),
+    };
+    const mouseForceSettings = {
+      enabled: false,
+      mode: 'push',
+      strength: 4.0,
+      radius: 8.0,
+    };
+    const profilerSettings = {
+      enabled: false,
+      reset: () => profiler.reset(),
+      exportTimings: () => exportTimings(),
+      workgroupSizes: '',
+      workgroupTimings: '',
+      retuneWorkgroups: () => tuneWorkgroups(true),
+    };
+    const timeStepSettings = {
+      ...defaultTimeStepSettings,
+      // Read-outs of the last frame's step.
+      substeps: 2,
+      stepSize: defaultMaterial.dt,
+      maxSpeed: 0,
+    };
+    const exportSettings = {
+      format: 'ply',
+      exportFrame: () => exportFrame(),
+    };
+    const recordSettings = {
+      fps: 30,
+      substepsPerFrame: 2,
+      particleDump: 'none',
+      output: 'zip',
+      restartFromSeed: true,
+      seed: 1,
+      framesRecorded: 0,
+      toggleRecording: () => toggleRecording(),
     };
     const renderingSettings = {
       showBoundary: true,
+      renderMode: 'particles',
+      frustumCulling: true,
+      renderScale: DEFAULT_RENDER_SCALE,
+    };
+    const overlaySettings = {
+      domainBox: false,
+      realBox: false,
+      solverBounds: false,
+      gridLattice: false,
+      latticeSpacing: 1,
+    };
+    const colorSettings = {
+      colorBy: 'speed',
+      palette: 'classic',
+      customLow: '#10204a',
+      customMid: '#2fa8c8',
+      customHigh: '#f4f1d0',
+      autoRange: false,
+      rangeMin: 0.0,
+      rangeMax: 1.5,
+      showLegend: true,
     };
 
-    let pistonTime = Math.PI * 0.5;
+    const pistonDriver = new PistonDriver();
     const gridBoxSize = [BOX_WIDTH, BOX_HEIGHT, MAX_BOX_DEPTH];
+    renderer.setDomainBox(gridBoxSize);
     let currentParticleCount = DEFAULT_PARTICLE_COUNT;
-    let realBoxSize = [BOX_WIDTH, BOX_HEIGHT, worldSettings.boxLength];
-    let previousDepth = realBoxSize[2];
+    let seedRegions = null;
+    let obstacleList = [];
+    let flowSetup = { emitters: [], drains: [] };
+    let checkpoint = null;
+    // Set while a snapshot is being read back from the GPU.
+    let snapshotPending = false;
+    let exportPending = false;
+    let realBoxSize = [worldSettings.boxWidth, worldSettings.boxHeight, worldSettings.boxLength];
     let uniformsNeedUpdate = true;
+    let rulerNeedsUpdate = true;
+    let framesSinceAutoRange = 0;
+    let framesSinceProfilerUpdate = 0;
+    let framesSinceTimeStepDisplay = 0;
+    let framesSinceCameraPathDisplay = 0;
+    let autoRangePending = false;
 
     const controllerRefs = {};
     const gui = new dat.GUI();
@@ -149,6 +355,7 @@ async function main() {
       worldSettings.boxLength = Math.max(BASE_BOX_DEPTH, Math.min(MAX_BOX_DEPTH, worldSettings.boxLength));
       worldSettings.fluidLength = Math.max(40, Math.min(worldSettings.boxLength, worldSettings.fluidLength));
       pistonSettings.minLength = Math.max(60, Math.min(worldSettings.boxLength, pistonSettings.minLength));
+      pistonSettings.minWidth = Math.max(20, Math.min(worldSettings.boxWidth, pistonSettings.minWidth));
       pistonSettings.period = Math.max(0.5, pistonSettings.period);
       pistonSettings.power = Math.max(0.0, Math.min(2.0, pistonSettings.power));
       pistonSettings.pushWidth = Math.max(0.5, Math.min(8.0, pistonSettings.pushWidth));
@@ -171,29 +378,164 @@ async function main() {
       simulator.setInitialFluidDepth(worldSettings.fluidLength);
       simulator.setBoundaryCouplingWidth(pistonSettings.pushWidth);
       simulator.setPistonPower(pistonSettings.power);
+      pistonDriver.enabled = pistonSettings.pistonEnabled;
+      pistonDriver.profile = pistonSettings.profile;
+      pistonDriver.period = pistonSettings.period;
+      [pistonSettings.harmonic2, pistonSettings.harmonic3].forEach((amplitude, index) => {
+        if (pistonDriver.harmonics[index + 1]) {
+          pistonDriver.harmonics[index + 1].amplitude = amplitude;
+        }
+      });
+      if (pistonDriver.axis !== pistonSettings.axis) {
+        pistonDriver.setAxis(pistonSettings.axis);
+      }
+      renderer.setPistonAxis(pistonDriver.axisIndex);
       renderUniformsViews.render_z_offset[0] = getRenderZOffset();
       renderUniformsViews.box_anchor_z[0] = worldSettings.boxLength;
     }
 
+    function fullBoxSize() {
+      return [worldSettings.boxWidth, worldSettings.boxHeight, worldSettings.boxLength];
+    }
+
+    // Innermost position of the wall the piston drives.
+    function pistonMinExtent() {
+      return pistonSettings.axis === 'x' ? pistonSettings.minWidth : pistonSettings.minLength;
+    }
+
+    async function loadPistonTable() {
+      const file = await openFile('.csv,.txt,text/csv,text/plain');
+      if (!file) {
+        return;
+      }
+      try {
+        pistonDriver.keyframes = parsePistonTable(await file.text());
+        pistonSettings.profile = 'keyframes';
+        applyLiveSettings();
+        pistonDriver.restart();
+        refreshControllerDisplays();
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      }
+    }
+
+    function applyMaterialSettings() {
+      simulator.setMaterial({
+        stiffness: materialSettings.stiffness,
+        restDensity: materialSettings.restDensity,
+        viscosity: materialSettings.viscosity,
+        gravity: materialSettings.gravity,
+        dt: materialSettings.dt,
+      });
+    }
+
+    function defaultColorRange(attribute) {
+      switch (attribute) {
+        case 'velocity x':
+        case 'velocity y':
+        case 'velocity z':
+          return [-1.5, 1.5];
+        case 'height':
+          return [0, worldSettings.boxHeight];
+        case 'density':
+          return [0, 2 * materialSettings.restDensity];
+        case 'source':
+          return [0, Math.max(1, simulator.sourceCount - 1)];
+        case 'material':
+          // One flat band per phase, centred on its index.
+          return [-0.5, simulator.phases.length - 0.5];
+        default:
+          return [0, 1.5];
+      }
+    }
+
+    function applyColorSettings() {
+      // Phases get their own fixed colors rather than a stretch of the palette.
+      const byPhase = colorSettings.colorBy === 'material';
+      const lut = byPhase
+        ? buildCategoryLUT(simulator.phases.map((phase) => phase.color))
+        : buildColorLUT(colorSettings.palette, [colorSettings.customLow, colorSettings.customMid, colorSettings.customHigh]);
+      const [min, max] = byPhase ? defaultColorRange('material') : [colorSettings.rangeMin, colorSettings.rangeMax];
+      renderer.setColorMap(colorSettings.colorBy, min, max);
+      renderer.setColorLUT(lut);
+      colorLegend.update({
+        title: byPhase ? simulator.phases.map((phase) => phase.name).join(' / ') : colorSettings.colorBy,
+        lut,
+        min,
+        max,
+      });
+      colorLegend.setVisible(colorSettings.showLegend && renderingSettings.renderMode !== 'fluid');
+    }
+
+    function updateAutoRange() {
+      autoRangePending = true;
+      exporter.readPosVel(simulator.numParticles).then((posvel) => {
+        const range = computeAttributeRange(posvel, simulator.numParticles, colorSettings.colorBy);
+        if (range && colorSettings.autoRange) {
+          colorSettings.rangeMin = range.min;
+          colorSettings.rangeMax = range.max;
+          applyColorSettings();
+          controllerRefs.rangeMin.updateDisplay();
+          controllerRefs.rangeMax.updateDisplay();
+        }
+      }).catch((error) => {
+        console.error(error);
+      }).finally(() => {
+        autoRangePending = false;
+      });
+    }
+
+    function handleResize() {
+      renderUniformsViews.texel_size.set([1.0 / canvas.width, 1.0 / canvas.height]);
+      camera.setAspect(canvas.width / canvas.height);
+      renderer.resize();
+      uniformsNeedUpdate = true;
+      rulerNeedsUpdate = true;
+    }
+
     function resetCameraView() {
       applyLiveSettings();
-      camera.reset(canvasElement, DEFAULT_CAMERA_DISTANCE, [BOX_WIDTH / 2, 18, getCameraTargetZ()], fov, zoomRate);
+      camera.reset(canvasElement, DEFAULT_CAMERA_DISTANCE, [worldSettings.boxWidth / 2, 18, getCameraTargetZ()], fov, zoomRate);
       camera.setCameraMode(cameraSettings.cameraMode);
       uniformsNeedUpdate = true;
     }
 
+    // Preset views frame the box as it is now, piston stroke included.
+    function frameRealBox(view) {
+      const offset = getRenderZOffset();
+      camera.frameBox(view, [0, 0, offset], [realBoxSize[0], realBoxSize[1], realBoxSize[2] + offset]);
+      cameraSettings.cameraMode = camera.mode;
+      refreshControllerDisplays();
+    }
+
+    function updateRuler() {
+      const visible = cameraSettings.showRuler && camera.projection === 'orthographic';
+      ruler.setVisible(visible);
+      if (!visible) {
+        return;
+      }
+      const rect = canvasElement.getBoundingClientRect();
+      const invView = renderUniformsViews.inv_view_matrix;
+      ruler.update({
+        rect,
+        unitsPerPixel: camera.unitsPerPixel(rect.height),
+        center: [invView[12], invView[13], invView[14] - getRenderZOffset()],
+        right: [invView[0], invView[1], invView[2]],
+        up: [invView[4], invView[5], invView[6]],
+      });
+    }
+
     function resetSimulation({ resetTime = true, resetCamera = true } = {}) {
       applyLiveSettings();
-      const activeBoxSize = [BOX_WIDTH, BOX_HEIGHT, worldSettings.boxLength];
+      const activeBoxSize = [worldSettings.boxWidth, worldSettings.boxHeight, worldSettings.boxLength];
       simulator.reset(currentParticleCount, gridBoxSize, activeBoxSize);
       realBoxSize = [...activeBoxSize];
-      previousDepth = realBoxSize[2];
       if (resetTime) {
-        pistonTime = Math.PI * 0.5;
-      }
-      if (!pistonSettings.pistonEnabled) {
-        realBoxSize[2] = worldSettings.boxLength;
-        previousDepth = realBoxSize[2];
+        pistonDriver.restart();
+      } else {
+        pistonDriver.syncExtent(realBoxSize);
       }
       if (resetCamera) {
         resetCameraView();
@@ -203,27 +545,456 @@ async function main() {
       renderUniformsViews.box_anchor_z[0] = worldSettings.boxLength;
       device.queue.writeBuffer(renderUniformBuffer, 0, renderUniformsValues);
       uniformsNeedUpdate = false;
+      rulerNeedsUpdate = true;
       refreshControllerDisplays();
     }
 
     function addMoreParticles() {
-      const centerX = BOX_WIDTH / 2;
-      const centerY = BOX_HEIGHT / 2;
+      const centerX = realBoxSize[0] / 2;
+      const centerY = realBoxSize[1] / 2;
       const centerZ = Math.max(10, realBoxSize[2] - 18);
       const sphereRadius = 5;
       const numSphereParticles = 10000;
 
-      simulator.addSphere(centerX, centerY, centerZ, sphereRadius, numSphereParticles);
+      simulator.addSphere(centerX, centerY, centerZ, sphereRadius, numSphereParticles, phaseIndex(simulator.phases, simulationSettings.blobPhase));
+    }
+
+    function dropCube() {
+      const halfSize = 6;
+      const centerZ = Math.max(halfSize + 4, realBoxSize[2] - 24);
+      simulator.addCube(realBoxSize[0] / 2, realBoxSize[1] / 2, centerZ, halfSize, 10000, phaseIndex(simulator.phases, simulationSettings.cubePhase));
+    }
+
+    /**
+     * Substeps and dt for a frame lasting `frameSeconds`. Fixed stepping runs
+     * two substeps (Substeps / Frame while recording) of the material time step;
+     * adaptive stepping covers the frame's share of simulation time under the
+     * CFL limit, with the recording substeps as a minimum.
+     */
+    function planTimeStep(frameSeconds, recording) {
+      if (!timeStepSettings.adaptive) {
+        return fixedSubsteps(recording ? recorder.substepsPerFrame : 2, materialSettings.dt);
+      }
+      const minSubsteps = recording ? recorder.substepsPerFrame : 1;
+      return chooseSubsteps(frameSeconds * timeStepSettings.simTimePerSecond, simulator.maxSpeed, {
+        cfl: timeStepSettings.cfl,
+        maxDt: materialSettings.dt,
+        minSubsteps,
+        maxSubsteps: Math.max(timeStepSettings.maxSubsteps, minSubsteps),
+      });
+    }
+
+    function showTimeStep(step) {
+      timeStepSettings.substeps = step.substeps;
+      timeStepSettings.stepSize = Number(step.dt.toFixed(4));
+      timeStepSettings.maxSpeed = Number(simulator.maxSpeed.toFixed(3));
+      controllerRefs.substeps.updateDisplay();
+      controllerRefs.stepSize.updateDisplay();
+      controllerRefs.maxSpeed.updateDisplay();
+    }
+
+    function exportTimings() {
+      const timings = { ...profiler.toJSON(), workgroupSizes: simulator.workgroupSizes };
+      downloadText(JSON.stringify(timings, null, 2), timestampedName('timings', 'json'), 'application/json');
+    }
+
+    // Uses the sizes stored for this adapter unless `force`; measuring runs the kernels on the live particles.
+    async function tuneWorkgroups(force = false) {
+      if (tuningWorkgroups) {
+        return;
+      }
+      tuningWorkgroups = true;
+      try {
+        if (force) {
+          workgroupOptimizer.clearCache();
+        }
+        const { sizes, fromCache } = await simulator.tuneWorkgroupSizes(workgroupOptimizer, { force });
+        if (!fromCache) {
+          resetSimulation({ resetTime: true, resetCamera: false });
+        }
+        profilerSettings.workgroupSizes = Object.values(sizes).join(' / ');
+        profilerSettings.workgroupTimings = fromCache ? 'cached' : workgroupOptimizer.timingSummary(Object.keys(sizes));
+        controllerRefs.workgroupSizes.updateDisplay();
+        controllerRefs.workgroupTimings.updateDisplay();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      } finally {
+        tuningWorkgroups = false;
+      }
+    }
+
+    function applyObstacles(obstacles) {
+      try {
+        obstacleSet.set(obstacles);
+        obstacleList = obstacles;
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      }
+    }
+
+    function newObstacleCenter() {
+      return [obstacleSettings.centerX, obstacleSettings.centerY, obstacleSettings.centerZ];
+    }
+
+    function newObstacleSize() {
+      return [obstacleSettings.sizeX, obstacleSettings.sizeY, obstacleSettings.sizeZ];
+    }
+
+    function addObstacle() {
+      applyObstacles([...obstacleList, createObstacle(obstacleSettings.kind, newObstacleCenter(), newObstacleSize(), obstacleSettings.friction)]);
+    }
+
+    async function loadMeshObstacle() {
+      const file = await openFile('.obj');
+      if (!file) {
+        return;
+      }
+      try {
+        const mesh = parseOBJ(await file.text());
+        applyObstacles([...obstacleList, createObstacle('mesh', newObstacleCenter(), newObstacleSize(), obstacleSettings.friction, mesh)]);
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      }
+    }
+
+    function applyFlow(flow) {
+      try {
+        simulator.setDrains(flow.drains);
+        simulator.setEmitters(flow.emitters);
+        flowSetup = flow;
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      }
+    }
+
+    function flowCenter() {
+      return [flowSettings.centerX, flowSettings.centerY, flowSettings.centerZ];
+    }
+
+    function flowSize() {
+      return [flowSettings.sizeX, flowSettings.sizeY, flowSettings.sizeZ];
+    }
+
+    function addEmitter() {
+      const velocity = [flowSettings.velocityX, flowSettings.velocityY, flowSettings.velocityZ];
+      const material = phaseIndex(simulator.phases, flowSettings.phase);
+      const emitter = createEmitter(flowSettings.emitterShape, flowCenter(), flowSize(), velocity, flowSettings.rate, material);
+      applyFlow({ ...flowSetup, emitters: [...flowSetup.emitters, emitter] });
+    }
+
+    function addDrain() {
+      applyFlow({ ...flowSetup, drains: [...flowSetup.drains, createDrain(flowSettings.drainShape, flowCenter(), flowSize())] });
+    }
+
+    function buildScene() {
+      return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        box: {
+          width: worldSettings.boxWidth,
+          height: worldSettings.boxHeight,
+          length: worldSettings.boxLength,
+        },
+        fluid: {
+          particleCount: currentParticleCount,
+          seedLength: worldSettings.fluidLength,
+          ...(seedRegions ? { regions: seedRegions } : {}),
+        },
+        piston: {
+          enabled: pistonSettings.pistonEnabled,
+          minLength: pistonSettings.minLength,
+          period: pistonSettings.period,
+          power: pistonSettings.power,
+          pushWidth: pistonSettings.pushWidth,
+          phase: pistonDriver.phase,
+          time: pistonDriver.time,
+          profile: pistonSettings.profile,
+          axis: pistonSettings.axis,
+          minWidth: pistonSettings.minWidth,
+          harmonics: pistonDriver.harmonics,
+          ...(pistonDriver.keyframes.length > 0 ? { keyframes: pistonDriver.keyframes } : {}),
+        },
+        material: {
+          stiffness: materialSettings.stiffness,
+          restDensity: materialSettings.restDensity,
+          viscosity: materialSettings.viscosity,
+          gravity: materialSettings.gravity,
+          dt: materialSettings.dt,
+        },
+        timeStep: {
+          adaptive: timeStepSettings.adaptive,
+          cfl: timeStepSettings.cfl,
+          maxSubsteps: timeStepSettings.maxSubsteps,
+          simTimePerSecond: timeStepSettings.simTimePerSecond,
+        },
+        camera: camera.getPose(),
+        ...(cameraPath.keyframes.length > 0 ? { cameraPath: cameraPath.toJSON() } : {}),
+        ...(obstacleList.length > 0 ? { obstacles: obstacleList } : {}),
+        ...(flowSetup.emitters.length > 0 ? { emitters: flowSetup.emitters } : {}),
+        ...(flowSetup.drains.length > 0 ? { drains: flowSetup.drains } : {}),
+      };
+    }
+
+    function applyScene(scene) {
+      worldSettings.boxWidth = scene.box.width;
+      worldSettings.boxHeight = scene.box.height;
+      worldSettings.boxLength = scene.box.length;
+      worldSettings.fluidLength = scene.fluid.seedLength;
+      currentParticleCount = scene.fluid.particleCount;
+      seedRegions = scene.fluid.regions || null;
+      simulator.setSeedRegions(seedRegions);
+
+      pistonSettings.pistonEnabled = scene.piston.enabled;
+      pistonSettings.minLength = scene.piston.minLength;
+      pistonSettings.period = scene.piston.period;
+      pistonSettings.power = scene.piston.power;
+      pistonSettings.pushWidth = scene.piston.pushWidth;
+      // Profile fields are optional so scenes saved before they existed keep the sine wave.
+      pistonSettings.profile = scene.piston.profile || 'sine';
+      pistonSettings.axis = scene.piston.axis || 'z';
+      pistonSettings.minWidth = scene.piston.minWidth ?? DEFAULT_MIN_WIDTH;
+      pistonDriver.harmonics = (scene.piston.harmonics || defaultHarmonics).map((harmonic) => ({ ...harmonic }));
+      pistonSettings.harmonic2 = pistonDriver.harmonics[1]?.amplitude ?? 0;
+      pistonSettings.harmonic3 = pistonDriver.harmonics[2]?.amplitude ?? 0;
+      pistonDriver.keyframes = scene.piston.keyframes || [];
+
+      Object.assign(materialSettings, scene.material);
+      applyMaterialSettings();
+      // Scenes saved before adaptive stepping existed get its defaults.
+      const { adaptive, cfl, maxSubsteps, simTimePerSecond } = { ...defaultTimeStepSettings, ...scene.timeStep };
+      Object.assign(timeStepSettings, { adaptive, cfl, maxSubsteps, simTimePerSecond });
+      applyObstacles(scene.obstacles || []);
+      applyFlow({ emitters: scene.emitters || [], drains: scene.drains || [] });
+
+      cameraSettings.cameraMode = scene.camera.mode;
+      resetSimulation({ resetTime: true, resetCamera: true });
+      pistonDriver.seek(scene.piston.phase, scene.piston.time);
+      camera.setPose(scene.camera);
+      cameraSettings.projection = camera.projection;
+      if (scene.cameraPath) {
+        cameraPath.load(scene.cameraPath);
+      } else {
+        cameraPath.clear();
+      }
+      showCameraPath();
+      uniformsNeedUpdate = true;
+      refreshControllerDisplays();
+    }
+
+    function saveScene() {
+      downloadText(serializeScene(buildScene()), timestampedName('scene', 'json'), 'application/json');
+    }
+
+    async function loadScene() {
+      const file = await openFile('.json,application/json');
+      if (!file) {
+        return;
+      }
+      try {
+        applyScene(parseScene(await file.text(), SCENE_LIMITS));
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      }
+    }
+
+    function captureSnapshot() {
+      return simulator.saveSnapshot(pistonDriver.phase);
     }
 
+    function restoreSnapshot(buffer) {
+      const { boxSize, pistonPhase } = simulator.loadSnapshot(buffer);
+      // The driven wall may have been mid-stroke; keep the open box size for that axis.
+      if (pistonSettings.axis !== 'x') {
+        worldSettings.boxWidth = boxSize[0];
+      }
+      worldSettings.boxHeight = boxSize[1];
+      if (boxSize[2] > worldSettings.boxLength) {
+        worldSettings.boxLength = Math.min(MAX_BOX_DEPTH, Math.ceil(boxSize[2]));
+      }
+      applyLiveSettings();
+      realBoxSize = [...boxSize];
+      pistonDriver.seek(pistonPhase);
+      pistonDriver.syncExtent(realBoxSize);
+      uniformsNeedUpdate = true;
+      refreshControllerDisplays();
+    }
+
+    async function takeCheckpoint() {
+      if (snapshotPending) {
+        return;
+      }
+      snapshotPending = true;
+      try {
+        checkpoint = await captureSnapshot();
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      } finally {
+        snapshotPending = false;
+      }
+    }
+
+    function rewindToCheckpoint() {
+      if (checkpoint) {
+        restoreSnapshot(checkpoint);
+      }
+    }
+
+    async function downloadSnapshot() {
+      if (snapshotPending) {
+        return;
+      }
+      snapshotPending = true;
+      try {
+        const snapshot = await captureSnapshot();
+        downloadBlob(new Blob([snapshot], { type: 'application/octet-stream' }), timestampedName('snapshot', 'mpms'));
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      } finally {
+        snapshotPending = false;
+      }
+    }
+
+    async function loadSnapshotFile() {
+      const file = await openFile('.mpms,application/octet-stream');
+      if (!file) {
+        return;
+      }
+      try {
+        restoreSnapshot(await file.arrayBuffer());
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      }
+    }
+
+    async function exportFrame() {
+      if (exportPending) {
+        return;
+      }
+      exportPending = true;
+      try {
+        const format = exportSettings.format;
+        await simulator.syncParticleCount();
+        const blob = await exporter.exportFrame(simulator.numParticles, format);
+        downloadBlob(blob, timestampedName('particles', format));
+        clearErrorMessage();
+      } catch (error) {
+        showErrorMessage(error.message);
+        console.error(error);
+      } finally {
+        exportPending = false;
+      }
+    }
+
+    function showCameraPath() {
+      cameraPathSettings.keyframes = cameraPath.keyframes.length;
+      cameraPathSettings.time = cameraPath.time;
+      cameraPathSettings.loop = cameraPath.loop;
+      controllerRefs.toggleCameraPath.name(cameraPath.playing ? 'Stop Path' : 'Play Path');
+      refreshControllerDisplays();
+    }
+
+    // Appends the current view one spacing after the last keyframe.
+    function addCameraKeyframe() {
+      const time = cameraPath.keyframes.length > 0 ? cameraPath.duration + cameraPathSettings.keyframeSpacing : 0;
+      cameraPath.addKeyframe(time, camera.getPose(), cameraPathSettings.easing);
+      showCameraPath();
+    }
+
+    function removeLastCameraKeyframe() {
+      if (cameraPath.keyframes.length > 0) {
+        cameraPath.removeKeyframe(cameraPath.keyframes.length - 1);
+        showCameraPath();
+      }
+    }
+
+    function clearCameraPath() {
+      cameraPath.clear();
+      showCameraPath();
+    }
+
+    function toggleCameraPath() {
+      if (cameraPath.playing) {
+        cameraPath.stop();
+      } else if (!cameraPath.play(cameraPath.time < cameraPath.duration ? cameraPath.time : 0)) {
+        showErrorMessage('A camera path needs at least two keyframes');
+      }
+      showCameraPath();
+    }
+
+    function applyCameraPose(pose) {
+      camera.setPose(pose);
+      if (cameraSettings.cameraMode !== pose.mode || cameraSettings.projection !== camera.projection) {
+        cameraSettings.cameraMode = pose.mode;
+        cameraSettings.projection = camera.projection;
+        controllerRefs.cameraMode.updateDisplay();
+        controllerRefs.projection.updateDisplay();
+      }
+    }
+
+    function toggleRecording() {
+      if (recorder.recording) {
+        recorder.stop();
+        controllerRefs.toggleRecording.name('Start Recording');
+        return;
+      }
+      if (recordSettings.restartFromSeed) {
+        simulator.setRandomSeed(recordSettings.seed);
+        resetSimulation({ resetTime: true, resetCamera: false });
+        simulator.setRandomSeed(null);
+      }
+      // The first recorded frame shows time 0 and each one after steps the fixed frame duration.
+      if (cameraPathSettings.playWhileRecording && cameraPath.play(0)) {
+        showCameraPath();
+      }
+      recorder.start({
+        fps: recordSettings.fps,
+        substepsPerFrame: recordSettings.substepsPerFrame,
+        particleFormat: recordSettings.particleDump,
+        output: recordSettings.output,
+      });
+      recordSettings.framesRecorded = 0;
+      controllerRefs.toggleRecording.name('Stop Recording');
+      refreshControllerDisplays();
+    }
+
+    gui.add(shortcutOverlay, 'toggle').name('Keyboard Shortcuts (?)');
+
+    const sceneFolder = gui.addFolder('Scene');
+    sceneFolder.add(sceneSettings, 'saveScene').name('Save Scene');
+    sceneFolder.add(sceneSettings, 'loadScene').name('Load Scene');
+    sceneFolder.open();
+
     const simulationFolder = gui.addFolder('Simulation');
     controllerRefs.isPaused = simulationFolder.add(simulationSettings, 'isPaused').name('Pause Simulation').onChange((value) => {
       simulationSettings.isPaused = value;
     });
+    simulationFolder.add(simulationSettings, 'blobPhase', defaultPhases.map((phase) => phase.name)).name('Added Particle Phase');
     simulationFolder.add(simulationSettings, 'addParticles').name('Add 10,000 Particles');
+    simulationFolder.add(simulationSettings, 'cubePhase', defaultPhases.map((phase) => phase.name)).name('Cube Phase');
+    simulationFolder.add(simulationSettings, 'dropCube').name('Drop Cube');
     simulationFolder.add(simulationSettings, 'resetSimulation').name('Reset Fluid');
     simulationFolder.open();
 
+    const snapshotFolder = gui.addFolder('Snapshots');
+    snapshotFolder.add(snapshotSettings, 'checkpoint').name('Save Checkpoint');
+    snapshotFolder.add(snapshotSettings, 'rewind').name('Rewind to Checkpoint');
+    snapshotFolder.add(snapshotSettings, 'download').name('Download Snapshot');
+    snapshotFolder.add(snapshotSettings, 'load').name('Load Snapshot File');
+
     const worldFolder = gui.addFolder('World');
     controllerRefs.boxLength = worldFolder.add(worldSettings, 'boxLength', BASE_BOX_DEPTH, MAX_BOX_DEPTH, 5).name('Box Length').onChange(() => {
       applyLiveSettings();
@@ -233,6 +1004,8 @@ async function main() {
       resetSimulation({ resetTime: true, resetCamera: false });
     });
     controllerRefs.fluidLength = worldFolder.add(worldSettings, 'fluidLength', 40, MAX_BOX_DEPTH, 5).name('Fluid Seed').onChange(() => {
+      seedRegions = null;
+      simulator.setSeedRegions(null);
       applyLiveSettings();
       refreshControllerDisplays();
     }).onFinishChange(() => {
@@ -240,26 +1013,96 @@ async function main() {
     });
     worldFolder.open();
 
+    const obstacleFolder = gui.addFolder('Obstacles');
+    obstacleFolder.add(obstacleSettings, 'preset', Object.keys(obstaclePresets)).name('Preset').onChange((value) => {
+      applyObstacles(obstaclePresets[value]([worldSettings.boxWidth, worldSettings.boxHeight, worldSettings.boxLength]));
+      resetSimulation({ resetTime: true, resetCamera: false });
+    });
+    obstacleFolder.add(obstacleSettings, 'kind', obstacleKinds.filter((kind) => kind !== 'mesh')).name('Shape');
+    obstacleFolder.add(obstacleSettings, 'centerX', 0, BOX_WIDTH, 0.5).name('Center X');
+    obstacleFolder.add(obstacleSettings, 'centerY', 0, BOX_HEIGHT, 0.5).name('Center Y');
+    obstacleFolder.add(obstacleSettings, 'centerZ', 0, MAX_BOX_DEPTH, 0.5).name('Center Z');
+    obstacleFolder.add(obstacleSettings, 'sizeX', 0.5, 50, 0.5).name('Half Size X / Radius');
+    obstacleFolder.add(obstacleSettings, 'sizeY', 0.5, 50, 0.5).name('Half Size Y');
+    obstacleFolder.add(obstacleSettings, 'sizeZ', 0.5, 50, 0.5).name('Half Size Z');
+    obstacleFolder.add(obstacleSettings, 'friction', 0, 1, 0.05).name('Friction');
+    obstacleFolder.add(obstacleSettings, 'addObstacle').name('Add Obstacle');
+    obstacleFolder.add(obstacleSettings, 'loadMesh').name('Add Mesh (OBJ)');
+    obstacleFolder.add(obstacleSettings, 'removeLast').name('Remove Last');
+    obstacleFolder.add(obstacleSettings, 'clear').name('Clear Obstacles');
+
+    const flowFolder = gui.addFolder('Emitters & Drains');
+    flowFolder.add(flowSettings, 'preset', Object.keys(flowPresets)).name('Preset').onChange((value) => {
+      applyFlow(flowPresets[value]([worldSettings.boxWidth, worldSettings.boxHeight, worldSettings.boxLength]));
+    });
+    flowFolder.add(flowSettings, 'emitterShape', emitterShapes).name('Emitter Shape');
+    flowFolder.add(flowSettings, 'drainShape', drainShapes).name('Drain Shape');
+    flowFolder.add(flowSettings, 'centerX', 0, BOX_WIDTH, 0.5).name('Center X');
+    flowFolder.add(flowSettings, 'centerY', 0, BOX_HEIGHT, 0.5).name('Center Y');
+    flowFolder.add(flowSettings, 'centerZ', 0, MAX_BOX_DEPTH, 0.5).name('Center Z');
+    flowFolder.add(flowSettings, 'sizeX', 0.5, 50, 0.5).name('Half Size X / Radius');
+    flowFolder.add(flowSettings, 'sizeY', 0.5, 50, 0.5).name('Half Size Y');
+    flowFolder.add(flowSettings, 'sizeZ', 0.5, 50, 0.5).name('Half Size Z');
+    flowFolder.add(flowSettings, 'velocityX', -10, 10, 0.1).name('Velocity X');
+    flowFolder.add(flowSettings, 'velocityY', -10, 10, 0.1).name('Velocity Y');
+    flowFolder.add(flowSettings, 'velocityZ', -10, 10, 0.1).name('Velocity Z');
+    flowFolder.add(flowSettings, 'rate', 1, 500, 1).name('Particles / Substep');
+    flowFolder.add(flowSettings, 'phase', defaultPhases.map((phase) => phase.name)).name('Emitter Phase');
+    flowFolder.add(flowSettings, 'addEmitter').name('Add Emitter');
+    flowFolder.add(flowSettings, 'addDrain').name('Add Drain');
+    flowFolder.add(flowSettings, 'clear').name('Clear Emitters & Drains');
+
+    const mouseForceFolder = gui.addFolder('Mouse Force');
+    mouseForceFolder.add(mouseForceSettings, 'enabled').name(`Drag Applies Force (${cameraModifierKey}+Drag: Camera)`).onChange((value) => {
+      mouseForceTool.setEnabled(value);
+    });
+    mouseForceFolder.add(mouseForceSettings, 'mode', mouseForceModes).name('Mode');
+    mouseForceFolder.add(mouseForceSettings, 'strength', 0.5, 20, 0.5).name('Strength');
+    mouseForceFolder.add(mouseForceSettings, 'radius', 2, 30, 1).name('Radius');
+
     const pistonFolder = gui.addFolder('Piston Controls');
     controllerRefs.pistonEnabled = pistonFolder.add(pistonSettings, 'pistonEnabled').name('Enable Piston').onChange((value) => {
       pistonSettings.pistonEnabled = value;
+      applyLiveSettings();
       if (value) {
-        pistonTime = Math.PI * 0.5;
+        pistonDriver.restart();
       } else {
-        realBoxSize[2] = worldSettings.boxLength;
-        previousDepth = realBoxSize[2];
+        realBoxSize = fullBoxSize();
+        pistonDriver.syncExtent(realBoxSize);
         uniformsNeedUpdate = true;
       }
     });
+    controllerRefs.pistonProfile = pistonFolder.add(pistonSettings, 'profile', pistonProfiles).name('Profile').onChange(() => {
+      applyLiveSettings();
+      pistonDriver.restart();
+    });
+    controllerRefs.pistonAxis = pistonFolder.add(pistonSettings, 'axis', pistonAxes).name('Driven Wall').onChange(() => {
+      applyLiveSettings();
+      realBoxSize = fullBoxSize();
+      pistonDriver.syncExtent(realBoxSize);
+      uniformsNeedUpdate = true;
+    });
     controllerRefs.minLength = pistonFolder.add(pistonSettings, 'minLength', 60, MAX_BOX_DEPTH, 5).name('Min Length').onChange(() => {
       applyLiveSettings();
       uniformsNeedUpdate = true;
       refreshControllerDisplays();
     });
+    controllerRefs.minWidth = pistonFolder.add(pistonSettings, 'minWidth', 20, BOX_WIDTH, 5).name('Min Width (X Wall)').onChange(() => {
+      applyLiveSettings();
+      uniformsNeedUpdate = true;
+      refreshControllerDisplays();
+    });
     controllerRefs.period = pistonFolder.add(pistonSettings, 'period', 1.0, 16.0, 0.1).name('Period (s)').onChange(() => {
-      clampSettings();
+      applyLiveSettings();
       refreshControllerDisplays();
     });
+    controllerRefs.harmonic2 = pistonFolder.add(pistonSettings, 'harmonic2', -1.0, 1.0, 0.05).name('2nd Harmonic').onChange(() => {
+      applyLiveSettings();
+    });
+    controllerRefs.harmonic3 = pistonFolder.add(pistonSettings, 'harmonic3', -1.0, 1.0, 0.05).name('3rd Harmonic').onChange(() => {
+      applyLiveSettings();
+    });
+    pistonFolder.add(pistonSettings, 'loadTable').name('Load Motion CSV');
     controllerRefs.power = pistonFolder.add(pistonSettings, 'power', 0.0, 2.0, 0.05).name('Power').onChange(() => {
       applyLiveSettings();
     });
@@ -268,33 +1111,174 @@ async function main() {
     });
     pistonFolder.open();
 
+    const materialFolder = gui.addFolder('Material');
+    controllerRefs.materialPreset = materialFolder.add(materialSettings, 'preset', Object.keys(MATERIAL_PRESETS)).name('Preset').onChange((value) => {
+      Object.assign(materialSettings, MATERIAL_PRESETS[value]);
+      applyMaterialSettings();
+      refreshControllerDisplays();
+    });
+    controllerRefs.stiffness = materialFolder.add(materialSettings, 'stiffness', 0.5, 10.0, 0.1).name('Stiffness').onChange(applyMaterialSettings);
+    controllerRefs.restDensity = materialFolder.add(materialSettings, 'restDensity', 1.0, 8.0, 0.1).name('Rest Density').onChange(applyMaterialSettings);
+    controllerRefs.viscosity = materialFolder.add(materialSettings, 'viscosity', 0.0, 2.0, 0.01).name('Viscosity').onChange(applyMaterialSettings);
+    controllerRefs.gravity = materialFolder.add(materialSettings, 'gravity', -1.0, 0.0, 0.01).name('Gravity').onChange(applyMaterialSettings);
+    controllerRefs.dt = materialFolder.add(materialSettings, 'dt', 0.05, 0.3, 0.01).name('Time Step').onChange(applyMaterialSettings);
+    materialFolder.open();
+
+    const timeStepFolder = gui.addFolder('Time Stepping');
+    controllerRefs.adaptiveTimeStep = timeStepFolder.add(timeStepSettings, 'adaptive').name('Adaptive (CFL)');
+    controllerRefs.cfl = timeStepFolder.add(timeStepSettings, 'cfl', 0.1, 1.0, 0.05).name('CFL Number');
+    controllerRefs.maxSubsteps = timeStepFolder.add(timeStepSettings, 'maxSubsteps', 1, 16, 1).name('Max Substeps');
+    controllerRefs.simTimePerSecond = timeStepFolder.add(timeStepSettings, 'simTimePerSecond', 6, 60, 1).name('Sim Time / Second');
+    controllerRefs.substeps = timeStepFolder.add(timeStepSettings, 'substeps').name('Substeps');
+    controllerRefs.stepSize = timeStepFolder.add(timeStepSettings, 'stepSize').name('dt');
+    controllerRefs.maxSpeed = timeStepFolder.add(timeStepSettings, 'maxSpeed').name('Max Speed');
+
     const cameraFolder = gui.addFolder('Camera');
     controllerRefs.cameraMode = cameraFolder.add(cameraSettings, 'cameraMode', ['orbit', 'coolcal']).name('Camera Mode').onChange((value) => {
       cameraSettings.cameraMode = value;
       camera.setCameraMode(value);
     });
     cameraFolder.add(cameraSettings, 'resetView').name('Reset View');
+    controllerRefs.projection = cameraFolder.add(cameraSettings, 'projection', cameraProjections).name('Projection').onChange((value) => {
+      camera.setProjection(value);
+    });
+    cameraFolder.add(cameraSettings, 'front').name('Front View');
+    cameraFolder.add(cameraSettings, 'side').name('Side View');
+    cameraFolder.add(cameraSettings, 'top').name('Top View');
+    cameraFolder.add(cameraSettings, 'isometric').name('Isometric View');
+    cameraFolder.add(cameraSettings, 'showRuler').name('Show Ruler').onChange(() => {
+      rulerNeedsUpdate = true;
+    });
     cameraFolder.open();
 
+    const cameraPathFolder = gui.addFolder('Camera Path');
+    cameraPathFolder.add(cameraPathSettings, 'keyframeSpacing', 0.25, 30, 0.25).name('Spacing (s)');
+    cameraPathFolder.add(cameraPathSettings, 'easing', cameraEasingNames).name('Easing');
+    cameraPathFolder.add(cameraPathSettings, 'addKeyframe').name('Add Keyframe');
+    cameraPathFolder.add(cameraPathSettings, 'removeLastKeyframe').name('Remove Last Keyframe');
+    cameraPathFolder.add(cameraPathSettings, 'clearPath').name('Clear Path');
+    controllerRefs.cameraPathKeyframes = cameraPathFolder.add(cameraPathSettings, 'keyframes').name('Keyframes');
+    controllerRefs.cameraPathTime = cameraPathFolder.add(cameraPathSettings, 'time', 0).step(0.05).name('Time (s)').onChange((value) => {
+      // Scrubbing: show the pose at this time without starting playback.
+      cameraPath.time = Math.min(Math.max(value, 0), cameraPath.duration);
+      const pose = cameraPath.poseAt(cameraPath.time);
+      if (pose) {
+        applyCameraPose(pose);
+      }
+    });
+    cameraPathFolder.add(cameraPathSettings, 'speed', 0.1, 4, 0.05).name('Speed').onChange((value) => {
+      cameraPath.speed = value;
+    });
+    controllerRefs.cameraPathLoop = cameraPathFolder.add(cameraPathSettings, 'loop').name('Loop').onChange((value) => {
+      cameraPath.loop = value;
+    });
+    cameraPathFolder.add(cameraPathSettings, 'playWhileRecording').name('Play While Recording');
+    controllerRefs.toggleCameraPath = cameraPathFolder.add(cameraPathSettings, 'togglePlayback').name('Play Path');
+
+    const exportFolder = gui.addFolder('Export');
+    controllerRefs.exportFormat = exportFolder.add(exportSettings, 'format', exportFormats).name('Format');
+    exportFolder.add(exportSettings, 'exportFrame').name('Export Frame (E)');
+
+    const profilerFolder = gui.addFolder('Profiling');
+    profilerFolder.add(profilerSettings, 'enabled').name(profiler.supported ? 'Show GPU Timings' : 'Show CPU Timings').onChange((value) => {
+      profiler.setEnabled(value);
+      profilerOverlay.setVisible(value);
+    });
+    profilerFolder.add(profilerSettings, 'reset').name('Reset Timings');
+    profilerFolder.add(profilerSettings, 'exportTimings').name('Export Timings (JSON)');
+    controllerRefs.workgroupSizes = profilerFolder.add(profilerSettings, 'workgroupSizes').name('Workgroup Sizes');
+    controllerRefs.workgroupTimings = profilerFolder.add(profilerSettings, 'workgroupTimings').name('Tuned ms / Dispatch');
+    profilerFolder.add(profilerSettings, 'retuneWorkgroups').name('Retune Workgroups');
+
+    const recordingFolder = gui.addFolder('Recording');
+    recordingFolder.add(recordSettings, 'fps', 10, 120, 1).name('Frames / s');
+    recordingFolder.add(recordSettings, 'substepsPerFrame', 1, 16, 1).name('Substeps / Frame');
+    recordingFolder.add(recordSettings, 'particleDump', ['none', ...exportFormats]).name('Particle Dump');
+    recordingFolder.add(recordSettings, 'output', recordingOutputs).name('Output');
+    recordingFolder.add(recordSettings, 'restartFromSeed').name('Restart From Seed');
+    recordingFolder.add(recordSettings, 'seed', 0, 1000000, 1).name('Seed');
+    controllerRefs.framesRecorded = recordingFolder.add(recordSettings, 'framesRecorded').name('Frames Recorded');
+    controllerRefs.toggleRecording = recordingFolder.add(recordSettings, 'toggleRecording').name('Start Recording');
+
     const renderingFolder = gui.addFolder('Rendering');
     controllerRefs.showBoundary = renderingFolder.add(renderingSettings, 'showBoundary').name('Show Wall & Piston').onChange((value) => {
       renderingSettings.showBoundary = value;
       renderer.setBoundaryVisible(value);
     });
+    renderingFolder.add(renderingSettings, 'renderMode', renderModes).name('Render Mode').onChange((value) => {
+      renderer.setRenderMode(value);
+      applyColorSettings();
+    });
+    renderingFolder.add(renderingSettings, 'renderScale', ...renderScaleRange, 0.25).name('Render Scale').onChange((value) => {
+      resizer.setRenderScale(value);
+    });
+    renderingFolder.add(renderingSettings, 'frustumCulling').name('Frustum Culling').onChange((value) => {
+      renderer.setFrustumCulling(value);
+    });
     renderingFolder.open();
 
-    document.addEventListener('keydown', function(event) {
-      if (event.key.toLowerCase() === 'p') {
-        event.preventDefault();
+    const overlayFolder = gui.addFolder('Debug Overlays');
+    const overlayLabels = {
+      domainBox: 'Domain Box',
+      realBox: 'Real Box & Piston',
+      solverBounds: 'Clamp & Boundary Cells',
+      gridLattice: 'Grid Lattice',
+    };
+    debugOverlayNames.forEach((name) => {
+      overlayFolder.add(overlaySettings, name).name(overlayLabels[name]).onChange((value) => {
+        renderer.setDebugOverlay(name, value);
+      });
+    });
+    overlayFolder.add(overlaySettings, 'latticeSpacing', 1, 8, 1).name('Lattice Spacing').onChange((value) => {
+      renderer.setLatticeSpacing(value);
+    });
+
+    const colorFolder = gui.addFolder('Color Map');
+    colorFolder.add(colorSettings, 'colorBy', colorAttributes).name('Color By').onChange((value) => {
+      [colorSettings.rangeMin, colorSettings.rangeMax] = defaultColorRange(value);
+      controllerRefs.rangeMin.updateDisplay();
+      controllerRefs.rangeMax.updateDisplay();
+      applyColorSettings();
+    });
+    colorFolder.add(colorSettings, 'palette', colorPalettes).name('Palette').onChange(applyColorSettings);
+    colorFolder.addColor(colorSettings, 'customLow').name('Custom Low').onChange(applyColorSettings);
+    colorFolder.addColor(colorSettings, 'customMid').name('Custom Mid').onChange(applyColorSettings);
+    colorFolder.addColor(colorSettings, 'customHigh').name('Custom High').onChange(applyColorSettings);
+    colorFolder.add(colorSettings, 'autoRange').name('Auto Range').onChange(() => {
+      framesSinceAutoRange = AUTO_RANGE_INTERVAL_FRAMES;
+    });
+    controllerRefs.rangeMin = colorFolder.add(colorSettings, 'rangeMin').step(0.01).name('Range Min').onChange(applyColorSettings);
+    controllerRefs.rangeMax = colorFolder.add(colorSettings, 'rangeMax').step(0.01).name('Range Max').onChange(applyColorSettings);
+    colorFolder.add(colorSettings, 'showLegend').name('Show Legend').onChange(applyColorSettings);
+    applyColorSettings();
+
+    shortcuts.register('togglePause', {
+      label: 'Pause / resume',
+      group: 'Simulation',
+      keys: ['KeyP'],
+      run: () => {
         simulationSettings.isPaused = !simulationSettings.isPaused;
         refreshControllerDisplays();
-      }
+      },
     });
-
-    document.addEventListener('keydown', function(event) {
-      if (event.key.toLowerCase() === 'g') {
-        addMoreParticles();
-      }
+    shortcuts.register('addParticles', {
+      label: 'Add particles',
+      group: 'Simulation',
+      keys: ['KeyG'],
+      repeat: true,
+      run: () => addMoreParticles(),
+    });
+    shortcuts.register('exportFrame', {
+      label: 'Export particle frame',
+      group: 'Export',
+      keys: ['KeyE'],
+      run: () => exportFrame(),
+    });
+    shortcuts.registerHeld(camera.input, keyActionLabels, 'Camera (fly mode)');
+    shortcuts.register('showShortcuts', {
+      label: 'Show this list',
+      keys: ['Shift+Slash'],
+      run: () => shortcutOverlay.toggle(),
     });
 
     let errorLog = document.getElementById('error-reason');
@@ -305,31 +1289,47 @@ async function main() {
     });
 
     resetSimulation({ resetTime: false, resetCamera: true });
+    await tuneWorkgroups();
 
     let lastTime = performance.now();
     async function frame(currentTime) {
       stats.begin();
 
-      const deltaTime = (currentTime - lastTime) / 1000;
+      const recording = recorder.recording;
+      // Keep the frame size fixed while recording; a pending resize applies afterwards.
+      if (!recording && resizer.update()) {
+        handleResize();
+      }
+      const deltaTime = recording ? recorder.frameDuration : (currentTime - lastTime) / 1000;
       lastTime = currentTime;
 
-      camera.update(deltaTime);
+      const pathPose = cameraPath.advance(deltaTime);
+      if (pathPose) {
+        applyCameraPose(pathPose);
+        if (!cameraPath.playing || ++framesSinceCameraPathDisplay >= CAMERA_PATH_DISPLAY_INTERVAL_FRAMES) {
+          framesSinceCameraPathDisplay = 0;
+          showCameraPath();
+        }
+      } else {
+        camera.update(deltaTime);
+      }
       const cameraDirty = camera.consumeDirty();
       let pistonVelocity = 0;
+      let step = null;
 
-      if (!simulationSettings.isPaused) {
-        if (pistonSettings.pistonEnabled) {
-          const pistonAngularSpeed = (2 * Math.PI) / pistonSettings.period;
-          pistonTime += deltaTime * pistonAngularSpeed;
-          const pistonBlend = 0.5 + 0.5 * Math.sin(pistonTime);
-          realBoxSize[2] = pistonSettings.minLength + (worldSettings.boxLength - pistonSettings.minLength) * pistonBlend;
-        } else {
-          realBoxSize[2] = worldSettings.boxLength;
-        }
-
-        if (Math.abs(realBoxSize[2] - previousDepth) > 1e-3) {
-          pistonVelocity = (realBoxSize[2] - previousDepth) / Math.max(deltaTime, 1e-6);
-        }
+      if (recording) {
+        // Two takes only match if every recorded frame plans its substeps from
+        // the previous frame's measured speed and exact particle count, however
+        // long the GPU took to report them.
+        await Promise.all([simulator.syncMaxSpeed(), simulator.syncParticleCount()]);
+      }
+      if (!simulationSettings.isPaused && !tuningWorkgroups) {
+        const frameSeconds = recording ? deltaTime : Math.min(Math.max(deltaTime, 0), MAX_FRAME_SECONDS);
+        step = planTimeStep(frameSeconds, recording);
+        // Adaptive frames move the piston by the time they simulated, so it slows with the fluid.
+        // Fixed frames simulate the same time at any refresh rate, so the piston keeps to the clock.
+        const pistonSeconds = timeStepSettings.adaptive ? step.simTime / timeStepSettings.simTimePerSecond : frameSeconds;
+        ({ realBoxSize, pistonVelocity } = pistonDriver.update(pistonSeconds, fullBoxSize(), pistonMinExtent(), step.simTime));
         uniformsNeedUpdate = true;
       }
 
@@ -342,18 +1342,69 @@ async function main() {
       if (uniformsNeedUpdate || cameraDirty) {
         device.queue.writeBuffer(renderUniformBuffer, 0, renderUniformsValues);
       }
+      if (cameraDirty) {
+        renderer.setProjection(camera.projection, camera.orthoScale);
+      }
       uniformsNeedUpdate = false;
+      if (cameraDirty || rulerNeedsUpdate) {
+        updateRuler();
+        rulerNeedsUpdate = false;
+      }
 
+      profiler.beginFrame();
       const commandEncoder = device.createCommandEncoder();
 
-      simulator.changeBoxSize(realBoxSize, pistonVelocity);
-      if (!simulationSettings.isPaused) {
-        simulator.execute(commandEncoder);
+      simulator.changeBoxSize(realBoxSize, pistonVelocity, pistonDriver.axis);
+      const mouseRay = mouseForceTool.getRay();
+      simulator.setMouseForce(mouseRay && {
+        ...mouseRay,
+        mode: mouseForceSettings.mode,
+        strength: mouseForceSettings.strength,
+        radius: mouseForceSettings.radius,
+      });
+      if (step) {
+        simulator.execute(commandEncoder, step.substeps, step.dt);
       }
       renderer.execute(context, commandEncoder, simulator.numParticles);
+      profiler.resolve(commandEncoder);
 
       device.queue.submit([commandEncoder.finish()]);
-      previousDepth = realBoxSize[2];
+      profiler.endFrame();
+      simulator.readMaxSpeed();
+      simulator.readParticleCount();
+      // The PNG has to be taken before anything is awaited; see FrameRecorder.beginFrame.
+      const recordedFrame = recording ? recorder.beginFrame() : null;
+
+      if (step && ++framesSinceTimeStepDisplay >= TIME_STEP_DISPLAY_INTERVAL_FRAMES) {
+        framesSinceTimeStepDisplay = 0;
+        showTimeStep(step);
+      }
+
+      if (profilerSettings.enabled && ++framesSinceProfilerUpdate >= PROFILER_OVERLAY_INTERVAL_FRAMES) {
+        framesSinceProfilerUpdate = 0;
+        profilerOverlay.update(profiler);
+      }
+
+      if (colorSettings.autoRange && colorSettings.colorBy !== 'material' && !autoRangePending && ++framesSinceAutoRange >= AUTO_RANGE_INTERVAL_FRAMES) {
+        framesSinceAutoRange = 0;
+        updateAutoRange();
+      }
+
+      if (recording) {
+        try {
+          // The particle dump, and the next recorded frame, need the count after this frame's drains.
+          await simulator.syncParticleCount();
+          await recorder.finishFrame(recordedFrame, simulator.numParticles);
+          recordSettings.framesRecorded = recorder.frameIndex;
+          controllerRefs.framesRecorded.updateDisplay();
+        } catch (error) {
+          recorder.stop();
+          controllerRefs.toggleRecording.name('Start Recording');
+          showErrorMessage(error.message);
+          console.error(error);
+        }
+        lastTime = performance.now();
+      }
 
       stats.end();
       requestAnimationFrame(frame);
@@ -362,19 +1413,31 @@ async function main() {
     requestAnimationFrame(frame);
 
   } catch (error) {
-    const errorLog = document.getElementById('error-reason');
-    const message = error instanceof Error ? error.message : String(error);
-    if (errorLog) {
-      errorLog.textContent = message;
-      errorLog.style.color = 'red';
-      errorLog.style.background = 'rgba(255,255,255,0.85)';
-      errorLog.style.padding = '8px 12px';
-      errorLog.style.borderRadius = '6px';
-      errorLog.style.maxWidth = '80vw';
-      errorLog.style.zIndex = '9999';
-    }
+    showErrorMessage(error instanceof Error ? error.message : String(error));
     console.error(error);
   }
 }
 
+function clearErrorMessage() {
+  const errorLog = document.getElementById('error-reason');
+  if (errorLog) {
+    errorLog.textContent = '';
+    errorLog.removeAttribute('style');
+  }
+}
+
+function showErrorMessage(message) {
+  const errorLog = document.getElementById('error-reason');
+  if (errorLog) {
+    errorLog.textContent = message;
+    errorLog.style.color = 'red';
+    errorLog.style.background = 'rgba(255,255,255,0.85)';
+    errorLog.style.padding = '8px 12px';
+    errorLog.style.borderRadius = '6px';
+    errorLog.style.maxWidth = '80vw';
+    errorLog.style.whiteSpace = 'pre-line';
+    errorLog.style.zIndex = '9999';
+  }
+}
+
 main();
@@ -0,0 +1,96 @@
+struct Particle {
+    position: vec3f,
+    density: f32,
+    v: vec3f,
+    source: f32,
+    C: mat3x3f,
+    material: u32,
+    jp: f32,
+    F: mat3x3f,
+}
+
+struct ActiveBlocks {
+    count: atomic<u32>,
+    pad0: u32,
+    pad1: u32,
+    pad2: u32,
+    blocks: array<u32>,
+}
+
+// Workgroup sizes of clearGrid and updateGrid, which read the active list.
+override clear_workgroup_size: u32 = 64;
+override update_workgroup_size: u32 = 64;
+
+@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(1) var<uniform> init_box_size: vec3f;
+@group(0) @binding(2) var<uniform> num_particles: u32;
+@group(0) @binding(3) var<storage, read_write> block_flags: array<atomic<u32>>;
+@group(0) @binding(4) var<storage, read_write> active_blocks: ActiveBlocks;
+// Indirect dispatch arguments: clearGrid at 0, updateGrid at 3.
+@group(0) @binding(5) var<storage, read_write> dispatch_args: array<u32, 6>;
+
+// Cells per block edge; must match clearGrid.wgsl and updateGrid.wgsl.
+const BLOCK_SIZE = 4u;
+const BLOCK_CELLS = 64u;
+const MAX_WORKGROUPS_X = 65535u;
+
+fn grid_dims() -> vec3u {
+    return vec3u(vec3i(init_box_size));
+}
+
+fn block_dims() -> vec3u {
+    return (grid_dims() + BLOCK_SIZE - 1u) / BLOCK_SIZE;
+}
+
+fn block_index(block: vec3u) -> u32 {
+    let dims = block_dims();
+    return block.x * dims.y * dims.z + block.y * dims.z + block.z;
+}
+
+// Pass 1: flag every block under a particle's 3x3x3 stencil, the cells p2g and g2p touch.
+@compute @workgroup_size(64)
+fn markBlocks(@builtin(global_invocation_id) id: vec3<u32>) {
+    // Nothing reads the count again until compactBlocks, a later dispatch.
+    if (id.x == 0u) {
+        atomicStore(&active_blocks.count, 0u);
+    }
+    if (id.x >= num_particles) {
+        return;
+    }
+    let last_cell = vec3i(grid_dims()) - 1;
+    let cell = vec3i(floor(particles[id.x].position));
+    let low = vec3u(clamp(cell - 1, vec3i(0), last_cell)) / BLOCK_SIZE;
+    let high = vec3u(clamp(cell + 1, vec3i(0), last_cell)) / BLOCK_SIZE;
+    for (var bx = low.x; bx <= high.x; bx++) {
+        for (var by = low.y; by <= high.y; by++) {
+            for (var bz = low.z; bz <= high.z; bz++) {
+                atomicStore(&block_flags[block_index(vec3u(bx, by, bz))], 1u);
+            }
+        }
+    }
+}
+
+// Pass 2: list the flagged blocks and clear their flags for the next substep.
+@compute @workgroup_size(64)
+fn compactBlocks(@builtin(global_invocation_id) id: vec3<u32>) {
+    let dims = block_dims();
+    if (id.x < dims.x * dims.y * dims.z && atomicLoad(&block_flags[id.x]) != 0u) {
+        atomicStore(&block_flags[id.x], 0u);
+        active_blocks.blocks[atomicAdd(&active_blocks.count, 1u)] = id.x;
+    }
+}
+
+fn write_args(offset: u32, workgroup_size: u32) {
+    let groups = (atomicLoad(&active_blocks.count) * BLOCK_CELLS + workgroup_size - 1u) / workgroup_size;
+    // Past the per-dimension limit the kernels fold rows of workgroups into y.
+    dispatch_args[offset] = min(groups, MAX_WORKGROUPS_X);
+    dispatch_args[offset + 1u] = (groups + MAX_WORKGROUPS_X - 1u) / MAX_WORKGROUPS_X;
+    dispatch_args[offset + 2u] = 1u;
+}
+
+// Pass 3: one thread sizes the indirect clearGrid and updateGrid dispatches.
+@compute @workgroup_size(1)
+fn writeDispatchArgs() {
+    write_args(0u, clear_workgroup_size);
+    write_args(3u, update_workgroup_size);
+}
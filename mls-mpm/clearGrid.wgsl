@@ -5,14 +5,50 @@ struct Cell {
     mass: i32, 
 }
 
+struct ActiveBlocks {
+    count: u32,
+    pad0: u32,
+    pad1: u32,
+    pad2: u32,
+    blocks: array<u32>,
+}
+
+override workgroup_size: u32 = 64;
+
 @group(0) @binding(0) var<storage, read_write> cells: array<Cell>;
+@group(0) @binding(1) var<uniform> init_box_size: vec3f;
+@group(0) @binding(2) var<storage, read> active_blocks: ActiveBlocks;
+
+const BLOCK_SIZE = 4u;
+const BLOCK_CELLS = 64u;
+
+// The cell this thread handles: threads walk the active blocks (see activeBlocks.wgsl)
+// 64 cells at a time. -1 past the end of the list or outside the grid.
+fn active_cell(workgroup: vec3<u32>, workgroups: vec3<u32>, local: u32) -> i32 {
+    let thread = (workgroup.y * workgroups.x + workgroup.x) * workgroup_size + local;
+    let slot = thread / BLOCK_CELLS;
+    if (slot >= active_blocks.count) {
+        return -1;
+    }
+    let dims = vec3u(vec3i(init_box_size));
+    let blocks = (dims + BLOCK_SIZE - 1u) / BLOCK_SIZE;
+    let block = active_blocks.blocks[slot];
+    let inner = thread % BLOCK_CELLS;
+    let cell = vec3u(block / (blocks.y * blocks.z), (block / blocks.z) % blocks.y, block % blocks.z) * BLOCK_SIZE
+        + vec3u(inner / (BLOCK_SIZE * BLOCK_SIZE), (inner / BLOCK_SIZE) % BLOCK_SIZE, inner % BLOCK_SIZE);
+    if (any(cell >= dims)) {
+        return -1;
+    }
+    return i32(cell.x * dims.y * dims.z + cell.y * dims.z + cell.z);
+}
 
-@compute @workgroup_size(64)
-fn clearGrid(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x < arrayLength(&cells)) {
-        cells[id.x].mass = 0;
-        cells[id.x].vx = 0;
-        cells[id.x].vy = 0;
-        cells[id.x].vz = 0;
+@compute @workgroup_size(workgroup_size)
+fn clearGrid(@builtin(workgroup_id) workgroup: vec3<u32>, @builtin(num_workgroups) workgroups: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    let index = active_cell(workgroup, workgroups, local);
+    if (index >= 0) {
+        cells[index].mass = 0;
+        cells[index].vx = 0;
+        cells[index].vy = 0;
+        cells[index].vz = 0;
     }
 }
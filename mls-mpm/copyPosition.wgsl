@@ -1,21 +1,38 @@
 struct Particle {
     position: vec3f, 
+    density: f32, 
     v: vec3f, 
+    source: f32, 
     C: mat3x3f, 
+    material: u32, 
+    jp: f32, 
+    F: mat3x3f, 
 }
 
 struct PosVel {
     position: vec3f, 
+    density: f32, 
     v: vec3f, 
+    source: f32, 
+    material: f32, 
+    pad0: f32, 
+    pad1: f32, 
+    pad2: f32, 
 }
 
+override workgroup_size: u32 = 64;
+
 @group(0) @binding(0) var<storage, read> particles: array<Particle>;
 @group(0) @binding(1) var<storage, read_write> posvel: array<PosVel>;
+@group(0) @binding(2) var<uniform> num_particles: u32;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(workgroup_size)
 fn copyPosition(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x < arrayLength(&particles)) {
+    if (id.x < num_particles) {
         posvel[id.x].position = particles[id.x].position;
+        posvel[id.x].density = particles[id.x].density;
         posvel[id.x].v = particles[id.x].v;
+        posvel[id.x].source = particles[id.x].source;
+        posvel[id.x].material = f32(particles[id.x].material);
     }
 }
@@ -0,0 +1,109 @@
+struct Particle {
+    position: vec3f,
+    density: f32,
+    v: vec3f,
+    source: f32,
+    C: mat3x3f,
+    material: u32,
+    jp: f32,
+    F: mat3x3f,
+}
+
+struct PosVel {
+    position: vec3f,
+    density: f32,
+    v: vec3f,
+    source: f32,
+    material: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+struct Drain {
+    center: vec3f,
+    shape: u32,
+    size: vec3f,
+    pad0: f32,
+}
+
+struct DrainUniforms {
+    num_particles: u32,
+    num_drains: u32,
+    pad0: u32,
+    pad1: u32,
+}
+
+struct DrainCounters {
+    removed: atomic<u32>,
+    holes: atomic<u32>,
+    movers: atomic<u32>,
+    pad0: u32,
+}
+
+@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
+@group(0) @binding(1) var<storage, read_write> posvel: array<PosVel>;
+@group(0) @binding(2) var<uniform> uniforms: DrainUniforms;
+@group(0) @binding(3) var<storage, read> drains: array<Drain>;
+@group(0) @binding(4) var<storage, read_write> counters: DrainCounters;
+// holes in the first half, movers in the second half
+@group(0) @binding(5) var<storage, read_write> slots: array<u32>;
+
+// Order matches drainShapes in emitters.js.
+const DRAIN_BOX = 0u;
+const DRAIN_SPHERE = 1u;
+
+fn is_drained(position: vec3f) -> bool {
+    for (var i = 0u; i < uniforms.num_drains; i++) {
+        let local = position - drains[i].center;
+        if (drains[i].shape == DRAIN_SPHERE) {
+            if (length(local) < drains[i].size.x) {
+                return true;
+            }
+        } else if (all(abs(local) < drains[i].size)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Pass 1: count the particles inside a drain.
+@compute @workgroup_size(64)
+fn countDrained(@builtin(global_invocation_id) id: vec3<u32>) {
+    if (id.x < uniforms.num_particles && is_drained(particles[id.x].position)) {
+        atomicAdd(&counters.removed, 1u);
+    }
+}
+
+// Pass 2: with the surviving count known, list drained slots below it (holes)
+// and surviving particles above it (movers). Both lists have the same length.
+@compute @workgroup_size(64)
+fn listSlots(@builtin(global_invocation_id) id: vec3<u32>) {
+    if (id.x >= uniforms.num_particles) {
+        return;
+    }
+    let kept_count = uniforms.num_particles - atomicLoad(&counters.removed);
+    let drained = is_drained(particles[id.x].position);
+    if (id.x < kept_count && drained) {
+        slots[atomicAdd(&counters.holes, 1u)] = id.x;
+    } else if (id.x >= kept_count && !drained) {
+        slots[arrayLength(&slots) / 2u + atomicAdd(&counters.movers, 1u)] = id.x;
+    }
+}
+
+// Pass 3: swap each mover with a hole so [0, kept_count) is dense again and
+// everything past it is drained. Until the CPU has read the removed count it
+// still simulates and draws that tail, so it must not hold survivors twice.
+@compute @workgroup_size(64)
+fn fillHoles(@builtin(global_invocation_id) id: vec3<u32>) {
+    if (id.x < atomicLoad(&counters.holes)) {
+        let hole = slots[id.x];
+        let mover = slots[arrayLength(&slots) / 2u + id.x];
+        let drained_particle = particles[hole];
+        let drained_posvel = posvel[hole];
+        particles[hole] = particles[mover];
+        posvel[hole] = posvel[mover];
+        particles[mover] = drained_particle;
+        posvel[mover] = drained_posvel;
+    }
+}
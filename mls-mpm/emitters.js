@@ -0,0 +1,99 @@
+// Order matches the DRAIN_* constants in drain.wgsl.
+export const emitterShapes = ['nozzle', 'box'];
+export const drainShapes = ['box', 'sphere'];
+
+export const drainStructSize = 32;
+export const maxDrains = 16;
+// Each emitter takes a spawn source id and is stepped on the CPU every substep.
+export const maxEmitters = 16;
+
+/**
+ * Emitters and drains live in simulation (grid) coordinates. A nozzle is a disc
+ * of radius `size[0]` facing along `velocity`; a box emitter (an inlet face when
+ * one extent is thin) fills its half extents `size`. `rate` is the number of
+ * particles spawned per substep and `material` their fluid phase index.
+ */
+export function createEmitter(shape, center, size, velocity, rate, material = 0) {
+    return { shape, center: [...center], size: [...size], velocity: [...velocity], rate, material };
+}
+
+// Box drains use `size` as half extents, sphere drains use `size[0]` as radius.
+export function createDrain(shape, center, size) {
+    return { shape, center: [...center], size: [...size] };
+}
+
+export const flowPresets = {
+    none: () => ({ emitters: [], drains: [] }),
+    // A jet rising from the middle of the floor; the far end of the floor drains.
+    fountain: (boxSize) => ({
+        emitters: [createEmitter('nozzle', [boxSize[0] / 2, 4, boxSize[2] * 0.4], [3, 3, 3], [0, 5, 0], 33)],
+        drains: [createDrain('box', [boxSize[0] / 2, 2, boxSize[2] - 12], [boxSize[0] / 2, 3, 6])],
+    }),
+    // An inlet across the near end feeding a steady stream toward a drain at the far end.
+    channel: (boxSize) => ({
+        emitters: [createEmitter('box', [boxSize[0] / 2, 7, 6], [boxSize[0] / 2 - 4, 4, 0.5], [0, 0, 1.5], 250)],
+        drains: [createDrain('box', [boxSize[0] / 2, boxSize[1] / 2, boxSize[2] - 12], [boxSize[0] / 2, boxSize[1] / 2, 6])],
+    }),
+};
+
+function normalize(v) {
+    const length = Math.hypot(...v);
+    return length > 0 ? v.map((x) => x / length) : [0, 1, 0];
+}
+
+// Two unit vectors spanning the plane perpendicular to `axis`.
+function perpendicularBasis(axis) {
+    const helper = Math.abs(axis[1]) < 0.9 ? [0, 1, 0] : [1, 0, 0];
+    const u = normalize([
+        axis[1] * helper[2] - axis[2] * helper[1],
+        axis[2] * helper[0] - axis[0] * helper[2],
+        axis[0] * helper[1] - axis[1] * helper[0],
+    ]);
+    const w = [
+        axis[1] * u[2] - axis[2] * u[1],
+        axis[2] * u[0] - axis[0] * u[2],
+        axis[0] * u[1] - axis[1] * u[0],
+    ];
+    return [u, w];
+}
+
+/**
+ * Spawn positions for `count` particles. They are spread along the flow over
+ * `travel` time units (the time the batch covers) so a batch does not land as
+ * one dense sheet.
+ */
+export function emitterPositions(emitter, count, random, travel) {
+    const positions = new Float32Array(count * 3);
+    const direction = normalize(emitter.velocity);
+    const speed = Math.hypot(...emitter.velocity);
+    const [u, w] = perpendicularBasis(direction);
+    for (let i = 0; i < count; i++) {
+        let offset;
+        if (emitter.shape === 'nozzle') {
+            const radius = emitter.size[0] * Math.sqrt(random());
+            const angle = 2 * Math.PI * random();
+            offset = [0, 1, 2].map((axis) => radius * (Math.cos(angle) * u[axis] + Math.sin(angle) * w[axis]));
+        } else {
+            offset = emitter.size.map((half) => (2 * random() - 1) * half);
+        }
+        const along = random() * speed * travel;
+        for (let axis = 0; axis < 3; axis++) {
+            positions[i * 3 + axis] = emitter.center[axis] + offset[axis] + direction[axis] * along;
+        }
+    }
+    return positions;
+}
+
+export function packDrains(drains) {
+    if (drains.length > maxDrains) {
+        throw new Error(`At most ${maxDrains} drains are supported (got ${drains.length})`);
+    }
+    const values = new ArrayBuffer(Math.max(1, drains.length) * drainStructSize);
+    drains.forEach((drain, index) => {
+        const base = index * drainStructSize;
+        new Float32Array(values, base + 0, 3).set(drain.center);
+        new Uint32Array(values, base + 12, 1)[0] = drainShapes.indexOf(drain.shape);
+        new Float32Array(values, base + 16, 3).set(drain.size);
+    });
+    return values;
+}
@@ -1,7 +1,12 @@
 struct Particle {
     position: vec3f, 
+    density: f32, 
     v: vec3f, 
+    source: f32, 
     C: mat3x3f, 
+    material: u32, 
+    jp: f32, 
+    F: mat3x3f, 
 }
 struct Cell {
     vx: i32, 
@@ -13,27 +18,194 @@ struct Cell {
 struct PistonState {
     wall_velocity_z: f32,
     boundary_width: f32,
+    wall_velocity_x: f32,
+    pad0: f32,
+}
+
+struct Material {
+    stiffness: f32,
+    rest_density: f32,
+    dynamic_viscosity: f32,
+    dt: f32,
+    gravity: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+// Mirrors Phase in p2g_2.wgsl; see phases.js.
+struct Phase {
+    stiffness: f32,
+    rest_density: f32,
+    dynamic_viscosity: f32,
+    model: u32,
+    mu: f32,
+    lambda: f32,
+    hardening: f32,
+    critical_compression: f32,
+    critical_stretch: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+struct SymmetricEigen {
+    values: vec3f,
+    vectors: mat3x3f,
+}
+
+struct Obstacle {
+    center: vec3f,
+    kind: u32,
+    size: vec3f,
+    friction: f32,
+    sdf_dims: vec3u,
+    sdf_offset: u32,
+    sdf_cell_size: f32,
     pad0: f32,
     pad1: f32,
+    pad2: f32,
+}
+
+struct ObstacleCount {
+    count: u32,
+    pad0: u32,
+    pad1: u32,
+    pad2: u32,
 }
 
 override fixed_point_multiplier: f32; 
-override dt: f32; 
+override workgroup_size: u32 = 64;
 
 @group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
 @group(0) @binding(1) var<storage, read> cells: array<Cell>;
 @group(0) @binding(2) var<uniform> real_box_size: vec3f;
 @group(0) @binding(3) var<uniform> init_box_size: vec3f;
 @group(0) @binding(4) var<uniform> piston_state: PistonState;
+@group(0) @binding(5) var<uniform> material: Material;
+@group(0) @binding(6) var<storage, read> obstacles: array<Obstacle>;
+@group(0) @binding(7) var<uniform> obstacle_count: ObstacleCount;
+@group(0) @binding(8) var<storage, read> sdf_values: array<f32>;
+@group(0) @binding(9) var<storage, read> phases: array<Phase>;
+@group(0) @binding(10) var<uniform> num_particles: u32;
 
 fn decodeFixedPoint(fixed_point: i32) -> f32 {
 	return f32(fixed_point) / fixed_point_multiplier;
 }
 
+const MODEL_FLUID = 0u;
+const MODEL_SNOW = 2u;
+
+const OBSTACLE_BOX = 0u;
+const OBSTACLE_SPHERE = 1u;
+const OBSTACLE_CYLINDER = 2u;
+const OBSTACLE_MESH = 3u;
+
+fn box_distance(local: vec3f, half_extents: vec3f) -> f32 {
+    let q = abs(local) - half_extents;
+    return length(max(q, vec3f(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
+}
+
+fn sdf_value(obstacle: Obstacle, cell: vec3u) -> f32 {
+    let dims = obstacle.sdf_dims;
+    return sdf_values[obstacle.sdf_offset + cell.x * dims.y * dims.z + cell.y * dims.z + cell.z];
+}
+
+fn mesh_distance(obstacle: Obstacle, local: vec3f) -> f32 {
+    let dims = vec3f(obstacle.sdf_dims);
+    let half_extents = 0.5 * (dims - 1.0) * obstacle.sdf_cell_size;
+    let g = (local + half_extents) / obstacle.sdf_cell_size;
+    if (any(g < vec3f(0.0)) || any(g > dims - 1.0)) {
+        return box_distance(local, half_extents) + 2.0 * obstacle.sdf_cell_size;
+    }
+    let base = vec3u(min(floor(g), dims - 2.0));
+    let t = g - vec3f(base);
+    let c00 = mix(sdf_value(obstacle, base), sdf_value(obstacle, base + vec3u(0u, 0u, 1u)), t.z);
+    let c01 = mix(sdf_value(obstacle, base + vec3u(0u, 1u, 0u)), sdf_value(obstacle, base + vec3u(0u, 1u, 1u)), t.z);
+    let c10 = mix(sdf_value(obstacle, base + vec3u(1u, 0u, 0u)), sdf_value(obstacle, base + vec3u(1u, 0u, 1u)), t.z);
+    let c11 = mix(sdf_value(obstacle, base + vec3u(1u, 1u, 0u)), sdf_value(obstacle, base + vec3u(1u, 1u, 1u)), t.z);
+    return mix(mix(c00, c01, t.y), mix(c10, c11, t.y), t.x);
+}
 
-@compute @workgroup_size(64)
+fn obstacle_distance(obstacle: Obstacle, position: vec3f) -> f32 {
+    let local = position - obstacle.center;
+    switch obstacle.kind {
+        case OBSTACLE_SPHERE: {
+            return length(local) - obstacle.size.x;
+        }
+        case OBSTACLE_CYLINDER: {
+            let d = vec2f(length(local.xz) - obstacle.size.x, abs(local.y) - obstacle.size.y);
+            return min(max(d.x, d.y), 0.0) + length(max(d, vec2f(0.0)));
+        }
+        case OBSTACLE_MESH: {
+            return mesh_distance(obstacle, local);
+        }
+        default: {
+            return box_distance(local, obstacle.size);
+        }
+    }
+}
+
+fn obstacle_normal(obstacle: Obstacle, position: vec3f) -> vec3f {
+    let e = vec2f(0.25, 0.0);
+    let gradient = vec3f(
+        obstacle_distance(obstacle, position + e.xyy) - obstacle_distance(obstacle, position - e.xyy),
+        obstacle_distance(obstacle, position + e.yxy) - obstacle_distance(obstacle, position - e.yxy),
+        obstacle_distance(obstacle, position + e.yyx) - obstacle_distance(obstacle, position - e.yyx)
+    );
+    let gradient_length = length(gradient);
+    if (gradient_length < 1e-6) {
+        return vec3f(0.0, 1.0, 0.0);
+    }
+    return gradient / gradient_length;
+}
+
+// Cyclic Jacobi rotations; eigenvectors end up in the columns of `vectors`.
+fn symmetric_eigen(m: mat3x3f) -> SymmetricEigen {
+    var a = m;
+    var v = mat3x3f(1, 0, 0, 0, 1, 0, 0, 0, 1);
+    var pairs = array<vec2u, 3>(vec2u(0u, 1u), vec2u(0u, 2u), vec2u(1u, 2u));
+    for (var sweep = 0; sweep < 5; sweep++) {
+        for (var i = 0; i < 3; i++) {
+            let p = pairs[i].x;
+            let q = pairs[i].y;
+            let apq = a[q][p];
+            if (abs(apq) < 1e-9) {
+                continue;
+            }
+            let theta = (a[q][q] - a[p][p]) / (2.0 * apq);
+            let t = select(-1.0, 1.0, theta >= 0.0) / (abs(theta) + sqrt(theta * theta + 1.0));
+            let c = 1.0 / sqrt(t * t + 1.0);
+            var rotation = mat3x3f(1, 0, 0, 0, 1, 0, 0, 0, 1);
+            rotation[p][p] = c;
+            rotation[q][q] = c;
+            rotation[q][p] = t * c;
+            rotation[p][q] = -t * c;
+            a = transpose(rotation) * a * rotation;
+            v = v * rotation;
+        }
+    }
+    return SymmetricEigen(vec3f(a[0][0], a[1][1], a[2][2]), v);
+}
+
+// Snow plasticity: singular values of F past the critical compression/stretch
+// are clamped, and the removed volume change goes into jp. The singular values
+// come from F F^T = U S^2 U^T, so the clamped F is U (S'/S) U^T F.
+fn apply_snow_plasticity(index: u32, phase: Phase, F: mat3x3f) {
+    let eigen = symmetric_eigen(F * transpose(F));
+    let singular = sqrt(max(eigen.values, vec3f(1e-12)));
+    let clamped = clamp(singular, vec3f(1.0 - phase.critical_compression), vec3f(1.0 + phase.critical_stretch));
+    let ratio = clamped / singular;
+    let U = eigen.vectors;
+    let scale = mat3x3f(ratio.x, 0, 0, 0, ratio.y, 0, 0, 0, ratio.z);
+    particles[index].F = U * scale * transpose(U) * F;
+    let removed = (singular.x * singular.y * singular.z) / (clamped.x * clamped.y * clamped.z);
+    particles[index].jp = clamp(particles[index].jp * removed, 0.6, 20.0);
+}
+
+@compute @workgroup_size(workgroup_size)
 fn g2p(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x < arrayLength(&particles)) {
+    if (id.x < num_particles) {
         particles[id.x].v = vec3f(0.);
         var weights: array<vec3f, 3>;
 
@@ -78,20 +250,51 @@ fn g2p(@builtin(global_invocation_id) id: vec3<u32>) {
         }
 
         particles[id.x].C = B * 4.0f;
-        particles[id.x].position += particles[id.x].v * dt;
+
+        // Solids carry their deformation: F <- (I + dt C) F.
+        let phase = phases[min(particle.material, arrayLength(&phases) - 1u)];
+        if (phase.model != MODEL_FLUID) {
+            let identity = mat3x3f(1, 0, 0, 0, 1, 0, 0, 0, 1);
+            let F = (identity + material.dt * particles[id.x].C) * particle.F;
+            if (phase.model == MODEL_SNOW) {
+                apply_snow_plasticity(id.x, phase, F);
+            } else {
+                particles[id.x].F = F;
+            }
+        }
+        particles[id.x].position += particles[id.x].v * material.dt;
         particles[id.x].position = vec3f(
             clamp(particles[id.x].position.x, 1., real_box_size.x - 2.), 
             clamp(particles[id.x].position.y, 1., real_box_size.y - 2.), 
             clamp(particles[id.x].position.z, 1., real_box_size.z - 2.)
         );
+
+        // Push particles that ended up inside an obstacle back onto its surface.
+        for (var i = 0u; i < obstacle_count.count; i++) {
+            let obstacle = obstacles[i];
+            let distance = obstacle_distance(obstacle, particles[id.x].position);
+            if (distance < 0.0) {
+                let normal = obstacle_normal(obstacle, particles[id.x].position);
+                particles[id.x].position -= distance * normal;
+                let normal_speed = dot(particles[id.x].v, normal);
+                if (normal_speed < 0.0) {
+                    particles[id.x].v -= normal_speed * normal;
+                }
+            }
+        }
         
         let k = 3.0;
         let wall_stiffness = 0.3;
-        let x_n: vec3f = particles[id.x].position + particles[id.x].v * dt * k;
+        let x_n: vec3f = particles[id.x].position + particles[id.x].v * material.dt * k;
         let wall_min: vec3f = vec3f(3.);
         let wall_max: vec3f = real_box_size - 4.;
         if (x_n.x < wall_min.x) { particles[id.x].v.x += wall_stiffness * (wall_min.x - x_n.x); }
-        if (x_n.x > wall_max.x) { particles[id.x].v.x += wall_stiffness * (wall_max.x - x_n.x); }
+        if (x_n.x > wall_max.x) {
+            if (piston_state.wall_velocity_x < 0.0) {
+                particles[id.x].v.x = min(particles[id.x].v.x, piston_state.wall_velocity_x);
+            }
+            particles[id.x].v.x += wall_stiffness * (wall_max.x - x_n.x);
+        }
         if (x_n.y < wall_min.y) { particles[id.x].v.y += wall_stiffness * (wall_min.y - x_n.y); }
         if (x_n.y > wall_max.y) { particles[id.x].v.y += wall_stiffness * (wall_max.y - x_n.y); }
         if (x_n.z < wall_min.z) { particles[id.x].v.z += wall_stiffness * (wall_min.z - x_n.z); }
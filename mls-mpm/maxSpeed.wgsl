@@ -0,0 +1,43 @@
+struct PosVel {
+    position: vec3f,
+    density: f32,
+    v: vec3f,
+    source: f32,
+    material: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+@group(0) @binding(0) var<storage, read> posvel: array<PosVel>;
+@group(0) @binding(1) var<uniform> num_particles: u32;
+// Bits of a non-negative f32, which order the same way as the floats.
+@group(0) @binding(2) var<storage, read_write> max_speed: atomic<u32>;
+
+var<workgroup> speeds: array<f32, 64>;
+
+// Fastest particle speed: a tree reduction per workgroup, then one atomicMax each.
+@compute @workgroup_size(64)
+fn maxSpeed(@builtin(global_invocation_id) id: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    var speed = 0.0;
+    if (id.x < num_particles) {
+        speed = length(posvel[id.x].v);
+        // NaN fails every comparison; leave a broken particle out of the limit.
+        if (!(speed >= 0.0)) {
+            speed = 0.0;
+        }
+    }
+    speeds[local] = speed;
+    workgroupBarrier();
+
+    for (var stride = 32u; stride > 0u; stride = stride / 2u) {
+        if (local < stride) {
+            speeds[local] = max(speeds[local], speeds[local + stride]);
+        }
+        workgroupBarrier();
+    }
+
+    if (local == 0u) {
+        atomicMax(&max_speed, bitcast<u32>(speeds[0]));
+    }
+}
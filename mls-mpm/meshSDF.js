@@ -0,0 +1,154 @@
+// Mesh obstacles are stored as signed distance samples on a small lattice
+// centred on the obstacle, laid out like the simulation grid (x major, z minor).
+
+const sdfPaddingCells = 2;
+
+/**
+ * Minimal Wavefront OBJ reader: `v` and `f` records only. Polygons are fanned
+ * into triangles and negative (relative) indices are resolved.
+ */
+export function parseOBJ(text) {
+    const positions = [];
+    const indices = [];
+    const lines = text.split('\n');
+    for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+        const parts = lines[lineNumber].trim().split(/\s+/);
+        if (parts[0] === 'v') {
+            const vertex = parts.slice(1, 4).map(Number);
+            if (vertex.length !== 3 || vertex.some((value) => !Number.isFinite(value))) {
+                throw new Error(`OBJ line ${lineNumber + 1}: malformed vertex`);
+            }
+            positions.push(...vertex);
+        } else if (parts[0] === 'f') {
+            const vertexCount = positions.length / 3;
+            const face = parts.slice(1).map((token) => {
+                const index = parseInt(token.split('/')[0], 10);
+                return index < 0 ? vertexCount + index : index - 1;
+            });
+            if (face.length < 3 || face.some((index) => !(index >= 0 && index < vertexCount))) {
+                throw new Error(`OBJ line ${lineNumber + 1}: face references a missing vertex`);
+            }
+            for (let i = 1; i + 1 < face.length; i++) {
+                indices.push(face[0], face[i], face[i + 1]);
+            }
+        }
+    }
+    if (indices.length === 0) {
+        throw new Error('OBJ file has no faces');
+    }
+    return { positions, indices };
+}
+
+function sub(a, b) { return [a[0] - b[0], a[1] - b[1], a[2] - b[2]]; }
+function dot(a, b) { return a[0] * b[0] + a[1] * b[1] + a[2] * b[2]; }
+function cross(a, b) { return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]]; }
+function length(a) { return Math.sqrt(dot(a, a)); }
+
+// Closest point on triangle abc to p (Ericson, Real-Time Collision Detection 5.1.5).
+function closestPointOnTriangle(p, a, b, c) {
+    const ab = sub(b, a);
+    const ac = sub(c, a);
+    const ap = sub(p, a);
+    const d1 = dot(ab, ap);
+    const d2 = dot(ac, ap);
+    if (d1 <= 0 && d2 <= 0) return a;
+
+    const bp = sub(p, b);
+    const d3 = dot(ab, bp);
+    const d4 = dot(ac, bp);
+    if (d3 >= 0 && d4 <= d3) return b;
+
+    const vc = d1 * d4 - d3 * d2;
+    if (vc <= 0 && d1 >= 0 && d3 <= 0) {
+        const v = d1 / (d1 - d3);
+        return [a[0] + ab[0] * v, a[1] + ab[1] * v, a[2] + ab[2] * v];
+    }
+
+    const cp = sub(p, c);
+    const d5 = dot(ab, cp);
+    const d6 = dot(ac, cp);
+    if (d6 >= 0 && d5 <= d6) return c;
+
+    const vb = d5 * d2 - d1 * d6;
+    if (vb <= 0 && d2 >= 0 && d6 <= 0) {
+        const w = d2 / (d2 - d6);
+        return [a[0] + ac[0] * w, a[1] + ac[1] * w, a[2] + ac[2] * w];
+    }
+
+    const va = d3 * d6 - d5 * d4;
+    if (va <= 0 && d4 - d3 >= 0 && d5 - d6 >= 0) {
+        const w = (d4 - d3) / ((d4 - d3) + (d5 - d6));
+        return [b[0] + (c[0] - b[0]) * w, b[1] + (c[1] - b[1]) * w, b[2] + (c[2] - b[2]) * w];
+    }
+
+    const denom = 1 / (va + vb + vc);
+    const v = vb * denom;
+    const w = vc * denom;
+    return [a[0] + ab[0] * v + ac[0] * w, a[1] + ab[1] * v + ac[1] * w, a[2] + ab[2] * v + ac[2] * w];
+}
+
+// Signed solid angle of triangle abc seen from p (Van Oosterom & Strackee).
+function solidAngle(p, a, b, c) {
+    const ra = sub(a, p);
+    const rb = sub(b, p);
+    const rc = sub(c, p);
+    const la = length(ra);
+    const lb = length(rb);
+    const lc = length(rc);
+    const numerator = dot(ra, cross(rb, rc));
+    const denominator = la * lb * lc + dot(ra, rb) * lc + dot(ra, rc) * lb + dot(rb, rc) * la;
+    return 2 * Math.atan2(numerator, denominator);
+}
+
+/**
+ * Scales the mesh so its bounding box fills `halfExtents` around the origin and
+ * samples the signed distance on a lattice whose longest axis has `resolution`
+ * nodes. The sign comes from the generalized winding number, so meshes with
+ * small holes still get a sensible inside.
+ */
+export function bakeMeshSDF(mesh, halfExtents, resolution = 32) {
+    const { positions, indices } = mesh;
+    const bboxMin = [Infinity, Infinity, Infinity];
+    const bboxMax = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < positions.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            bboxMin[axis] = Math.min(bboxMin[axis], positions[i + axis]);
+            bboxMax[axis] = Math.max(bboxMax[axis], positions[i + axis]);
+        }
+    }
+    const vertices = [];
+    for (let i = 0; i < positions.length; i += 3) {
+        vertices.push([0, 1, 2].map((axis) => {
+            const half = (bboxMax[axis] - bboxMin[axis]) / 2;
+            const centered = positions[i + axis] - (bboxMin[axis] + half);
+            return half > 0 ? centered / half * halfExtents[axis] : 0;
+        }));
+    }
+    const triangles = [];
+    for (let i = 0; i < indices.length; i += 3) {
+        triangles.push([vertices[indices[i]], vertices[indices[i + 1]], vertices[indices[i + 2]]]);
+    }
+
+    const cellSize = 2 * Math.max(...halfExtents) / (resolution - 1 - 2 * sdfPaddingCells);
+    const dims = halfExtents.map((half) => Math.ceil(2 * half / cellSize) + 1 + 2 * sdfPaddingCells);
+    const origin = dims.map((count) => -0.5 * (count - 1) * cellSize);
+    const values = new Float32Array(dims[0] * dims[1] * dims[2]);
+
+    for (let x = 0; x < dims[0]; x++) {
+        for (let y = 0; y < dims[1]; y++) {
+            for (let z = 0; z < dims[2]; z++) {
+                const p = [origin[0] + x * cellSize, origin[1] + y * cellSize, origin[2] + z * cellSize];
+                let distance = Infinity;
+                let winding = 0;
+                for (const [a, b, c] of triangles) {
+                    distance = Math.min(distance, length(sub(p, closestPointOnTriangle(p, a, b, c))));
+                    winding += solidAngle(p, a, b, c);
+                }
+                const inside = Math.abs(winding) / (4 * Math.PI) > 0.5;
+                values[x * dims[1] * dims[2] + y * dims[2] + z] = inside ? -distance : distance;
+            }
+        }
+    }
+
+    return { dims, cellSize, values };
+}
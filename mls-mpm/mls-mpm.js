@@ -1,9 +1,109 @@
-import { numParticlesMax, renderUniformsViews } from '../common.js?v=20260310p';
+import { numParticlesMax, renderUniformsViews, readBuffer } from '../common.js?v=20261019c';
+import { encodeSnapshot, decodeSnapshot } from './snapshot.js?v=20261020l';
+import { obstacleDistance } from './obstacles.js?v=20261019j';
+import { emitterPositions, maxDrains, maxEmitters, drainStructSize, packDrains } from './emitters.js?v=20261020l';
+import { defaultPhases, maxPhases, phaseStructSize, packPhases } from './phases.js?v=20261019o';
 
-export const mlsmpmParticleStructSize = 80
+export const mlsmpmParticleStructSize = 144
+
+// The kernels run every substep, in this order; each has its own workgroup size.
+export const mlsmpmKernels = ['clearGrid', 'p2g1', 'p2g2', 'updateGrid', 'g2p', 'copyPosition']
+
+// clearGrid and updateGrid only visit 4x4x4-cell blocks that hold particles; see activeBlocks.wgsl.
+export const gridBlockSize = 4
+export const gridBlockCells = gridBlockSize ** 3
+
+export const mlsmpmConstants = {
+    fixed_point_multiplier: 1e7, 
+}
+
+export const defaultMaterial = {
+    stiffness: 3., 
+    restDensity: 4., 
+    viscosity: 0.1, 
+    gravity: -0.3, 
+    dt: 0.20, 
+}
+
+export const materialStructSize = 32
+
+export const mouseForceModes = ['push', 'pull', 'swirl']
+export const mouseForceStructSize = 48
+
+export function writeMaterialValues(material, target = new ArrayBuffer(materialStructSize)) {
+    const views = new Float32Array(target);
+    views[0] = material.stiffness;
+    views[1] = material.restDensity;
+    views[2] = material.viscosity;
+    views[3] = material.dt;
+    views[4] = material.gravity;
+    return target;
+}
+
+// New particles start undeformed: Jp = 1 and F = identity. Fluids never read either.
+export function writeRestState(particlesBuf, offset) {
+    new Float32Array(particlesBuf, offset + 84, 1)[0] = 1;
+    const F = new Float32Array(particlesBuf, offset + 96, 12);
+    F[0] = 1;
+    F[5] = 1;
+    F[10] = 1;
+}
+
+export function dambreakRegion(initBoxSize, initialFluidDepth) {
+    return {
+        min: [3, 0, Math.max(3, initBoxSize[2] - initialFluidDepth + 3)],
+        max: [initBoxSize[0] - 4, initBoxSize[1] * 1.6, initBoxSize[2] - 4],
+    };
+}
+
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// `exclude(position)` lets callers keep seeds out of solid obstacles. A region's
+// optional `material` picks its fluid phase, otherwise `material` is used.
+export function createRegionParticles(regions, numParticles, random = Math.random, exclude = null, material = 0) {
+    const particlesBuf = new ArrayBuffer(mlsmpmParticleStructSize * numParticles);
+    const spacing = 0.95;
+
+    let count = 0;
+    regions.forEach((region, source) => {
+        for (let j = region.min[1]; j < region.max[1] && count < numParticles; j += spacing) {
+            for (let i = region.min[0]; i < region.max[0] && count < numParticles; i += spacing) {
+                for (let k = region.min[2]; k < region.max[2] && count < numParticles; k += spacing) {
+                    const jitter = 1.0 * random();
+                    const seed = [i + jitter, j + jitter, k + jitter];
+                    if (exclude && exclude(seed)) {
+                        continue;
+                    }
+                    const offset = mlsmpmParticleStructSize * count;
+                    const position = new Float32Array(particlesBuf, offset + 0, 3);
+                    position.set(seed);
+                    new Float32Array(particlesBuf, offset + 28, 1)[0] = source;
+                    new Uint32Array(particlesBuf, offset + 80, 1)[0] = region.material ?? material;
+                    writeRestState(particlesBuf, offset);
+                    count++;
+                }
+            }
+        }
+    });
+
+    return { particlesBuf, numParticles: count };
+}
+
+export function createDambreakParticles(initBoxSize, numParticles, initialFluidDepth, random = Math.random, material = 0) {
+    return createRegionParticles([dambreakRegion(initBoxSize, initialFluidDepth)], numParticles, random, null, material);
+}
 
 export class MLSMPMSimulator {
-    constructor (particleBuffer, posvelBuffer, renderDiameter, device, boxWidth, boxHeight, boxDepth) 
+    constructor (particleBuffer, posvelBuffer, renderDiameter, device, boxWidth, boxHeight, boxDepth, obstacleSet) 
     {
         this.max_x_grids = Math.ceil(boxWidth * 1.1);
         this.max_y_grids = Math.ceil(boxHeight * 1.1);
@@ -11,22 +111,55 @@ export class MLSMPMSimulator {
         this.cellStructSize = 16;
         this.numParticles = 0
         this.gridCount = 0
+        this.blockCount = 0
         this.renderDiameter = renderDiameter
         this.device = device
         this.particleBuffer = particleBuffer
         this.posvelBuffer = posvelBuffer
+        this.obstacleSet = obstacleSet
         this.boundaryCouplingWidth = 3.0
         this.pistonPower = 1.0
         this.initialFluidDepth = Math.min(boxDepth, 100)
+        this.seedRegions = null
+        this.randomSeed = null
+        this.realBoxSize = [boxWidth, boxHeight, boxDepth]
+        // The box the grid buffers are indexed by; set again by reset().
+        this.gridBoxSize = [boxWidth, boxHeight, boxDepth]
+        this.material = { ...defaultMaterial }
+        this.phases = defaultPhases.map((phase) => ({ ...phase }))
+        this.sourceCount = 0
+        this.mouseForce = null
+        this.mouseHitSlot = 0
+        this.emitters = []
+        this.emitterSources = []
+        this.emitterCarry = []
+        this.emitRandom = Math.random
+        this.drainCount = 0
+        this.drainCountCopied = false
+        // The in-flight read of the last drained count, or null.
+        this.drainReadback = null
+        // Bumped whenever the particle buffer is rewritten from the CPU.
+        this.particleEpoch = 0
+        this.drainEpoch = 0
+        this.profiler = null
+        this.workgroupSizes = Object.fromEntries(mlsmpmKernels.map((name) => [name, 64]))
+        // Fastest particle after the last measured frame, in cells per unit of simulation time.
+        this.maxSpeed = 0
+        this.maxSpeedCopied = false
+        // The in-flight read of the last measured speed, or null.
+        this.maxSpeedReadback = null
     }
 
     async initialize() {
-        const clearGrid = await fetch('mls-mpm/clearGrid.wgsl?v=20260310k').then(r => r.text());
-        const p2g_1 = await fetch('mls-mpm/p2g_1.wgsl?v=20260310k').then(r => r.text());
-        const p2g_2 = await fetch('mls-mpm/p2g_2.wgsl?v=20260310k').then(r => r.text());
-        const updateGrid = await fetch('mls-mpm/updateGrid.wgsl?v=20260310k').then(r => r.text());
-        const g2p = await fetch('mls-mpm/g2p.wgsl?v=20260310k').then(r => r.text());
-        const copyPosition = await fetch('mls-mpm/copyPosition.wgsl?v=20260310k').then(r => r.text());
+        const clearGrid = await fetch('mls-mpm/clearGrid.wgsl?v=20261019s').then(r => r.text());
+        const p2g_1 = await fetch('mls-mpm/p2g_1.wgsl?v=20261019q').then(r => r.text());
+        const p2g_2 = await fetch('mls-mpm/p2g_2.wgsl?v=20261019q').then(r => r.text());
+        const updateGrid = await fetch('mls-mpm/updateGrid.wgsl?v=20261019s').then(r => r.text());
+        const g2p = await fetch('mls-mpm/g2p.wgsl?v=20261019q').then(r => r.text());
+        const copyPosition = await fetch('mls-mpm/copyPosition.wgsl?v=20261019q').then(r => r.text());
+        const drain = await fetch('mls-mpm/drain.wgsl?v=20261020b').then(r => r.text());
+        const maxSpeed = await fetch('mls-mpm/maxSpeed.wgsl?v=20261019r').then(r => r.text());
+        const activeBlocks = await fetch('mls-mpm/activeBlocks.wgsl?v=20261019s').then(r => r.text());
 
         const clearGridModule = this.device.createShaderModule({ code: clearGrid });
         const p2g1Module = this.device.createShaderModule({ code: p2g_1 });
@@ -34,74 +167,64 @@ export class MLSMPMSimulator {
         const updateGridModule = this.device.createShaderModule({ code: updateGrid });
         const g2pModule = this.device.createShaderModule({ code: g2p });
         const copyPositionModule = this.device.createShaderModule({ code: copyPosition });
+        const drainModule = this.device.createShaderModule({ code: drain });
+        const maxSpeedModule = this.device.createShaderModule({ code: maxSpeed });
+        this.activeBlocksModule = this.device.createShaderModule({ code: activeBlocks });
 
-        const constants = {
-            stiffness: 3., 
-            restDensity: 4., 
-            dynamic_viscosity: 0.1, 
-            dt: 0.20, 
-            fixed_point_multiplier: 1e7, 
-        }
+        // The three drain passes share one explicit layout; each uses a subset of it.
+        const drainBindGroupLayout = this.device.createBindGroupLayout({
+            label: 'drain bind group layout',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' }},
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' }},
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+                { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+            ]
+        })
+        const drainPipelineLayout = this.device.createPipelineLayout({ bindGroupLayouts: [drainBindGroupLayout] })
+        this.drainPipelines = ['countDrained', 'listSlots', 'fillHoles'].map((entryPoint) => this.device.createComputePipeline({
+            label: `drain ${entryPoint} pipeline`,
+            layout: drainPipelineLayout,
+            compute: { module: drainModule, entryPoint }
+        }))
 
-        this.clearGridPipeline = this.device.createComputePipeline({
-            label: "clear grid pipeline", 
-            layout: 'auto', 
-            compute: { module: clearGridModule }
+        // The three active block passes share one explicit layout like the drain passes.
+        const activeBlocksBindGroupLayout = this.device.createBindGroupLayout({
+            label: 'active blocks bind group layout',
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'read-only-storage' }},
+                { binding: 1, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' }},
+                { binding: 2, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'uniform' }},
+                { binding: 3, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+                { binding: 4, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+                { binding: 5, visibility: GPUShaderStage.COMPUTE, buffer: { type: 'storage' }},
+            ]
         })
-        this.p2g1Pipeline = this.device.createComputePipeline({
-            label: "p2g 1 pipeline", 
-            layout: 'auto', 
-            compute: {
-                module: p2g1Module, 
-                constants: { 'fixed_point_multiplier': constants.fixed_point_multiplier }
-            }
+        this.activeBlocksPipelineLayout = this.device.createPipelineLayout({ bindGroupLayouts: [activeBlocksBindGroupLayout] })
+        this.markBlocksPipeline = this.device.createComputePipeline({
+            label: 'mark blocks pipeline',
+            layout: this.activeBlocksPipelineLayout,
+            compute: { module: this.activeBlocksModule, entryPoint: 'markBlocks' }
         })
-        this.p2g2Pipeline = this.device.createComputePipeline({
-            label: "p2g 2 pipeline", 
-            layout: 'auto', 
-            compute: {
-                module: p2g2Module, 
-                constants: {
-                    'fixed_point_multiplier': constants.fixed_point_multiplier, 
-                    'stiffness': constants.stiffness, 
-                    'rest_density': constants.restDensity, 
-                    'dynamic_viscosity': constants.dynamic_viscosity, 
-                    'dt': constants.dt
-                }
-            }
+        this.compactBlocksPipeline = this.device.createComputePipeline({
+            label: 'compact blocks pipeline',
+            layout: this.activeBlocksPipelineLayout,
+            compute: { module: this.activeBlocksModule, entryPoint: 'compactBlocks' }
+        })
+
+        this.maxSpeedPipeline = this.device.createComputePipeline({
+            label: 'max speed pipeline',
+            layout: 'auto',
+            compute: { module: maxSpeedModule }
         })
-        this.updateGridPipeline = this.device.createComputePipeline({
-            label: "update grid pipeline", 
-            layout: 'auto', 
-            compute: {
-                module: updateGridModule, 
-                constants: {
-                    'fixed_point_multiplier': constants.fixed_point_multiplier, 
-                    'dt': constants.dt
-                }
-            }
-        });
-        this.g2pPipeline = this.device.createComputePipeline({
-            label: "g2p pipeline", 
-            layout: 'auto', 
-            compute: {
-                module: g2pModule, 
-                constants: {
-                    'fixed_point_multiplier': constants.fixed_point_multiplier, 
-                    'dt': constants.dt
-                }
-            }
-        });
-        this.copyPositionPipeline = this.device.createComputePipeline({
-            label: "copy position pipeline", 
-            layout: 'auto', 
-            compute: { module: copyPositionModule }
-        });
 
         const maxGridCount = this.max_x_grids * this.max_y_grids * this.max_z_grids;
         const realBoxSizeValues = new ArrayBuffer(12);
         const initBoxSizeValues = new ArrayBuffer(12);
         const pistonStateValues = new ArrayBuffer(16);
+        const materialValues = writeMaterialValues(this.material);
 
         const cellBuffer = this.device.createBuffer({ 
             label: 'cells buffer', 
@@ -123,153 +246,605 @@ export class MLSMPMSimulator {
             size: pistonStateValues.byteLength,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         })
+        this.materialBuffer = this.device.createBuffer({
+            label: 'material buffer',
+            size: materialValues.byteLength,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        this.phaseBuffer = this.device.createBuffer({
+            label: 'phases buffer',
+            size: maxPhases * phaseStructSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        })
+        this.mouseForceBuffer = this.device.createBuffer({
+            label: 'mouse force buffer',
+            size: mouseForceStructSize,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        // Two slots: the nearest ray hit being found this frame and the one found last frame.
+        this.mouseHitBuffer = this.device.createBuffer({
+            label: 'mouse hit buffer',
+            size: 8,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        })
+        // Kernels stop at this count; the rounded-up tail of the last workgroup would read stale slots.
+        this.particleCountBuffer = this.device.createBuffer({
+            label: 'particle count buffer',
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        this.drainUniformBuffer = this.device.createBuffer({
+            label: 'drain uniform buffer',
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        this.drainBuffer = this.device.createBuffer({
+            label: 'drains buffer',
+            size: maxDrains * drainStructSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        })
+        this.drainCounterBuffer = this.device.createBuffer({
+            label: 'drain counter buffer',
+            size: 16,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        })
+        this.drainReadBuffer = this.device.createBuffer({
+            label: 'drain counter readback buffer',
+            size: 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        })
+        this.maxSpeedBuffer = this.device.createBuffer({
+            label: 'max speed buffer',
+            size: 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC,
+        })
+        this.maxSpeedReadBuffer = this.device.createBuffer({
+            label: 'max speed readback buffer',
+            size: 4,
+            usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+        })
+        const maxBlockCount = Math.ceil(this.max_x_grids / gridBlockSize)
+            * Math.ceil(this.max_y_grids / gridBlockSize) * Math.ceil(this.max_z_grids / gridBlockSize);
+        const blockFlagBuffer = this.device.createBuffer({
+            label: 'block flag buffer',
+            size: 4 * maxBlockCount,
+            usage: GPUBufferUsage.STORAGE,
+        })
+        // A count padded to 16 bytes, then the indices of the active blocks.
+        this.activeBlockBuffer = this.device.createBuffer({
+            label: 'active block buffer',
+            size: 16 + 4 * maxBlockCount,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
+        })
+        this.gridDispatchBuffer = this.device.createBuffer({
+            label: 'grid indirect dispatch buffer',
+            size: 24,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.INDIRECT,
+        })
+        const drainSlotBuffer = this.device.createBuffer({
+            label: 'drain slot buffer',
+            size: 2 * 4 * numParticlesMax,
+            usage: GPUBufferUsage.STORAGE,
+        })
         this.device.queue.writeBuffer(this.initBoxSizeBuffer, 0, initBoxSizeValues);
         this.device.queue.writeBuffer(this.realBoxSizeBuffer, 0, realBoxSizeValues);
         this.device.queue.writeBuffer(this.pistonStateBuffer, 0, pistonStateValues);
+        this.device.queue.writeBuffer(this.materialBuffer, 0, materialValues);
+        this.writePhases();
+        this.writeMouseForce();
 
-        this.clearGridBindGroup = this.device.createBindGroup({
-            layout: this.clearGridPipeline.getBindGroupLayout(0), 
-            entries: [{ binding: 0, resource: { buffer: cellBuffer }}]
-        })
-        this.p2g1BindGroup = this.device.createBindGroup({
-            layout: this.p2g1Pipeline.getBindGroupLayout(0), 
-            entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer }}, 
-                { binding: 1, resource: { buffer: cellBuffer }}, 
-                { binding: 2, resource: { buffer: this.initBoxSizeBuffer }}
-            ]
-        })
-        this.p2g2BindGroup = this.device.createBindGroup({
-            layout: this.p2g2Pipeline.getBindGroupLayout(0), 
+        const fixedPoint = { 'fixed_point_multiplier': mlsmpmConstants.fixed_point_multiplier }
+        // Pipelines use layout 'auto', so each size change rebuilds the bind group from these entries.
+        this.kernels = {
+            clearGrid: {
+                label: 'clear grid',
+                module: clearGridModule,
+                constants: {},
+                indirectOffset: 0,
+                entries: [
+                    { binding: 0, resource: { buffer: cellBuffer }},
+                    { binding: 1, resource: { buffer: this.initBoxSizeBuffer }},
+                    { binding: 2, resource: { buffer: this.activeBlockBuffer }}
+                ]
+            },
+            p2g1: {
+                label: 'p2g 1',
+                module: p2g1Module,
+                constants: fixedPoint,
+                entries: [
+                    { binding: 0, resource: { buffer: this.particleBuffer }}, 
+                    { binding: 1, resource: { buffer: cellBuffer }}, 
+                    { binding: 2, resource: { buffer: this.initBoxSizeBuffer }},
+                    { binding: 3, resource: { buffer: this.particleCountBuffer }}
+                ]
+            },
+            p2g2: {
+                label: 'p2g 2',
+                module: p2g2Module,
+                constants: fixedPoint,
+                entries: [
+                    { binding: 0, resource: { buffer: this.particleBuffer }}, 
+                    { binding: 1, resource: { buffer: cellBuffer }}, 
+                    { binding: 2, resource: { buffer: this.initBoxSizeBuffer }},
+                    { binding: 3, resource: { buffer: this.materialBuffer }},
+                    { binding: 4, resource: { buffer: this.phaseBuffer }},
+                    { binding: 5, resource: { buffer: this.particleCountBuffer }}
+                ]
+            },
+            updateGrid: {
+                label: 'update grid',
+                module: updateGridModule,
+                constants: fixedPoint,
+                indirectOffset: 12,
+                entries: [
+                    { binding: 0, resource: { buffer: cellBuffer }},
+                    { binding: 1, resource: { buffer: this.realBoxSizeBuffer }},
+                    { binding: 2, resource: { buffer: this.initBoxSizeBuffer }},
+                    { binding: 3, resource: { buffer: this.pistonStateBuffer }},
+                    { binding: 4, resource: { buffer: this.materialBuffer }},
+                    { binding: 5, resource: { buffer: this.obstacleSet.obstacleBuffer }},
+                    { binding: 6, resource: { buffer: this.obstacleSet.countBuffer }},
+                    { binding: 7, resource: { buffer: this.obstacleSet.sdfBuffer }},
+                    { binding: 8, resource: { buffer: this.mouseForceBuffer }},
+                    { binding: 9, resource: { buffer: this.mouseHitBuffer }},
+                    { binding: 10, resource: { buffer: this.activeBlockBuffer }}
+                ]
+            },
+            g2p: {
+                label: 'g2p',
+                module: g2pModule,
+                constants: fixedPoint,
+                entries: [
+                    { binding: 0, resource: { buffer: this.particleBuffer }},
+                    { binding: 1, resource: { buffer: cellBuffer }},
+                    { binding: 2, resource: { buffer: this.realBoxSizeBuffer }},
+                    { binding: 3, resource: { buffer: this.initBoxSizeBuffer }},
+                    { binding: 4, resource: { buffer: this.pistonStateBuffer }},
+                    { binding: 5, resource: { buffer: this.materialBuffer }},
+                    { binding: 6, resource: { buffer: this.obstacleSet.obstacleBuffer }},
+                    { binding: 7, resource: { buffer: this.obstacleSet.countBuffer }},
+                    { binding: 8, resource: { buffer: this.obstacleSet.sdfBuffer }},
+                    { binding: 9, resource: { buffer: this.phaseBuffer }},
+                    { binding: 10, resource: { buffer: this.particleCountBuffer }}
+                ]
+            },
+            copyPosition: {
+                label: 'copy position',
+                module: copyPositionModule,
+                constants: {},
+                entries: [
+                    { binding: 0, resource: { buffer: this.particleBuffer }}, 
+                    { binding: 1, resource: { buffer: this.posvelBuffer }},
+                    { binding: 2, resource: { buffer: this.particleCountBuffer }}
+                ]
+            },
+        }
+        this.setWorkgroupSizes(this.workgroupSizes);
+        this.activeBlocksBindGroup = this.device.createBindGroup({
+            layout: activeBlocksBindGroupLayout,
             entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer }}, 
-                { binding: 1, resource: { buffer: cellBuffer }}, 
-                { binding: 2, resource: { buffer: this.initBoxSizeBuffer }}
+                { binding: 0, resource: { buffer: this.particleBuffer }},
+                { binding: 1, resource: { buffer: this.initBoxSizeBuffer }},
+                { binding: 2, resource: { buffer: this.particleCountBuffer }},
+                { binding: 3, resource: { buffer: blockFlagBuffer }},
+                { binding: 4, resource: { buffer: this.activeBlockBuffer }},
+                { binding: 5, resource: { buffer: this.gridDispatchBuffer }}
             ]
         })
-        this.updateGridBindGroup = this.device.createBindGroup({
-            layout: this.updateGridPipeline.getBindGroupLayout(0),
+        this.maxSpeedBindGroup = this.device.createBindGroup({
+            layout: this.maxSpeedPipeline.getBindGroupLayout(0),
             entries: [
-                { binding: 0, resource: { buffer: cellBuffer }},
-                { binding: 1, resource: { buffer: this.realBoxSizeBuffer }},
-                { binding: 2, resource: { buffer: this.initBoxSizeBuffer }},
-                { binding: 3, resource: { buffer: this.pistonStateBuffer }}
+                { binding: 0, resource: { buffer: this.posvelBuffer }},
+                { binding: 1, resource: { buffer: this.particleCountBuffer }},
+                { binding: 2, resource: { buffer: this.maxSpeedBuffer }}
             ]
         })
-        this.g2pBindGroup = this.device.createBindGroup({
-            layout: this.g2pPipeline.getBindGroupLayout(0),
+        this.drainBindGroup = this.device.createBindGroup({
+            layout: drainBindGroupLayout,
             entries: [
                 { binding: 0, resource: { buffer: this.particleBuffer }},
-                { binding: 1, resource: { buffer: cellBuffer }},
-                { binding: 2, resource: { buffer: this.realBoxSizeBuffer }},
-                { binding: 3, resource: { buffer: this.initBoxSizeBuffer }},
-                { binding: 4, resource: { buffer: this.pistonStateBuffer }}
-            ]
-        })
-        this.copyPositionBindGroup = this.device.createBindGroup({
-            layout: this.copyPositionPipeline.getBindGroupLayout(0),
-            entries: [
-                { binding: 0, resource: { buffer: this.particleBuffer }}, 
-                { binding: 1, resource: { buffer: this.posvelBuffer }}
+                { binding: 1, resource: { buffer: this.posvelBuffer }},
+                { binding: 2, resource: { buffer: this.drainUniformBuffer }},
+                { binding: 3, resource: { buffer: this.drainBuffer }},
+                { binding: 4, resource: { buffer: this.drainCounterBuffer }},
+                { binding: 5, resource: { buffer: drainSlotBuffer }}
             ]
         })
     }
 
-    initDambreak(initBoxSize, numParticles) {
-        let particlesBuf = new ArrayBuffer(mlsmpmParticleStructSize * numParticlesMax);
-        const spacing = 0.95;
-        const fluidStartZ = Math.max(3, initBoxSize[2] - this.initialFluidDepth + 3);
-
-        this.numParticles = 0;
-        
-        
-        let jCount = 0;
-        let iCount = 0;
-
-        for (let j = 0; j < initBoxSize[1] * 1.6 && this.numParticles < numParticles; j += spacing) {
-            jCount++;
-            iCount = 0;
-            for (let i = 3; i < initBoxSize[0] - 4 && this.numParticles < numParticles; i += spacing) {
-                iCount++;
-                let kCount = 0;
-                for (let k = fluidStartZ; k < initBoxSize[2] - 4 && this.numParticles < numParticles; k += spacing) {
-                    kCount++;
-                    const offset = mlsmpmParticleStructSize * this.numParticles;
-                    const particleViews = {
-                        position: new Float32Array(particlesBuf, offset + 0, 3),
-                        v: new Float32Array(particlesBuf, offset + 16, 3),
-                        C: new Float32Array(particlesBuf, offset + 32, 12),
-                    };
-                    const jitter = 1.0 * Math.random();
-                    particleViews.position.set([i + jitter, j + jitter, k + jitter]);
-                    this.numParticles++;
-                    
-                }
-                if (this.numParticles >= numParticles) break;
-            }
-            if (this.numParticles >= numParticles) break;
-        }
-        
-        
-        this.device.queue.writeBuffer(this.particleBuffer, 0, particlesBuf, 0, this.numParticles * mlsmpmParticleStructSize);
+    // `material` is the phase index for seed regions that do not name their own.
+    initDambreak(initBoxSize, numParticles, material = 0) {
+        const regions = this.seedRegions || [dambreakRegion(initBoxSize, this.initialFluidDepth)];
+        const random = this.randomSeed === null ? Math.random : createSeededRandom(this.randomSeed);
+        const obstacles = this.obstacleSet.obstacles;
+        const insideObstacle = (position) => obstacles.some((obstacle) => obstacleDistance(obstacle, position) < 0.5);
+        const dambreak = createRegionParticles(regions, numParticles, random, obstacles.length > 0 ? insideObstacle : null, material);
+        this.numParticles = dambreak.numParticles;
+        this.particleEpoch++;
+        // Seeded particles start at rest.
+        this.maxSpeed = 0;
+        this.sourceCount = regions.length;
+        this.emitRandom = this.randomSeed === null ? Math.random : createSeededRandom(this.randomSeed + 1);
+        this.assignEmitterSources();
+        this.device.queue.writeBuffer(this.particleBuffer, 0, dambreak.particlesBuf, 0, this.numParticles * mlsmpmParticleStructSize);
     }
 
-    reset(numParticles, gridBoxSize, seedBoxSize = gridBoxSize) {
+    reset(numParticles, gridBoxSize, seedBoxSize = gridBoxSize, material = 0) {
         renderUniformsViews.sphere_size.set([this.renderDiameter, this.renderDiameter])
-        this.initDambreak(seedBoxSize, numParticles);
+        this.initDambreak(seedBoxSize, numParticles, material);
         const maxGridCount = this.max_x_grids * this.max_y_grids * this.max_z_grids;
         this.gridCount = Math.ceil(gridBoxSize[0]) * Math.ceil(gridBoxSize[1]) * Math.ceil(gridBoxSize[2]);
         if (this.gridCount > maxGridCount) {
             throw new Error("gridCount should be equal to or less than maxGridCount")
         }
+        this.gridBoxSize = [...gridBoxSize];
+        this.blockCount = gridBoxSize.reduce((count, size) => count * Math.ceil(Math.ceil(size) / gridBlockSize), 1);
         const realBoxSizeValues = new ArrayBuffer(12);
         const realBoxSizeViews = new Float32Array(realBoxSizeValues);
         const initBoxSizeValues = new ArrayBuffer(12);
         const initBoxSizeViews = new Float32Array(initBoxSizeValues);
         initBoxSizeViews.set(gridBoxSize);    
         realBoxSizeViews.set(seedBoxSize); 
+        this.realBoxSize = [...seedBoxSize];
         this.device.queue.writeBuffer(this.initBoxSizeBuffer, 0, initBoxSizeValues);
         this.device.queue.writeBuffer(this.realBoxSizeBuffer, 0, realBoxSizeValues);
         this.writePistonState(0);
     }
 
-    execute(commandEncoder) {
+    // `dt` overrides the material's time step for this frame's substeps, e.g. from chooseSubsteps().
+    execute(commandEncoder, substeps = 2, dt = this.material.dt) {
+        if (this.mouseForce) {
+            this.mouseHitSlot ^= 1;
+            commandEncoder.clearBuffer(this.mouseHitBuffer, this.mouseHitSlot * 4, 4);
+        }
+        this.writeMouseForce();
+        this.device.queue.writeBuffer(this.materialBuffer, 0, writeMaterialValues({ ...this.material, dt }));
+        this.emit(substeps, dt);
+        this.device.queue.writeBuffer(this.particleCountBuffer, 0, new Uint32Array([this.numParticles]));
+        // The readback buffer stays mapped until the previous measurement arrives.
+        this.maxSpeedCopied = this.maxSpeedReadback === null;
+        if (this.maxSpeedCopied) {
+            commandEncoder.clearBuffer(this.maxSpeedBuffer);
+        }
+        // The drains compact the particles again only once the last removal has been counted.
+        this.drainCountCopied = this.drainCount > 0 && this.drainReadback === null;
+        if (this.drainCountCopied) {
+            commandEncoder.clearBuffer(this.drainCounterBuffer);
+            this.device.queue.writeBuffer(this.drainUniformBuffer, 0, new Uint32Array([this.numParticles, this.drainCount, 0, 0]));
+        }
+
+        // Timestamps can only be written at pass boundaries, so a profiled frame
+        // gives every dispatch its own pass.
+        const profiler = this.profiler && this.profiler.timing ? this.profiler : null;
+        const sharedPass = profiler ? null : commandEncoder.beginComputePass();
+        // `workgroups` is a count, or the byte offset of indirect arguments in the grid dispatch buffer.
+        const dispatch = (label, pipeline, bindGroup, workgroups, indirect = false) => {
+            const computePass = sharedPass || commandEncoder.beginComputePass({ timestampWrites: profiler.timestampWrites(label) });
+            computePass.setBindGroup(0, bindGroup)
+            computePass.setPipeline(pipeline)
+            if (indirect) {
+                computePass.dispatchWorkgroupsIndirect(this.gridDispatchBuffer, workgroups)
+            } else {
+                computePass.dispatchWorkgroups(workgroups)
+            }
+            if (!sharedPass) {
+                computePass.end()
+            }
+        };
+        const particleGroups = mlsmpmKernels.map((name) => Math.ceil(this.numParticles / this.workgroupSizes[name]));
+        for (let i = 0; i < substeps; i++) { 
+            // Particles move under a cell per substep, so the active blocks are rebuilt each one.
+            this.encodeActiveBlocks(dispatch)
+            mlsmpmKernels.forEach((name, index) => {
+                const kernel = this.kernels[name];
+                const indirect = kernel.indirectOffset !== undefined;
+                dispatch(kernel.label, kernel.pipeline, kernel.bindGroup, indirect ? kernel.indirectOffset : particleGroups[index], indirect)
+            })
+        }
+        if (this.maxSpeedCopied) {
+            dispatch('max speed', this.maxSpeedPipeline, this.maxSpeedBindGroup, Math.ceil(this.numParticles / 64))
+        }
+        if (this.drainCountCopied) {
+            const drainGroups = Math.ceil(this.numParticles / 64);
+            for (const pipeline of this.drainPipelines) {
+                dispatch('drain', pipeline, this.drainBindGroup, drainGroups)
+            }
+        }
+        if (sharedPass) {
+            sharedPass.end()
+        }
+
+        if (this.maxSpeedCopied) {
+            commandEncoder.copyBufferToBuffer(this.maxSpeedBuffer, 0, this.maxSpeedReadBuffer, 0, 4);
+        }
+        if (this.drainCountCopied) {
+            commandEncoder.copyBufferToBuffer(this.drainCounterBuffer, 0, this.drainReadBuffer, 0, 4);
+            this.drainEpoch = this.particleEpoch;
+        }
+    }
+
+    /**
+     * Drains shrink the particle count on the GPU. Call after submitting the
+     * frame that ran execute() to start reading how many went. It does not
+     * wait: until the count arrives numParticles still covers the drained
+     * particles, which the compaction leaves at the end of the buffer, and
+     * emitters and drains hold off. Await syncParticleCount() where the
+     * exact count matters.
+     */
+    readParticleCount() {
+        if (!this.drainCountCopied) {
+            return;
+        }
+        this.drainCountCopied = false;
+        const epoch = this.drainEpoch;
+        this.drainReadback = this.drainReadBuffer.mapAsync(GPUMapMode.READ).then(() => {
+            const removed = new Uint32Array(this.drainReadBuffer.getMappedRange())[0];
+            this.drainReadBuffer.unmap();
+            // A reset or snapshot load while waiting replaced the particles; the count no longer applies.
+            if (epoch === this.particleEpoch) {
+                this.numParticles -= removed;
+            }
+        }).catch((error) => {
+            console.error(error);
+        }).finally(() => {
+            this.drainReadback = null;
+        });
+    }
+
+    // Resolves once numParticles is exact; immediately when no drained count is in flight.
+    async syncParticleCount() {
+        if (this.drainReadback) {
+            await this.drainReadback;
+        }
+    }
+
+    /**
+     * Flags the blocks under each particle's stencil, lists them and writes
+     * the indirect dispatch arguments of clearGrid and updateGrid.
+     * `dispatch(label, pipeline, bindGroup, workgroups)` encodes one pass.
+     */
+    encodeActiveBlocks(dispatch) {
+        // At least one workgroup: markBlocks also resets the list.
+        dispatch('active blocks', this.markBlocksPipeline, this.activeBlocksBindGroup, Math.max(1, Math.ceil(this.numParticles / 64)))
+        dispatch('active blocks', this.compactBlocksPipeline, this.activeBlocksBindGroup, Math.ceil(this.blockCount / 64))
+        dispatch('active blocks', this.gridDispatchPipeline, this.activeBlocksBindGroup, 1)
+    }
+
+    // Blocks listed by the last encodeActiveBlocks(), read back from the GPU.
+    async readActiveBlockCount() {
+        return new Uint32Array(await readBuffer(this.device, this.activeBlockBuffer, 4))[0];
+    }
+
+    kernelPipelineDescriptor(name, workgroupSize) {
+        const kernel = this.kernels[name];
+        return {
+            label: `${kernel.label} pipeline`,
+            layout: 'auto',
+            compute: {
+                module: kernel.module,
+                constants: { ...kernel.constants, workgroup_size: workgroupSize }
+            }
+        };
+    }
+
+    kernelBindGroup(name, pipeline) {
+        return this.device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: this.kernels[name].entries
+        });
+    }
+
+    // `sizes` maps kernel names (see mlsmpmKernels) to workgroup sizes; missing kernels keep theirs.
+    setWorkgroupSizes(sizes) {
+        for (const name of mlsmpmKernels) {
+            const size = sizes[name] ?? this.workgroupSizes[name];
+            const kernel = this.kernels[name];
+            this.workgroupSizes[name] = size;
+            kernel.pipeline = this.device.createComputePipeline(this.kernelPipelineDescriptor(name, size));
+            kernel.bindGroup = this.kernelBindGroup(name, kernel.pipeline);
+        }
+        // The indirect arguments are workgroup counts, so they depend on the grid kernels' sizes.
+        this.gridDispatchPipeline = this.device.createComputePipeline({
+            label: 'grid dispatch arguments pipeline',
+            layout: this.activeBlocksPipelineLayout,
+            compute: {
+                module: this.activeBlocksModule,
+                entryPoint: 'writeDispatchArgs',
+                constants: {
+                    clear_workgroup_size: this.workgroupSizes.clearGrid,
+                    update_workgroup_size: this.workgroupSizes.updateGrid,
+                }
+            }
+        });
+    }
+
+    /**
+     * Lets a WorkgroupOptimizer pick each kernel's workgroup size at the
+     * current particle and grid counts. Measuring runs the kernels on the live
+     * buffers, so reset the simulation when this resolves with fromCache false.
+     */
+    async tuneWorkgroupSizes(optimizer, options = {}) {
+        this.device.queue.writeBuffer(this.particleCountBuffer, 0, new Uint32Array([this.numParticles]));
+        // The grid kernels are timed over the blocks the seeded particles occupy.
+        const commandEncoder = this.device.createCommandEncoder();
         const computePass = commandEncoder.beginComputePass();
-        for (let i = 0; i < 2; i++) { 
-            computePass.setBindGroup(0, this.clearGridBindGroup);
-            computePass.setPipeline(this.clearGridPipeline);
-            computePass.dispatchWorkgroups(Math.ceil(this.gridCount / 64))
-            computePass.setBindGroup(0, this.p2g1BindGroup)
-            computePass.setPipeline(this.p2g1Pipeline)
-            computePass.dispatchWorkgroups(Math.ceil(this.numParticles / 64))
-            computePass.setBindGroup(0, this.p2g2BindGroup)
-            computePass.setPipeline(this.p2g2Pipeline)
-            computePass.dispatchWorkgroups(Math.ceil(this.numParticles / 64)) 
-            computePass.setBindGroup(0, this.updateGridBindGroup)
-            computePass.setPipeline(this.updateGridPipeline)
-            computePass.dispatchWorkgroups(Math.ceil(this.gridCount / 64)) 
-            computePass.setBindGroup(0, this.g2pBindGroup)
-            computePass.setPipeline(this.g2pPipeline)
-            computePass.dispatchWorkgroups(Math.ceil(this.numParticles / 64)) 
-            computePass.setBindGroup(0, this.copyPositionBindGroup)
-            computePass.setPipeline(this.copyPositionPipeline)
-            computePass.dispatchWorkgroups(Math.ceil(this.numParticles / 64))             
+        this.encodeActiveBlocks((label, pipeline, bindGroup, workgroups) => {
+            computePass.setBindGroup(0, bindGroup);
+            computePass.setPipeline(pipeline);
+            computePass.dispatchWorkgroups(workgroups);
+        });
+        computePass.end();
+        this.device.queue.submit([commandEncoder.finish()]);
+        const activeCells = await this.readActiveBlockCount() * gridBlockCells;
+        const result = await optimizer.tune(mlsmpmKernels.map((name) => ({
+            name,
+            dispatchSize: this.kernels[name].indirectOffset !== undefined ? activeCells : this.numParticles,
+            create: async (size) => {
+                const pipeline = await this.device.createComputePipelineAsync(this.kernelPipelineDescriptor(name, size));
+                return { pipeline, bindGroup: this.kernelBindGroup(name, pipeline) };
+            },
+        })), options);
+        this.setWorkgroupSizes(result.sizes);
+        return result;
+    }
+
+    /**
+     * Starts reading the speed measured by the frame just submitted into
+     * maxSpeed. It does not wait: the next frame steps with the previous value.
+     */
+    readMaxSpeed() {
+        if (!this.maxSpeedCopied) {
+            return;
+        }
+        this.maxSpeedCopied = false;
+        const epoch = this.particleEpoch;
+        this.maxSpeedReadback = this.maxSpeedReadBuffer.mapAsync(GPUMapMode.READ).then(() => {
+            const speed = new Float32Array(this.maxSpeedReadBuffer.getMappedRange())[0];
+            this.maxSpeedReadBuffer.unmap();
+            // Particles replaced while waiting were not the ones measured.
+            if (epoch === this.particleEpoch) {
+                this.maxSpeed = speed;
+            }
+        }).catch((error) => {
+            console.error(error);
+        }).finally(() => {
+            this.maxSpeedReadback = null;
+        });
+    }
+
+    /**
+     * Resolves once maxSpeed holds the last submitted frame's measurement, so
+     * the next frame steps with an exact value rather than whatever arrived.
+     */
+    async syncMaxSpeed() {
+        if (this.maxSpeedReadback) {
+            await this.maxSpeedReadback;
+        }
+    }
+
+    // Attach a GPUProfiler to time each dispatch, or null to stop.
+    setProfiler(profiler) {
+        this.profiler = profiler;
+    }
+
+    setEmitters(emitters) {
+        if (emitters.length > maxEmitters) {
+            throw new Error(`At most ${maxEmitters} emitters are supported (got ${emitters.length})`);
         }
-        computePass.end()
+        this.emitters = emitters;
+        this.emitterCarry = emitters.map(() => 0);
+        this.assignEmitterSources();
+    }
+
+    // Each emitter gets its own spawn source id after the seeded regions.
+    assignEmitterSources() {
+        this.emitterSources = this.emitters.map(() => this.sourceCount++);
+    }
+
+    setDrains(drains) {
+        this.device.queue.writeBuffer(this.drainBuffer, 0, packDrains(drains));
+        this.drainCount = drains.length;
+    }
+
+    emit(substeps, dt = this.material.dt) {
+        const travel = dt * substeps;
+        this.emitters.forEach((emitter, index) => {
+            // New particles go after numParticles, which is not final while drained particles are counted.
+            if (this.drainReadback) {
+                this.emitterCarry[index] += emitter.rate * substeps;
+                return;
+            }
+            const wanted = emitter.rate * substeps + this.emitterCarry[index];
+            const count = Math.min(Math.floor(wanted), numParticlesMax - this.numParticles);
+            this.emitterCarry[index] = wanted - Math.floor(wanted);
+            if (count <= 0) {
+                return;
+            }
+            const positions = emitterPositions(emitter, count, this.emitRandom, travel);
+            const particlesBuf = new ArrayBuffer(count * mlsmpmParticleStructSize);
+            for (let i = 0; i < count; i++) {
+                const offset = i * mlsmpmParticleStructSize;
+                new Float32Array(particlesBuf, offset + 0, 3).set(positions.subarray(i * 3, i * 3 + 3));
+                new Float32Array(particlesBuf, offset + 16, 3).set(emitter.velocity);
+                new Float32Array(particlesBuf, offset + 28, 1)[0] = this.emitterSources[index];
+                new Uint32Array(particlesBuf, offset + 80, 1)[0] = emitter.material ?? 0;
+                writeRestState(particlesBuf, offset);
+            }
+            this.device.queue.writeBuffer(this.particleBuffer, this.numParticles * mlsmpmParticleStructSize, particlesBuf);
+            this.numParticles += count;
+        });
     }
 
-    writePistonState(pistonVelocity) {
+    // `pistonAxis` is the wall the piston moves: 'z' (the far end) or 'x'.
+    writePistonState(pistonVelocity, pistonAxis = 'z') {
         const pistonStateValues = new ArrayBuffer(16);
         const pistonStateViews = new Float32Array(pistonStateValues);
-        pistonStateViews[0] = pistonVelocity * this.pistonPower;
+        pistonStateViews[pistonAxis === 'x' ? 2 : 0] = pistonVelocity * this.pistonPower;
         pistonStateViews[1] = this.boundaryCouplingWidth;
         this.device.queue.writeBuffer(this.pistonStateBuffer, 0, pistonStateValues);
     }
 
+    /**
+     * `force` is { origin, direction, mode, strength, radius } with the ray in
+     * simulation coordinates, or null to switch the mouse force off.
+     */
+    setMouseForce(force) {
+        this.mouseForce = force;
+    }
+
+    writeMouseForce() {
+        const values = new ArrayBuffer(mouseForceStructSize);
+        const floatViews = new Float32Array(values);
+        const uintViews = new Uint32Array(values);
+        const force = this.mouseForce;
+        if (force) {
+            floatViews.set(force.origin, 0);
+            uintViews[3] = mouseForceModes.indexOf(force.mode) + 1;
+            floatViews.set(force.direction, 4);
+            floatViews[7] = force.radius;
+            floatViews[8] = force.strength;
+        } else {
+            // Forget the last hit so the next drag starts from a fresh ray.
+            this.device.queue.writeBuffer(this.mouseHitBuffer, 0, new Uint32Array(2));
+        }
+        uintViews[9] = this.mouseHitSlot;
+        this.device.queue.writeBuffer(this.mouseForceBuffer, 0, values);
+    }
+
+    // The material also sets phase 0, the bulk fluid.
+    setMaterial(material) {
+        this.material = { ...this.material, ...material };
+        this.device.queue.writeBuffer(this.materialBuffer, 0, writeMaterialValues(this.material));
+        this.writePhases();
+    }
+
+    /**
+     * Replaces the fluid phase table (see phases.js). Phase 0 keeps following
+     * setMaterial; particles whose index has no phase fall back to it.
+     */
+    setPhases(phases) {
+        this.phases = phases.map((phase) => ({ ...phase }));
+        this.writePhases();
+    }
+
+    writePhases() {
+        const { stiffness, restDensity, viscosity } = this.material;
+        this.phases[0] = { ...this.phases[0], stiffness, restDensity, viscosity };
+        this.device.queue.writeBuffer(this.phaseBuffer, 0, packPhases(this.phases));
+    }
+
     setInitialFluidDepth(value) {
         this.initialFluidDepth = value;
     }
 
+    setRandomSeed(seed) {
+        this.randomSeed = seed;
+    }
+
+    setSeedRegions(regions) {
+        this.seedRegions = regions && regions.length > 0 ? regions : null;
+    }
+
     setBoundaryCouplingWidth(value) {
         this.boundaryCouplingWidth = value;
     }
@@ -278,15 +853,63 @@ export class MLSMPMSimulator {
         this.pistonPower = value;
     }
 
-    changeBoxSize(realBoxSize, pistonVelocity = 0) {
+    changeBoxSize(realBoxSize, pistonVelocity = 0, pistonAxis = 'z') {
         const realBoxSizeValues = new ArrayBuffer(12);
         const realBoxSizeViews = new Float32Array(realBoxSizeValues);
         realBoxSizeViews.set(realBoxSize)
+        this.realBoxSize = [...realBoxSize];
         this.device.queue.writeBuffer(this.realBoxSizeBuffer, 0, realBoxSizeViews)
-        this.writePistonState(pistonVelocity)
+        this.writePistonState(pistonVelocity, pistonAxis)
+    }
+
+    async saveSnapshot(pistonPhase = 0) {
+        await this.syncParticleCount();
+        const particles = this.numParticles > 0
+            ? await readBuffer(this.device, this.particleBuffer, this.numParticles * mlsmpmParticleStructSize)
+            : new ArrayBuffer(0);
+        return encodeSnapshot({
+            particles,
+            numParticles: this.numParticles,
+            boxSize: this.realBoxSize,
+            pistonPhase,
+        });
+    }
+
+    loadSnapshot(buffer) {
+        const snapshot = decodeSnapshot(buffer);
+        if (snapshot.numParticles > numParticlesMax) {
+            throw new Error(`Snapshot holds ${snapshot.numParticles} particles, more than the ${numParticlesMax} this build supports`);
+        }
+        // p2g and g2p index the grid by position, so nothing may lie outside it.
+        const gridSize = this.gridBoxSize.map(Math.ceil);
+        if (snapshot.boxSize.some((size, axis) => !(size > 0 && size <= gridSize[axis]))) {
+            throw new Error(`Snapshot box ${snapshot.boxSize.map((size) => +size.toFixed(2)).join(' x ')} does not fit this build's ${gridSize.join(' x ')} grid`);
+        }
+        const particleFloats = new Float32Array(snapshot.particles);
+        for (let i = 0; i < snapshot.numParticles; i++) {
+            const offset = i * mlsmpmParticleStructSize / 4;
+            for (let axis = 0; axis < 3; axis++) {
+                // The same bounds g2p clamps positions to in the widest box.
+                const position = particleFloats[offset + axis];
+                if (!(position >= 1 && position <= gridSize[axis] - 2)) {
+                    throw new Error(`Snapshot particle ${i} lies outside the simulation grid`);
+                }
+            }
+        }
+        this.numParticles = snapshot.numParticles;
+        this.particleEpoch++;
+        this.sourceCount = 0;
+        for (let i = 0; i < snapshot.numParticles; i++) {
+            this.sourceCount = Math.max(this.sourceCount, particleFloats[i * mlsmpmParticleStructSize / 4 + 7] + 1);
+        }
+        this.assignEmitterSources();
+        this.device.queue.writeBuffer(this.particleBuffer, 0, snapshot.particles);
+        this.changeBoxSize(snapshot.boxSize, 0);
+        return { boxSize: snapshot.boxSize, pistonPhase: snapshot.pistonPhase };
     }
 
-    addSphere(centerX, centerY, centerZ, radius, numSphereParticles) {
+    async addSphere(centerX, centerY, centerZ, radius, numSphereParticles, material = 0) {
+        await this.syncParticleCount();
         if (this.numParticles + numSphereParticles > numParticlesMax) {
             return;
         }
@@ -304,7 +927,9 @@ export class MLSMPMSimulator {
                         const particleViews = {
                             position: new Float32Array(sphereParticlesBuf, offset + 0, 3),
                             v: new Float32Array(sphereParticlesBuf, offset + 16, 3),
+                            source: new Float32Array(sphereParticlesBuf, offset + 28, 1),
                             C: new Float32Array(sphereParticlesBuf, offset + 32, 12),
+                            material: new Uint32Array(sphereParticlesBuf, offset + 80, 1),
                         };
                         
                         particleViews.position.set([
@@ -314,6 +939,9 @@ export class MLSMPMSimulator {
                         ]);
                         
                         particleViews.v.set([0, 0, 0]);
+                        particleViews.source[0] = this.sourceCount;
+                        particleViews.material[0] = material;
+                        writeRestState(sphereParticlesBuf, offset);
                         
                         sphereParticleCount++;
                     }
@@ -326,6 +954,44 @@ export class MLSMPMSimulator {
         this.device.queue.writeBuffer(this.particleBuffer, offset, sphereData);
         
         this.numParticles += sphereParticleCount;
+        this.sourceCount++;
+    }
+
+    /**
+     * Drops an axis-aligned cube of `material` (typically an elastic or snow
+     * phase) centred at the given point, seeded near its rest spacing.
+     */
+    async addCube(centerX, centerY, centerZ, halfSize, numCubeParticles, material = 0) {
+        await this.syncParticleCount();
+        const spacing = 0.6;
+        const perAxis = Math.floor(2 * halfSize / spacing) + 1;
+        const count = Math.min(perAxis ** 3, numCubeParticles);
+        if (this.numParticles + count > numParticlesMax) {
+            return;
+        }
+
+        const cubeParticlesBuf = new ArrayBuffer(mlsmpmParticleStructSize * count);
+        let cubeParticleCount = 0;
+        for (let i = 0; i < perAxis && cubeParticleCount < count; i++) {
+            for (let j = 0; j < perAxis && cubeParticleCount < count; j++) {
+                for (let k = 0; k < perAxis && cubeParticleCount < count; k++) {
+                    const offset = mlsmpmParticleStructSize * cubeParticleCount;
+                    new Float32Array(cubeParticlesBuf, offset + 0, 3).set([
+                        centerX - halfSize + i * spacing,
+                        centerY - halfSize + j * spacing,
+                        centerZ - halfSize + k * spacing,
+                    ]);
+                    new Float32Array(cubeParticlesBuf, offset + 28, 1)[0] = this.sourceCount;
+                    new Uint32Array(cubeParticlesBuf, offset + 80, 1)[0] = material;
+                    writeRestState(cubeParticlesBuf, offset);
+                    cubeParticleCount++;
+                }
+            }
+        }
+
+        this.device.queue.writeBuffer(this.particleBuffer, this.numParticles * mlsmpmParticleStructSize, cubeParticlesBuf);
+        this.numParticles += cubeParticleCount;
+        this.sourceCount++;
     }
 
 }
@@ -0,0 +1,166 @@
+import { bakeMeshSDF } from './meshSDF.js?v=20261019j';
+
+// Order matches the OBSTACLE_* constants in updateGrid.wgsl, g2p.wgsl and render/obstacle.wgsl.
+export const obstacleKinds = ['box', 'sphere', 'cylinder', 'mesh'];
+
+export const obstacleStructSize = 64;
+export const maxObstacles = 32;
+export const maxSDFValues = 1 << 19;
+export const meshSDFResolution = 32;
+
+/**
+ * Obstacles live in simulation (grid) coordinates. `size` is the box half
+ * extents, the sphere radius in x, the cylinder radius in x and half height in
+ * y (cylinders stand along y), or the half extents a mesh is fitted into.
+ */
+export function createObstacle(kind, center, size, friction = 0.2, mesh = null) {
+    return { kind, center: [...center], size: [...size], friction, ...(mesh ? { mesh } : {}) };
+}
+
+export const obstaclePresets = {
+    none: () => [],
+    // A low submerged bar across the tank halfway along the wave path.
+    breakwater: (boxSize) => [
+        createObstacle('box', [boxSize[0] / 2, 9, boxSize[2] * 0.45], [boxSize[0] / 2 - 3, 6, 3], 0.3),
+    ],
+    // A tall wall holding the seeded column back, with a spillway notch and two piers downstream.
+    dam: (boxSize) => [
+        createObstacle('box', [(3 + boxSize[0] * 0.42) / 2, 25, boxSize[2] * 0.5], [(boxSize[0] * 0.42 - 3) / 2, 25, 2.5], 0.5),
+        createObstacle('box', [(boxSize[0] * 1.58 - 3) / 2, 25, boxSize[2] * 0.5], [(boxSize[0] * 0.42 - 3) / 2, 25, 2.5], 0.5),
+        createObstacle('cylinder', [boxSize[0] * 0.3, 15, boxSize[2] * 0.3], [4, 15, 4], 0.2),
+        createObstacle('cylinder', [boxSize[0] * 0.7, 15, boxSize[2] * 0.3], [4, 15, 4], 0.2),
+    ],
+};
+
+function boxDistance(local, halfExtents) {
+    const q = local.map((value, axis) => Math.abs(value) - halfExtents[axis]);
+    const outside = Math.hypot(Math.max(q[0], 0), Math.max(q[1], 0), Math.max(q[2], 0));
+    return outside + Math.min(Math.max(q[0], q[1], q[2]), 0);
+}
+
+function sampleSDF(sdf, local) {
+    const { dims, cellSize, values } = sdf;
+    const halfExtents = dims.map((count) => 0.5 * (count - 1) * cellSize);
+    const g = local.map((value, axis) => (value + halfExtents[axis]) / cellSize);
+    if (g.some((value, axis) => value < 0 || value > dims[axis] - 1)) {
+        // Outside the lattice the padding guarantees we are outside the mesh.
+        return boxDistance(local, halfExtents) + 2 * cellSize;
+    }
+    const base = g.map((value, axis) => Math.min(Math.floor(value), dims[axis] - 2));
+    const t = g.map((value, axis) => value - base[axis]);
+    const at = (x, y, z) => values[(base[0] + x) * dims[1] * dims[2] + (base[1] + y) * dims[2] + base[2] + z];
+    let result = 0;
+    for (let x = 0; x < 2; x++) {
+        for (let y = 0; y < 2; y++) {
+            for (let z = 0; z < 2; z++) {
+                const weight = (x ? t[0] : 1 - t[0]) * (y ? t[1] : 1 - t[1]) * (z ? t[2] : 1 - t[2]);
+                result += at(x, y, z) * weight;
+            }
+        }
+    }
+    return result;
+}
+
+// CPU mirror of obstacle_distance in the shaders; `obstacle.sdf` must be baked for meshes.
+export function obstacleDistance(obstacle, position) {
+    const local = position.map((value, axis) => value - obstacle.center[axis]);
+    switch (obstacle.kind) {
+        case 'sphere':
+            return Math.hypot(...local) - obstacle.size[0];
+        case 'cylinder': {
+            const radial = Math.hypot(local[0], local[2]) - obstacle.size[0];
+            const vertical = Math.abs(local[1]) - obstacle.size[1];
+            return Math.min(Math.max(radial, vertical), 0) + Math.hypot(Math.max(radial, 0), Math.max(vertical, 0));
+        }
+        case 'mesh':
+            return sampleSDF(obstacle.sdf, local);
+        default:
+            return boxDistance(local, obstacle.size);
+    }
+}
+
+export function obstacleNormal(obstacle, position, epsilon = 0.25) {
+    const normal = [0, 1, 2].map((axis) => {
+        const plus = [...position];
+        const minus = [...position];
+        plus[axis] += epsilon;
+        minus[axis] -= epsilon;
+        return obstacleDistance(obstacle, plus) - obstacleDistance(obstacle, minus);
+    });
+    const length = Math.hypot(...normal);
+    return length > 0 ? normal.map((value) => value / length) : [0, 1, 0];
+}
+
+export function bakeObstacle(obstacle) {
+    if (obstacle.kind !== 'mesh' || obstacle.sdf) {
+        return obstacle;
+    }
+    return { ...obstacle, sdf: bakeMeshSDF(obstacle.mesh, obstacle.size, meshSDFResolution) };
+}
+
+export function packObstacles(obstacles) {
+    if (obstacles.length > maxObstacles) {
+        throw new Error(`At most ${maxObstacles} obstacles are supported (got ${obstacles.length})`);
+    }
+    const obstacleValues = new ArrayBuffer(Math.max(1, obstacles.length) * obstacleStructSize);
+    const sdfTotal = obstacles.reduce((sum, obstacle) => sum + (obstacle.sdf ? obstacle.sdf.values.length : 0), 0);
+    if (sdfTotal > maxSDFValues) {
+        throw new Error(`Mesh obstacles need ${sdfTotal} distance samples, more than the ${maxSDFValues} available`);
+    }
+    const sdfValues = new Float32Array(Math.max(1, sdfTotal));
+
+    let sdfOffset = 0;
+    obstacles.forEach((obstacle, index) => {
+        const base = index * obstacleStructSize;
+        new Float32Array(obstacleValues, base + 0, 3).set(obstacle.center);
+        new Uint32Array(obstacleValues, base + 12, 1)[0] = obstacleKinds.indexOf(obstacle.kind);
+        new Float32Array(obstacleValues, base + 16, 3).set(obstacle.size);
+        new Float32Array(obstacleValues, base + 28, 1)[0] = obstacle.friction;
+        if (obstacle.sdf) {
+            new Uint32Array(obstacleValues, base + 32, 4).set([...obstacle.sdf.dims, sdfOffset]);
+            new Float32Array(obstacleValues, base + 48, 1)[0] = obstacle.sdf.cellSize;
+            sdfValues.set(obstacle.sdf.values, sdfOffset);
+            sdfOffset += obstacle.sdf.values.length;
+        }
+    });
+
+    return { obstacleValues, sdfValues, count: obstacles.length };
+}
+
+/**
+ * GPU copy of the obstacle list shared by the simulator (collisions) and the
+ * renderer (drawing), so both always see the same colliders.
+ */
+export class ObstacleSet {
+    constructor(device) {
+        this.device = device;
+        this.obstacles = [];
+        this.count = 0;
+        this.obstacleBuffer = device.createBuffer({
+            label: 'obstacles buffer',
+            size: maxObstacles * obstacleStructSize,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.sdfBuffer = device.createBuffer({
+            label: 'obstacle sdf buffer',
+            size: maxSDFValues * 4,
+            usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+        });
+        this.countBuffer = device.createBuffer({
+            label: 'obstacle count buffer',
+            size: 16,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        });
+        this.device.queue.writeBuffer(this.countBuffer, 0, new Uint32Array(4));
+    }
+
+    set(obstacles) {
+        const baked = obstacles.map(bakeObstacle);
+        const { obstacleValues, sdfValues, count } = packObstacles(baked);
+        this.device.queue.writeBuffer(this.obstacleBuffer, 0, obstacleValues);
+        this.device.queue.writeBuffer(this.sdfBuffer, 0, sdfValues);
+        this.device.queue.writeBuffer(this.countBuffer, 0, new Uint32Array([count, 0, 0, 0]));
+        this.obstacles = baked;
+        this.count = count;
+    }
+}
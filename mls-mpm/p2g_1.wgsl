@@ -1,7 +1,12 @@
 struct Particle {
     position: vec3f, 
+    density: f32, 
     v: vec3f, 
+    source: f32, 
     C: mat3x3f, 
+    material: u32, 
+    jp: f32, 
+    F: mat3x3f, 
 }
 struct Cell {
     vx: atomic<i32>, 
@@ -11,6 +16,7 @@ struct Cell {
 }
 
 override fixed_point_multiplier: f32; 
+override workgroup_size: u32 = 64;
 
 fn encodeFixedPoint(floating_point: f32) -> i32 {
 	return i32(floating_point * fixed_point_multiplier);
@@ -20,10 +26,11 @@ fn encodeFixedPoint(floating_point: f32) -> i32 {
 @group(0) @binding(0) var<storage, read> particles: array<Particle>;
 @group(0) @binding(1) var<storage, read_write> cells: array<Cell>;
 @group(0) @binding(2) var<uniform> init_box_size: vec3f;
+@group(0) @binding(3) var<uniform> num_particles: u32;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(workgroup_size)
 fn p2g_1(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x < arrayLength(&particles)) {
+    if (id.x < num_particles) {
         var weights: array<vec3f, 3>;
 
         let particle = particles[id.x];
@@ -1,7 +1,12 @@
 struct Particle {
     position: vec3f, 
+    density: f32, 
     v: vec3f, 
+    source: f32, 
     C: mat3x3f, 
+    material: u32, 
+    jp: f32, 
+    F: mat3x3f, 
 }
 struct Cell {
     vx: atomic<i32>, 
@@ -9,12 +14,38 @@ struct Cell {
     vz: atomic<i32>, 
     mass: i32, 
 }
+struct Material {
+    stiffness: f32,
+    rest_density: f32,
+    dynamic_viscosity: f32,
+    dt: f32,
+    gravity: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+// One entry per phase, indexed by Particle.material; see phases.js.
+struct Phase {
+    stiffness: f32,
+    rest_density: f32,
+    dynamic_viscosity: f32,
+    model: u32,
+    mu: f32,
+    lambda: f32,
+    hardening: f32,
+    critical_compression: f32,
+    critical_stretch: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+// Order matches phaseModels in phases.js.
+const MODEL_FLUID = 0u;
+const MODEL_SNOW = 2u;
 
 override fixed_point_multiplier: f32; 
-override stiffness: f32;
-override rest_density: f32;
-override dynamic_viscosity: f32;
-override dt: f32;
+override workgroup_size: u32 = 64;
 
 fn encodeFixedPoint(floating_point: f32) -> i32 {
 	return i32(floating_point * fixed_point_multiplier);
@@ -23,13 +54,16 @@ fn decodeFixedPoint(fixed_point: i32) -> f32 {
 	return f32(fixed_point) / fixed_point_multiplier;
 }
 
-@group(0) @binding(0) var<storage, read> particles: array<Particle>;
+@group(0) @binding(0) var<storage, read_write> particles: array<Particle>;
 @group(0) @binding(1) var<storage, read_write> cells: array<Cell>;
 @group(0) @binding(2) var<uniform> init_box_size: vec3f;
+@group(0) @binding(3) var<uniform> material: Material;
+@group(0) @binding(4) var<storage, read> phases: array<Phase>;
+@group(0) @binding(5) var<uniform> num_particles: u32;
 
-@compute @workgroup_size(64)
+@compute @workgroup_size(workgroup_size)
 fn p2g_2(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x < arrayLength(&particles)) {
+    if (id.x < num_particles) {
         var weights: array<vec3f, 3>;
 
         let particle = particles[id.x];
@@ -58,16 +92,33 @@ fn p2g_2(@builtin(global_invocation_id) id: vec3<u32>) {
             }
         }
 
-        let volume: f32 = 1.0 / density;
+        particles[id.x].density = density;
 
-        let pressure: f32 = max(-0.0, stiffness * (pow(density / rest_density, 5.) - 1));
+        let phase = phases[min(particle.material, arrayLength(&phases) - 1u)];
+        var volume: f32;
+        var stress: mat3x3f;
+        if (phase.model == MODEL_FLUID) {
+            volume = 1.0 / density;
+            let pressure: f32 = max(-0.0, phase.stiffness * (pow(density / phase.rest_density, 5.) - 1));
 
-        var stress: mat3x3f = mat3x3f(-pressure, 0, 0, 0, -pressure, 0, 0, 0, -pressure);
-        let dudv: mat3x3f = particle.C;
-        let strain: mat3x3f = dudv + transpose(dudv);
-        stress += dynamic_viscosity * strain;
+            stress = mat3x3f(-pressure, 0, 0, 0, -pressure, 0, 0, 0, -pressure);
+            let dudv: mat3x3f = particle.C;
+            let strain: mat3x3f = dudv + transpose(dudv);
+            stress += phase.dynamic_viscosity * strain;
+        } else {
+            // Neo-Hookean Kirchhoff stress mu (F F^T - I) + lambda ln(J) I, paired with the rest volume.
+            volume = 1.0 / phase.rest_density;
+            var hardening = 1.0;
+            if (phase.model == MODEL_SNOW) {
+                hardening = clamp(exp(phase.hardening * (1.0 - particle.jp)), 0.1, 3.0);
+            }
+            let F = particle.F;
+            let J = max(determinant(F), 0.1);
+            let identity = mat3x3f(1, 0, 0, 0, 1, 0, 0, 0, 1);
+            stress = hardening * (phase.mu * (F * transpose(F) - identity) + phase.lambda * log(J) * identity);
+        }
 
-        let eq_16_term0 = -volume * 4 * stress * dt;
+        let eq_16_term0 = -volume * 4 * stress * material.dt;
 
         for (var gx = 0; gx < 3; gx++) {
             for (var gy = 0; gy < 3; gy++) {
@@ -0,0 +1,66 @@
+export const maxPhases = 8;
+export const phaseStructSize = 48;
+
+// Order matches the MODEL_* constants in p2g_2.wgsl and g2p.wgsl.
+export const phaseModels = ['fluid', 'elastic', 'snow'];
+
+/**
+ * Phases a particle can belong to; a particle's `material` field indexes this
+ * table. Phase 0 is the bulk fluid and follows the Material controls.
+ *
+ * Fluid phases use `stiffness`, `restDensity` and `viscosity`; a lower rest
+ * density makes a phase lighter than water, so it floats. Elastic and snow
+ * phases are neo-Hookean solids set by `youngsModulus` and `poissonRatio`,
+ * with `restDensity` giving each particle's rest volume. Snow also yields:
+ * stretches beyond `criticalCompression`/`criticalStretch` become permanent
+ * and `hardening` stiffens compacted snow.
+ */
+export const defaultPhases = [
+    { name: 'water', model: 'fluid', stiffness: 3.0, restDensity: 4.0, viscosity: 0.1, color: '#2f7fd8' },
+    { name: 'honey', model: 'fluid', stiffness: 2.0, restDensity: 4.0, viscosity: 1.2, color: '#e0a526' },
+    { name: 'oil', model: 'fluid', stiffness: 3.0, restDensity: 3.2, viscosity: 0.4, color: '#7a5c1e' },
+    { name: 'slime', model: 'fluid', stiffness: 1.5, restDensity: 4.4, viscosity: 2.0, color: '#5fc23a' },
+    { name: 'jelly', model: 'elastic', restDensity: 4.0, youngsModulus: 40.0, poissonRatio: 0.25, color: '#e0508c' },
+    {
+        name: 'snow', model: 'snow', restDensity: 3.0, youngsModulus: 40.0, poissonRatio: 0.2,
+        hardening: 10.0, criticalCompression: 0.025, criticalStretch: 0.0075, color: '#e8eef4',
+    },
+];
+
+export function phaseIndex(phases, name) {
+    const index = phases.findIndex((phase) => phase.name === name);
+    return Math.max(0, index);
+}
+
+// Lamé parameters of a solid phase.
+export function lameParameters(phase) {
+    const E = phase.youngsModulus ?? 0;
+    const nu = phase.poissonRatio ?? 0;
+    return {
+        mu: E / (2 * (1 + nu)),
+        lambda: E * nu / ((1 + nu) * (1 - 2 * nu)),
+    };
+}
+
+export function packPhases(phases) {
+    if (phases.length > maxPhases) {
+        throw new Error(`At most ${maxPhases} phases are supported (got ${phases.length})`);
+    }
+    const values = new ArrayBuffer(maxPhases * phaseStructSize);
+    for (let index = 0; index < maxPhases; index++) {
+        // Unused slots repeat phase 0 so a stray index never divides by a zero rest density.
+        const phase = phases[index] || phases[0];
+        const base = index * phaseStructSize;
+        const { mu, lambda } = lameParameters(phase);
+        new Float32Array(values, base + 0, 3).set([phase.stiffness ?? 0, phase.restDensity, phase.viscosity ?? 0]);
+        new Uint32Array(values, base + 12, 1)[0] = Math.max(0, phaseModels.indexOf(phase.model ?? 'fluid'));
+        new Float32Array(values, base + 16, 5).set([
+            mu,
+            lambda,
+            phase.hardening ?? 0,
+            phase.criticalCompression ?? 0,
+            phase.criticalStretch ?? 0,
+        ]);
+    }
+    return values;
+}
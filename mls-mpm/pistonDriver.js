@@ -0,0 +1,187 @@
+export const pistonProfiles = ['sine', 'square', 'sawtooth', 'solitary', 'harmonics', 'keyframes'];
+export const pistonAxes = ['z', 'x'];
+
+const axisIndices = { x: 0, z: 2 };
+
+// The phase is an angle in radians; a quarter turn puts the sine profile at the fully open box.
+export const initialPistonPhase = Math.PI * 0.5;
+
+export const defaultHarmonics = [
+    { amplitude: 1.0, multiple: 1, phase: 0 },
+    { amplitude: 0.35, multiple: 2, phase: 0 },
+    { amplitude: 0.15, multiple: 3, phase: 0 },
+];
+
+// Sharpness of the square profile's edges; a true step would need an infinite piston speed.
+const SQUARE_EDGE = 3.0;
+// Share of a sawtooth cycle spent on the quick return stroke.
+const SAWTOOTH_RETURN = 0.15;
+// The solitary stroke's tanh ramp spans about +-3 of these per period.
+const SOLITARY_STEEPNESS = 6.0;
+
+function smoothstep(t) {
+    return t * t * (3 - 2 * t);
+}
+
+/**
+ * Reads a two-column time series (seconds, extent along the piston axis) from
+ * CSV or whitespace separated text. A non-numeric first row is taken as a
+ * header; times must increase.
+ */
+export function parsePistonTable(text) {
+    const rows = [];
+    const lines = text.split('\n');
+    let firstRow = true;
+    for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+        const line = lines[lineNumber].trim();
+        if (line === '' || line.startsWith('#')) {
+            continue;
+        }
+        const isHeaderCandidate = firstRow;
+        firstRow = false;
+        const cells = line.split(/[\s,;]+/).map(Number);
+        if (cells.length < 2 || !Number.isFinite(cells[0]) || !Number.isFinite(cells[1])) {
+            if (isHeaderCandidate) {
+                continue;
+            }
+            throw new Error(`Piston table line ${lineNumber + 1}: expected "time, extent"`);
+        }
+        if (rows.length > 0 && cells[0] <= rows[rows.length - 1][0]) {
+            throw new Error(`Piston table line ${lineNumber + 1}: times must increase`);
+        }
+        rows.push([cells[0], cells[1]]);
+    }
+    if (rows.length < 2) {
+        throw new Error('Piston table needs at least two rows');
+    }
+    return rows;
+}
+
+/**
+ * Owns the piston motion: which wall moves, the stroke profile and its phase.
+ * Each frame, update() returns the box size to simulate with and the speed of
+ * the moving wall, ready for simulator.changeBoxSize().
+ */
+export class PistonDriver {
+    constructor() {
+        this.enabled = true;
+        this.profile = 'sine';
+        this.axis = 'z';
+        this.period = 8.0;
+        this.harmonics = defaultHarmonics.map((harmonic) => ({ ...harmonic }));
+        // [[seconds, extent], ...], looped over its duration
+        this.keyframes = [];
+        this.phase = initialPistonPhase;
+        // Seconds of motion since restart(); the keyframe table plays on this, so
+        // changing the period mid-run does not move its playhead.
+        this.time = 0;
+        this.previousExtent = null;
+    }
+
+    get axisIndex() {
+        return axisIndices[this.axis];
+    }
+
+    setAxis(axis) {
+        this.axis = axis;
+        this.previousExtent = null;
+    }
+
+    // Back to the start of the profile; the first update after this reports no wall speed.
+    restart() {
+        this.phase = initialPistonPhase;
+        this.time = 0;
+        this.previousExtent = null;
+    }
+
+    /**
+     * Restores a saved position in the motion. Without a saved `time` it is
+     * recovered from the phase, which is exact if the period never changed.
+     */
+    seek(phase, time = (phase - initialPistonPhase) / (2 * Math.PI) * this.period) {
+        this.phase = phase;
+        this.time = time;
+    }
+
+    // The moving wall is at `realBoxSize` now; the next velocity is measured from here.
+    syncExtent(realBoxSize) {
+        this.previousExtent = realBoxSize[this.axisIndex];
+    }
+
+    // Position within the stroke: 1 is the fully open box, 0 the innermost point.
+    blend() {
+        const cycle = ((this.phase / (2 * Math.PI)) % 1 + 1) % 1;
+        switch (this.profile) {
+            case 'square':
+                return 0.5 + 0.5 * Math.tanh(SQUARE_EDGE * Math.sin(this.phase)) / Math.tanh(SQUARE_EDGE);
+            case 'sawtooth': {
+                // Starts fully open like the sine profile: a slow push in, then a quick return.
+                const t = (cycle - 0.25 + 1) % 1;
+                return t < 1 - SAWTOOTH_RETURN
+                    ? 1 - t / (1 - SAWTOOTH_RETURN)
+                    : smoothstep((t - (1 - SAWTOOTH_RETURN)) / SAWTOOTH_RETURN);
+            }
+            case 'solitary': {
+                // One push over a period whose displacement follows tanh, so the wall speed has
+                // the sech² shape of a solitary wave; the piston then stays in.
+                // Cycles since the restart, so a period change only alters the speed.
+                const t = (this.phase - initialPistonPhase) / (2 * Math.PI) - 0.5;
+                return 0.5 - 0.5 * Math.tanh(SOLITARY_STEEPNESS * t) / Math.tanh(SOLITARY_STEEPNESS * 0.5);
+            }
+            case 'harmonics': {
+                const total = this.harmonics.reduce((sum, harmonic) => sum + Math.abs(harmonic.amplitude), 0);
+                if (total === 0) {
+                    return 1;
+                }
+                const sum = this.harmonics.reduce((value, harmonic) =>
+                    value + harmonic.amplitude * Math.sin(harmonic.multiple * this.phase + harmonic.phase), 0);
+                return 0.5 + 0.5 * sum / total;
+            }
+            default:
+                return 0.5 + 0.5 * Math.sin(this.phase);
+        }
+    }
+
+    tableExtent() {
+        const table = this.keyframes;
+        const duration = table[table.length - 1][0] - table[0][0];
+        const time = table[0][0] + ((this.time % duration) + duration) % duration;
+        let i = 1;
+        while (i < table.length - 1 && table[i][0] < time) {
+            i++;
+        }
+        const [t0, e0] = table[i - 1];
+        const [t1, e1] = table[i];
+        return e0 + (e1 - e0) * Math.min(Math.max((time - t0) / (t1 - t0), 0), 1);
+    }
+
+    extent(minExtent, maxExtent) {
+        if (this.profile === 'keyframes' && this.keyframes.length >= 2) {
+            return Math.min(Math.max(this.tableExtent(), minExtent), maxExtent);
+        }
+        return minExtent + (maxExtent - minExtent) * Math.min(Math.max(this.blend(), 0), 1);
+    }
+
+    /**
+     * Advances the phase by `deltaTime` seconds. `boxSize` is the fully open
+     * box and `minExtent` the innermost position of the moving wall. The wall
+     * speed is measured over `simTime`, the simulation time the frame covers,
+     * so it is in the same units as the particle velocities.
+     */
+    update(deltaTime, boxSize, minExtent, simTime = deltaTime) {
+        const axis = this.axisIndex;
+        const realBoxSize = [...boxSize];
+        if (this.enabled) {
+            this.phase += deltaTime * (2 * Math.PI) / this.period;
+            this.time += deltaTime;
+            realBoxSize[axis] = this.extent(Math.min(minExtent, boxSize[axis]), boxSize[axis]);
+        }
+
+        let pistonVelocity = 0;
+        if (this.previousExtent !== null && Math.abs(realBoxSize[axis] - this.previousExtent) > 1e-3) {
+            pistonVelocity = (realBoxSize[axis] - this.previousExtent) / Math.max(simTime, 1e-6);
+        }
+        this.previousExtent = realBoxSize[axis];
+        return { realBoxSize, pistonVelocity };
+    }
+}
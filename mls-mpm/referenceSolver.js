@@ -0,0 +1,572 @@
+import { mlsmpmParticleStructSize, mlsmpmConstants, defaultMaterial } from './mls-mpm.js?v=20261020l';
+import { bakeObstacle, obstacleDistance, obstacleNormal } from './obstacles.js?v=20261019j';
+import { defaultPhases, lameParameters, maxPhases } from './phases.js?v=20261019o';
+
+const particleStride = mlsmpmParticleStructSize / 4
+const posvelStride = 12
+// Word offsets of the u32 material index, Jp and the first column of F within a particle.
+const materialOffset = 20
+const jpOffset = 21
+const deformationOffset = 24
+const cellStride = 4
+
+// Every arithmetic step of the fluid path is rounded through f32 like the
+// shaders. pow() and any fused multiply-add on the GPU still round
+// differently, so results agree to within float rounding, not bit for bit.
+const f32 = Math.fround
+
+// f32 dot product of column `row` of a column-major mat3 (4 floats per column) with `d`.
+function matVecRow(m, offset, row, d) {
+    return f32(f32(f32(m[offset + row] * d[0]) + f32(m[offset + 4 + row] * d[1])) + f32(m[offset + 8 + row] * d[2]))
+}
+
+// Matches OBSTACLE_MARGIN in updateGrid.wgsl.
+const obstacleMargin = 0.5
+
+// WGSL i32(f32) saturates at the i32 range and truncates toward zero.
+function toI32(value) {
+    if (Number.isNaN(value)) return 0;
+    if (value >= 2147483647) return 2147483647;
+    if (value <= -2147483648) return -2147483648;
+    return Math.trunc(value);
+}
+
+// 3x3 helpers on column-major arrays, m[col * 3 + row].
+function matMul(a, b) {
+    const out = new Array(9).fill(0)
+    for (let col = 0; col < 3; col++) {
+        for (let row = 0; row < 3; row++) {
+            for (let k = 0; k < 3; k++) {
+                out[col * 3 + row] += a[k * 3 + row] * b[col * 3 + k]
+            }
+        }
+    }
+    return out
+}
+
+function transpose(m) {
+    return [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]]
+}
+
+function determinant(m) {
+    return m[0] * (m[4] * m[8] - m[7] * m[5]) - m[3] * (m[1] * m[8] - m[7] * m[2]) + m[6] * (m[1] * m[5] - m[4] * m[2])
+}
+
+// Mirrors symmetric_eigen in g2p.wgsl.
+function symmetricEigen(m) {
+    let a = [...m]
+    let v = [1, 0, 0, 0, 1, 0, 0, 0, 1]
+    for (let sweep = 0; sweep < 5; sweep++) {
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            const apq = a[q * 3 + p]
+            if (Math.abs(apq) < 1e-9) continue;
+            const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq)
+            const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+            const c = 1 / Math.sqrt(t * t + 1)
+            const rotation = [1, 0, 0, 0, 1, 0, 0, 0, 1]
+            rotation[p * 3 + p] = c
+            rotation[q * 3 + q] = c
+            rotation[q * 3 + p] = t * c
+            rotation[p * 3 + q] = -t * c
+            a = matMul(matMul(transpose(rotation), a), rotation)
+            v = matMul(v, rotation)
+        }
+    }
+    return { values: [a[0], a[4], a[8]], vectors: v }
+}
+
+function quadraticWeights(position) {
+    const cellIdx = [Math.floor(position[0]), Math.floor(position[1]), Math.floor(position[2])];
+    const cellDiff = [
+        f32(position[0] - (cellIdx[0] + 0.5)),
+        f32(position[1] - (cellIdx[1] + 0.5)),
+        f32(position[2] - (cellIdx[2] + 0.5)),
+    ];
+    const weights = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let axis = 0; axis < 3; axis++) {
+        const d = cellDiff[axis];
+        const below = f32(0.5 - d);
+        const above = f32(0.5 + d);
+        weights[0][axis] = f32(f32(0.5 * below) * below);
+        weights[1][axis] = f32(0.75 - f32(d * d));
+        weights[2][axis] = f32(f32(0.5 * above) * above);
+    }
+    return { cellIdx, weights };
+}
+
+/**
+ * CPU mirror of the MLS-MPM compute passes run by MLSMPMSimulator.execute.
+ *
+ * Particles use the GPU particle buffer's layout (mlsmpmParticleStructSize
+ * bytes each) and the grid stores fixed point i32 values exactly like the
+ * atomics in p2g_1/p2g_2, so a buffer produced by createDambreakParticles can
+ * be stepped here in Node and compared against GPU readbacks. Solid phases are evaluated in double
+ * precision, so they only track the GPU approximately.
+ */
+export class MLSMPMReferenceSolver {
+    constructor (gridBoxSize, material = {})
+    {
+        this.constants = { ...mlsmpmConstants }
+        this.material = { ...defaultMaterial, ...material }
+        this.phases = defaultPhases.map((phase) => ({ ...phase }))
+        this.syncBulkPhase()
+        this.initBoxSize = Float32Array.from(gridBoxSize)
+        this.realBoxSize = Float32Array.from(gridBoxSize)
+        this.gridCount = Math.ceil(gridBoxSize[0]) * Math.ceil(gridBoxSize[1]) * Math.ceil(gridBoxSize[2])
+        this.cells = new Int32Array(this.gridCount * cellStride)
+        this.numParticles = 0
+        this.particles = new Float32Array(0)
+        this.particleMaterials = new Uint32Array(0)
+        this.posvel = new Float32Array(0)
+        this.boundaryCouplingWidth = 3.0
+        this.pistonPower = 1.0
+        this.pistonState = new Float32Array(4)
+        this.obstacles = []
+    }
+
+    setParticles(particlesBuf, numParticles) {
+        this.numParticles = numParticles
+        this.particles = new Float32Array(particlesBuf.slice(0, numParticles * mlsmpmParticleStructSize))
+        this.particleMaterials = new Uint32Array(this.particles.buffer)
+        this.posvel = new Float32Array(numParticles * posvelStride)
+    }
+
+    getParticles() {
+        return this.particles.buffer
+    }
+
+    setMaterial(material) {
+        this.material = { ...this.material, ...material };
+        this.syncBulkPhase();
+    }
+
+    setPhases(phases) {
+        this.phases = phases.map((phase) => ({ ...phase }));
+        this.syncBulkPhase();
+    }
+
+    // Phase 0 follows the material, as in MLSMPMSimulator.
+    syncBulkPhase() {
+        const { stiffness, restDensity, viscosity } = this.material;
+        this.phases[0] = { ...this.phases[0], stiffness, restDensity, viscosity };
+    }
+
+    setBoundaryCouplingWidth(value) {
+        this.boundaryCouplingWidth = value;
+    }
+
+    setPistonPower(value) {
+        this.pistonPower = value;
+    }
+
+    // Obstacle math runs in double precision here, so it only tracks the GPU approximately.
+    setObstacles(obstacles) {
+        this.obstacles = obstacles.map(bakeObstacle)
+    }
+
+    changeBoxSize(realBoxSize, pistonVelocity = 0, pistonAxis = 'z') {
+        this.realBoxSize.set(realBoxSize)
+        this.pistonState.fill(0)
+        this.pistonState[pistonAxis === 'x' ? 2 : 0] = pistonVelocity * this.pistonPower
+        this.pistonState[1] = this.boundaryCouplingWidth
+    }
+
+    encodeFixedPoint(value) {
+        return toI32(f32(value * this.constants.fixed_point_multiplier))
+    }
+
+    decodeFixedPoint(value) {
+        return f32(value / this.constants.fixed_point_multiplier)
+    }
+
+    cellIndex(x, y, z) {
+        return toI32(x) * toI32(this.initBoxSize[1]) * toI32(this.initBoxSize[2]) +
+            toI32(y) * toI32(this.initBoxSize[2]) +
+            toI32(z)
+    }
+
+    // Out of range grid accesses are dropped; the GPU buffer is larger than the
+    // active grid so these only happen for particles that already escaped.
+    atomicAdd(cellIndex, field, value) {
+        if (cellIndex < 0 || cellIndex >= this.gridCount) return;
+        const slot = cellIndex * cellStride + field
+        this.cells[slot] = (this.cells[slot] + value) | 0
+    }
+
+    readCell(cellIndex, field) {
+        if (cellIndex < 0 || cellIndex >= this.gridCount) return 0;
+        return this.cells[cellIndex * cellStride + field]
+    }
+
+    execute(substeps = 2) {
+        for (let i = 0; i < substeps; i++) {
+            this.clearGrid()
+            this.p2g1()
+            this.p2g2()
+            this.updateGrid()
+            this.g2p()
+            this.copyPosition()
+        }
+    }
+
+    clearGrid() {
+        this.cells.fill(0)
+    }
+
+    p2g1() {
+        const p = this.particles
+        for (let n = 0; n < this.numParticles; n++) {
+            const base = n * particleStride
+            const position = [p[base + 0], p[base + 1], p[base + 2]]
+            const v = [p[base + 4], p[base + 5], p[base + 6]]
+            const { cellIdx, weights } = quadraticWeights(position)
+
+            for (let gx = 0; gx < 3; gx++) {
+                for (let gy = 0; gy < 3; gy++) {
+                    for (let gz = 0; gz < 3; gz++) {
+                        const weight = f32(f32(weights[gx][0] * weights[gy][1]) * weights[gz][2])
+                        const cellX = [cellIdx[0] + gx - 1, cellIdx[1] + gy - 1, cellIdx[2] + gz - 1]
+                        const cellDist = [
+                            f32(cellX[0] + 0.5 - position[0]),
+                            f32(cellX[1] + 0.5 - position[1]),
+                            f32(cellX[2] + 0.5 - position[2]),
+                        ]
+                        const index = this.cellIndex(cellX[0], cellX[1], cellX[2])
+                        const massContrib = weight * 1.0
+                        this.atomicAdd(index, 3, this.encodeFixedPoint(massContrib))
+                        for (let row = 0; row < 3; row++) {
+                            const Q = matVecRow(p, base + 8, row, cellDist)
+                            this.atomicAdd(index, row, this.encodeFixedPoint(f32(massContrib * f32(v[row] + Q))))
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    p2g2() {
+        const p = this.particles
+        const { dt } = this.material
+        for (let n = 0; n < this.numParticles; n++) {
+            const base = n * particleStride
+            const phaseIndex = Math.min(this.particleMaterials[base + materialOffset], maxPhases - 1)
+            const phase = this.phases[phaseIndex] || this.phases[0]
+            const position = [p[base + 0], p[base + 1], p[base + 2]]
+            const { cellIdx, weights } = quadraticWeights(position)
+            const density = this.gatherDensity(cellIdx, weights)
+            p[base + 3] = density
+            const { volume, stress } = (phase.model ?? 'fluid') === 'fluid'
+                ? this.fluidStress(phase, density, base)
+                : this.solidStress(phase, base)
+            // eq_16_term0 = -volume * 4 * stress * dt, one f32 matrix.
+            const term0 = new Array(12).fill(0)
+            for (let col = 0; col < 3; col++) {
+                for (let row = 0; row < 3; row++) {
+                    term0[col * 4 + row] = f32(f32(f32(-volume * 4) * stress[col][row]) * dt)
+                }
+            }
+
+            for (let gx = 0; gx < 3; gx++) {
+                for (let gy = 0; gy < 3; gy++) {
+                    for (let gz = 0; gz < 3; gz++) {
+                        const weight = f32(f32(weights[gx][0] * weights[gy][1]) * weights[gz][2])
+                        const cellX = [cellIdx[0] + gx - 1, cellIdx[1] + gy - 1, cellIdx[2] + gz - 1]
+                        const cellDist = [
+                            f32(cellX[0] + 0.5 - position[0]),
+                            f32(cellX[1] + 0.5 - position[1]),
+                            f32(cellX[2] + 0.5 - position[2]),
+                        ]
+                        const index = this.cellIndex(cellX[0], cellX[1], cellX[2])
+                        const scaled = term0.map((value) => f32(value * weight))
+                        for (let row = 0; row < 3; row++) {
+                            this.atomicAdd(index, row, this.encodeFixedPoint(matVecRow(scaled, 0, row, cellDist)))
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    fluidStress({ stiffness, restDensity, viscosity }, density, base) {
+        const p = this.particles
+        const volume = f32(1.0 / density)
+        const pressure = Math.max(-0.0, f32(stiffness * f32(f32(Math.pow(f32(density / restDensity), 5)) - 1)))
+
+        // stress[col][row] = -pressure * I + viscosity * (C + C^T)
+        const stress = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                const strain = f32(p[base + 8 + col * 4 + row] + p[base + 8 + row * 4 + col])
+                stress[col][row] = f32((col === row ? -pressure : 0) + f32(viscosity * strain))
+            }
+        }
+        return { volume, stress }
+    }
+
+    // Neo-Hookean Kirchhoff stress, as in p2g_2.wgsl.
+    solidStress(phase, base) {
+        const { mu, lambda } = lameParameters(phase)
+        const hardening = phase.model === 'snow'
+            ? Math.min(Math.max(Math.exp(phase.hardening * (1 - this.particles[base + jpOffset])), 0.1), 3.0)
+            : 1.0
+        const F = this.readDeformation(base)
+        const logJ = Math.log(Math.max(determinant(F), 0.1))
+        const FFt = matMul(F, transpose(F))
+        const stress = [[0, 0, 0], [0, 0, 0], [0, 0, 0]]
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                const identity = col === row ? 1 : 0
+                stress[col][row] = hardening * (mu * (FFt[col * 3 + row] - identity) + lambda * logJ * identity)
+            }
+        }
+        return { volume: 1.0 / phase.restDensity, stress }
+    }
+
+    readDeformation(base) {
+        const p = this.particles
+        const F = []
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                F.push(p[base + deformationOffset + col * 4 + row])
+            }
+        }
+        return F
+    }
+
+    writeDeformation(base, F) {
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                this.particles[base + deformationOffset + col * 4 + row] = F[col * 3 + row]
+            }
+        }
+    }
+
+    // F <- (I + dt C) F, then for snow the plastic clamp of apply_snow_plasticity in g2p.wgsl.
+    updateDeformation(phase, base, dt) {
+        const p = this.particles
+        const step = []
+        for (let col = 0; col < 3; col++) {
+            for (let row = 0; row < 3; row++) {
+                step.push((col === row ? 1 : 0) + dt * p[base + 8 + col * 4 + row])
+            }
+        }
+        const F = matMul(step, this.readDeformation(base))
+        if (phase.model !== 'snow') {
+            this.writeDeformation(base, F)
+            return
+        }
+        const { values, vectors } = symmetricEigen(matMul(F, transpose(F)))
+        const singular = values.map((value) => Math.sqrt(Math.max(value, 1e-12)))
+        const clamped = singular.map((value) =>
+            Math.min(Math.max(value, 1 - phase.criticalCompression), 1 + phase.criticalStretch))
+        const scale = [clamped[0] / singular[0], 0, 0, 0, clamped[1] / singular[1], 0, 0, 0, clamped[2] / singular[2]]
+        this.writeDeformation(base, matMul(matMul(matMul(vectors, scale), transpose(vectors)), F))
+        const removed = (singular[0] * singular[1] * singular[2]) / (clamped[0] * clamped[1] * clamped[2])
+        p[base + jpOffset] = Math.min(Math.max(p[base + jpOffset] * removed, 0.6), 20.0)
+    }
+
+    updateGrid() {
+        const { dt, gravity } = this.material
+        const cells = this.cells
+        const sizeY = toI32(this.initBoxSize[1])
+        const sizeZ = toI32(this.initBoxSize[2])
+        const wallVelocityZ = this.pistonState[0]
+        const boundaryWidth = this.pistonState[1]
+        const wallVelocityX = this.pistonState[2]
+
+        for (let id = 0; id < this.gridCount; id++) {
+            const slot = id * cellStride
+            if (cells[slot + 3] <= 0) continue;
+
+            const mass = this.decodeFixedPoint(cells[slot + 3])
+            const floatV = [
+                f32(this.decodeFixedPoint(cells[slot + 0]) / mass),
+                f32(this.decodeFixedPoint(cells[slot + 1]) / mass),
+                f32(this.decodeFixedPoint(cells[slot + 2]) / mass),
+            ]
+            floatV[1] = f32(floatV[1] + f32(gravity * dt))
+
+            const x = Math.trunc(Math.trunc(id / sizeZ) / sizeY)
+            const y = Math.trunc(id / sizeZ) % sizeY
+            const z = id % sizeZ
+
+            const cellPosition = [x + 0.5, y + 0.5, z + 0.5]
+            for (const obstacle of this.obstacles) {
+                if (obstacleDistance(obstacle, cellPosition) >= obstacleMargin) continue;
+                const normal = obstacleNormal(obstacle, cellPosition)
+                const normalSpeed = floatV[0] * normal[0] + floatV[1] * normal[1] + floatV[2] * normal[2]
+                if (normalSpeed >= 0.0) continue;
+                const tangent = floatV.map((value, axis) => value - normalSpeed * normal[axis])
+                const tangentSpeed = Math.hypot(...tangent)
+                const frictionScale = tangentSpeed > 1e-6 ? Math.max(0.0, 1.0 + obstacle.friction * normalSpeed / tangentSpeed) : 0.0
+                for (let axis = 0; axis < 3; axis++) {
+                    floatV[axis] = f32(tangent[axis] * frictionScale)
+                }
+            }
+
+            cells[slot + 0] = this.encodeFixedPoint(floatV[0])
+            cells[slot + 1] = this.encodeFixedPoint(floatV[1])
+            cells[slot + 2] = this.encodeFixedPoint(floatV[2])
+            if (x < 2 || x > Math.ceil(this.realBoxSize[0]) - 3) { cells[slot + 0] = 0; }
+            if (y < 2 || y > Math.ceil(this.realBoxSize[1]) - 3) { cells[slot + 1] = 0; }
+            if (z < 2 || z > Math.ceil(this.realBoxSize[2]) - 3) { cells[slot + 2] = 0; }
+
+            const pistonWallZ = this.realBoxSize[2] - 4.0
+            const wallDistance = Math.max(pistonWallZ - z, 0.0)
+            if (wallVelocityZ < 0.0 && wallDistance < boundaryWidth) {
+                const influence = Math.min(Math.max((boundaryWidth - wallDistance) / boundaryWidth, 0.0), 1.0)
+                const wallVz = floatV[2] + (wallVelocityZ - floatV[2]) * influence
+                cells[slot + 2] = this.encodeFixedPoint(Math.min(floatV[2], wallVz))
+            }
+
+            const pistonWallX = this.realBoxSize[0] - 4.0
+            const wallDistanceX = Math.max(pistonWallX - x, 0.0)
+            if (wallVelocityX < 0.0 && wallDistanceX < boundaryWidth) {
+                const influence = Math.min(Math.max((boundaryWidth - wallDistanceX) / boundaryWidth, 0.0), 1.0)
+                const wallVx = floatV[0] + (wallVelocityX - floatV[0]) * influence
+                cells[slot + 0] = this.encodeFixedPoint(Math.min(floatV[0], wallVx))
+            }
+        }
+    }
+
+    g2p() {
+        const p = this.particles
+        const { dt } = this.material
+        const realBoxSize = this.realBoxSize
+        const wallVelocityZ = this.pistonState[0]
+        const wallVelocityX = this.pistonState[2]
+
+        for (let n = 0; n < this.numParticles; n++) {
+            const base = n * particleStride
+            const position = [p[base + 0], p[base + 1], p[base + 2]]
+            const { cellIdx, weights } = quadraticWeights(position)
+            const v = [0, 0, 0]
+            const B = [0, 0, 0, 0, 0, 0, 0, 0, 0]
+
+            for (let gx = 0; gx < 3; gx++) {
+                for (let gy = 0; gy < 3; gy++) {
+                    for (let gz = 0; gz < 3; gz++) {
+                        const weight = f32(f32(weights[gx][0] * weights[gy][1]) * weights[gz][2])
+                        const cellX = [cellIdx[0] + gx - 1, cellIdx[1] + gy - 1, cellIdx[2] + gz - 1]
+                        const cellDist = [
+                            f32(cellX[0] + 0.5 - position[0]),
+                            f32(cellX[1] + 0.5 - position[1]),
+                            f32(cellX[2] + 0.5 - position[2]),
+                        ]
+                        const index = this.cellIndex(cellX[0], cellX[1], cellX[2])
+                        for (let row = 0; row < 3; row++) {
+                            const weightedVelocity = f32(this.decodeFixedPoint(this.readCell(index, row)) * weight)
+                            v[row] = f32(v[row] + weightedVelocity)
+                            for (let col = 0; col < 3; col++) {
+                                B[col * 3 + row] = f32(B[col * 3 + row] + f32(weightedVelocity * cellDist[col]))
+                            }
+                        }
+                    }
+                }
+            }
+
+            for (let col = 0; col < 3; col++) {
+                for (let row = 0; row < 3; row++) {
+                    p[base + 8 + col * 4 + row] = B[col * 3 + row] * 4.0
+                }
+            }
+            const phaseIndex = Math.min(this.particleMaterials[base + materialOffset], maxPhases - 1)
+            const phase = this.phases[phaseIndex] || this.phases[0]
+            if ((phase.model ?? 'fluid') !== 'fluid') {
+                this.updateDeformation(phase, base, dt)
+            }
+            for (let axis = 0; axis < 3; axis++) {
+                const moved = f32(position[axis] + f32(v[axis] * dt))
+                p[base + axis] = Math.min(Math.max(moved, 1.0), realBoxSize[axis] - 2.0)
+            }
+
+            for (const obstacle of this.obstacles) {
+                const current = [p[base + 0], p[base + 1], p[base + 2]]
+                const distance = obstacleDistance(obstacle, current)
+                if (distance >= 0.0) continue;
+                const normal = obstacleNormal(obstacle, current)
+                for (let axis = 0; axis < 3; axis++) {
+                    p[base + axis] = current[axis] - distance * normal[axis]
+                }
+                const normalSpeed = v[0] * normal[0] + v[1] * normal[1] + v[2] * normal[2]
+                if (normalSpeed < 0.0) {
+                    for (let axis = 0; axis < 3; axis++) {
+                        v[axis] -= normalSpeed * normal[axis]
+                    }
+                }
+            }
+
+            const k = 3.0
+            const wallStiffness = 0.3
+            for (let axis = 0; axis < 3; axis++) {
+                const xN = f32(p[base + axis] + f32(f32(v[axis] * dt) * k))
+                const wallMin = 3.0
+                const wallMax = f32(realBoxSize[axis] - 4.0)
+                if (xN < wallMin) { v[axis] = f32(v[axis] + f32(f32(wallStiffness) * f32(wallMin - xN))); }
+                if (xN > wallMax) {
+                    if (axis === 2 && wallVelocityZ < 0.0) {
+                        v[axis] = Math.min(v[axis], wallVelocityZ);
+                    }
+                    if (axis === 0 && wallVelocityX < 0.0) {
+                        v[axis] = Math.min(v[axis], wallVelocityX);
+                    }
+                    v[axis] = f32(v[axis] + f32(f32(wallStiffness) * f32(wallMax - xN)));
+                }
+            }
+            p[base + 4] = v[0]
+            p[base + 5] = v[1]
+            p[base + 6] = v[2]
+        }
+    }
+
+    copyPosition() {
+        const p = this.particles
+        for (let n = 0; n < this.numParticles; n++) {
+            const base = n * particleStride
+            const out = n * posvelStride
+            this.posvel[out + 0] = p[base + 0]
+            this.posvel[out + 1] = p[base + 1]
+            this.posvel[out + 2] = p[base + 2]
+            this.posvel[out + 3] = p[base + 3]
+            this.posvel[out + 4] = p[base + 4]
+            this.posvel[out + 5] = p[base + 5]
+            this.posvel[out + 6] = p[base + 6]
+            this.posvel[out + 7] = p[base + 7]
+            this.posvel[out + 8] = this.particleMaterials[base + materialOffset]
+        }
+    }
+
+    gatherDensity(cellIdx, weights) {
+        let density = 0
+        for (let gx = 0; gx < 3; gx++) {
+            for (let gy = 0; gy < 3; gy++) {
+                for (let gz = 0; gz < 3; gz++) {
+                    const weight = f32(f32(weights[gx][0] * weights[gy][1]) * weights[gz][2])
+                    const index = this.cellIndex(cellIdx[0] + gx - 1, cellIdx[1] + gy - 1, cellIdx[2] + gz - 1)
+                    density = f32(density + this.decodeFixedPoint(this.readCell(index, 3)) * weight)
+                }
+            }
+        }
+        return density
+    }
+
+    totalGridMass() {
+        let mass = 0
+        for (let id = 0; id < this.gridCount; id++) {
+            mass += this.decodeFixedPoint(this.cells[id * cellStride + 3])
+        }
+        return mass
+    }
+
+    // Densities as p2g_2 sees them, i.e. sampled from the mass on the current grid.
+    particleDensities() {
+        const p = this.particles
+        const densities = new Float32Array(this.numParticles)
+        for (let n = 0; n < this.numParticles; n++) {
+            const base = n * particleStride
+            const { cellIdx, weights } = quadraticWeights([p[base + 0], p[base + 1], p[base + 2]])
+            densities[n] = this.gatherDensity(cellIdx, weights)
+        }
+        return densities
+    }
+}
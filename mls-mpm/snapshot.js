@@ -0,0 +1,104 @@
+import { mlsmpmParticleStructSize, writeRestState } from './mls-mpm.js?v=20261020l';
+
+export const SNAPSHOT_MAGIC = 0x534d504d; // "MPMS" as a little endian u32
+export const SNAPSHOT_VERSION = 4;
+
+// Header: magic, version, particle count, floats per particle, box size xyz, piston phase.
+const headerSize = 32;
+// position (3), v (3), C (9 column major), spawn source (1), material (1, the
+// u32 bits copied as they are), Jp (1), F (9 column major). Version 1 files stop
+// after C, version 2 after the source and version 3 after the material; missing
+// fields load as source 0, phase 0 and an undeformed F and Jp.
+const fieldOffsets = [
+    [0, 3],
+    [4, 3],
+    [8, 3],
+    [12, 3],
+    [16, 3],
+    [7, 1],
+    [20, 1],
+    [21, 1],
+    [24, 3],
+    [28, 3],
+    [32, 3],
+];
+const versionFieldCounts = { 1: 5, 2: 6, 3: 7, 4: 11 };
+const floatsPerParticleFor = (version) =>
+    fieldOffsets.slice(0, versionFieldCounts[version]).reduce((sum, [, length]) => sum + length, 0);
+const snapshotFloatsPerParticle = floatsPerParticleFor(SNAPSHOT_VERSION);
+
+/**
+ * Packs the GPU particle layout into a compact binary container. The 16 byte
+ * padding of every vec3f/mat3x3f column is dropped (the spawn source sits in the
+ * padding after v and is kept), so a snapshot is 108 bytes per particle instead
+ * of mlsmpmParticleStructSize.
+ */
+export function encodeSnapshot({ particles, numParticles, boxSize, pistonPhase = 0 }) {
+    const buffer = new ArrayBuffer(headerSize + numParticles * snapshotFloatsPerParticle * 4);
+    const header = new DataView(buffer, 0, headerSize);
+    header.setUint32(0, SNAPSHOT_MAGIC, true);
+    header.setUint32(4, SNAPSHOT_VERSION, true);
+    header.setUint32(8, numParticles, true);
+    header.setUint32(12, snapshotFloatsPerParticle, true);
+    header.setFloat32(16, boxSize[0], true);
+    header.setFloat32(20, boxSize[1], true);
+    header.setFloat32(24, boxSize[2], true);
+    header.setFloat32(28, pistonPhase, true);
+
+    const particleFloats = mlsmpmParticleStructSize / 4;
+    const source = new Float32Array(particles, 0, numParticles * particleFloats);
+    const target = new Float32Array(buffer, headerSize);
+    for (let i = 0; i < numParticles; i++) {
+        let out = i * snapshotFloatsPerParticle;
+        for (const [offset, length] of fieldOffsets) {
+            for (let j = 0; j < length; j++) {
+                target[out++] = source[i * particleFloats + offset + j];
+            }
+        }
+    }
+    return buffer;
+}
+
+export function decodeSnapshot(buffer) {
+    if (buffer.byteLength < headerSize) {
+        throw new Error('Snapshot is truncated: missing header');
+    }
+    const header = new DataView(buffer, 0, headerSize);
+    if (header.getUint32(0, true) !== SNAPSHOT_MAGIC) {
+        throw new Error('Not a simulation snapshot file');
+    }
+    const version = header.getUint32(4, true);
+    if (!(version in versionFieldCounts)) {
+        throw new Error(`Unsupported snapshot version ${version}`);
+    }
+    const fields = fieldOffsets.slice(0, versionFieldCounts[version]);
+    const numParticles = header.getUint32(8, true);
+    const floatsPerParticle = header.getUint32(12, true);
+    if (floatsPerParticle !== floatsPerParticleFor(version)) {
+        throw new Error(`Unexpected snapshot particle size ${floatsPerParticle}`);
+    }
+    if (buffer.byteLength < headerSize + numParticles * floatsPerParticle * 4) {
+        throw new Error('Snapshot is truncated: particle data is incomplete');
+    }
+
+    const particleFloats = mlsmpmParticleStructSize / 4;
+    const source = new Float32Array(buffer, headerSize, numParticles * floatsPerParticle);
+    const particles = new ArrayBuffer(numParticles * mlsmpmParticleStructSize);
+    const target = new Float32Array(particles);
+    for (let i = 0; i < numParticles; i++) {
+        writeRestState(particles, i * mlsmpmParticleStructSize);
+        let input = i * floatsPerParticle;
+        for (const [offset, length] of fields) {
+            for (let j = 0; j < length; j++) {
+                target[i * particleFloats + offset + j] = source[input++];
+            }
+        }
+    }
+
+    return {
+        particles,
+        numParticles,
+        boxSize: [header.getFloat32(16, true), header.getFloat32(20, true), header.getFloat32(24, true)],
+        pistonPhase: header.getFloat32(28, true),
+    };
+}
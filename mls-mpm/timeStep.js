@@ -0,0 +1,36 @@
+// Simulation time units per second of piston time. Two substeps of dt 0.2 per
+// frame at 60 fps, the fixed stepping this replaced.
+export const SIM_TIME_PER_SECOND = 24;
+
+// A stalled tab or a breakpoint should not ask for seconds of simulation in one frame.
+export const MAX_FRAME_SECONDS = 1 / 20;
+
+// Adaptive stepping is opt-in: it can run more substeps a frame than the old
+// fixed two, and scenes saved without a timeStep block should play as before.
+export const defaultTimeStepSettings = {
+    adaptive: false,
+    // Largest fraction of a grid cell any particle may travel in one substep.
+    cfl: 0.5,
+    maxSubsteps: 8,
+    simTimePerSecond: SIM_TIME_PER_SECOND,
+};
+
+/**
+ * Splits `frameTime` (simulation units) into substeps no longer than `maxDt`
+ * whose fastest particle, at `maxSpeed` cells per unit, moves at most `cfl`
+ * cells. With `maxSubsteps` reached the substeps keep the limit and the frame
+ * simulates less than asked, so `simTime` is what actually gets simulated.
+ */
+export function chooseSubsteps(frameTime, maxSpeed, { cfl, maxDt, minSubsteps = 1, maxSubsteps }) {
+    const cflDt = maxSpeed > 0 && Number.isFinite(maxSpeed) ? cfl / maxSpeed : Infinity;
+    const limit = Math.min(maxDt, cflDt);
+    const lowest = Math.max(1, Math.min(minSubsteps, maxSubsteps));
+    const substeps = Math.min(Math.max(Math.ceil(frameTime / limit - 1e-6), lowest), maxSubsteps);
+    const dt = Math.min(frameTime / substeps, limit);
+    return { substeps, dt, simTime: substeps * dt, cflLimited: cflDt < maxDt };
+}
+
+// Fixed stepping: `substeps` of `dt` whatever the frame took.
+export function fixedSubsteps(substeps, dt) {
+    return { substeps, dt, simTime: substeps * dt, cflLimited: false };
+}
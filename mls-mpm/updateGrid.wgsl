@@ -5,20 +5,88 @@ struct Cell {
     mass: i32, 
 }
 
+struct ActiveBlocks {
+    count: u32,
+    pad0: u32,
+    pad1: u32,
+    pad2: u32,
+    blocks: array<u32>,
+}
+
 struct PistonState {
     wall_velocity_z: f32,
     boundary_width: f32,
+    wall_velocity_x: f32,
+    pad0: f32,
+}
+
+struct Material {
+    stiffness: f32,
+    rest_density: f32,
+    dynamic_viscosity: f32,
+    dt: f32,
+    gravity: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+struct Obstacle {
+    center: vec3f,
+    kind: u32,
+    size: vec3f,
+    friction: f32,
+    sdf_dims: vec3u,
+    sdf_offset: u32,
+    sdf_cell_size: f32,
     pad0: f32,
     pad1: f32,
+    pad2: f32,
+}
+
+struct ObstacleCount {
+    count: u32,
+    pad0: u32,
+    pad1: u32,
+    pad2: u32,
+}
+
+struct MouseForce {
+    ray_origin: vec3f,
+    mode: u32,
+    ray_direction: vec3f,
+    radius: f32,
+    strength: f32,
+    write_slot: u32,
+    pad0: u32,
+    pad1: u32,
 }
 
 override fixed_point_multiplier: f32; 
-override dt: f32; 
+override workgroup_size: u32 = 64;
 
 @group(0) @binding(0) var<storage, read_write> cells: array<Cell>;
 @group(0) @binding(1) var<uniform> real_box_size: vec3f;
 @group(0) @binding(2) var<uniform> init_box_size: vec3f;
 @group(0) @binding(3) var<uniform> piston_state: PistonState;
+@group(0) @binding(4) var<uniform> material: Material;
+@group(0) @binding(5) var<storage, read> obstacles: array<Obstacle>;
+@group(0) @binding(6) var<uniform> obstacle_count: ObstacleCount;
+@group(0) @binding(7) var<storage, read> sdf_values: array<f32>;
+@group(0) @binding(8) var<uniform> mouse_force: MouseForce;
+@group(0) @binding(9) var<storage, read_write> mouse_hit: array<atomic<u32>, 2>;
+@group(0) @binding(10) var<storage, read> active_blocks: ActiveBlocks;
+
+// Grid nodes closer than this to an obstacle surface get the collision response.
+const OBSTACLE_MARGIN = 0.5;
+
+// Order matches mouseForceModes in mls-mpm.js, shifted by one for "off".
+const MOUSE_FORCE_OFF = 0u;
+const MOUSE_FORCE_PUSH = 1u;
+const MOUSE_FORCE_PULL = 2u;
+const MOUSE_FORCE_SWIRL = 3u;
+// Cells lighter than about one particle (spray) do not stop the mouse ray.
+const MOUSE_HIT_MASS = 1.0;
 
 fn encodeFixedPoint(floating_point: f32) -> i32 {
 	return i32(floating_point * fixed_point_multiplier);
@@ -27,27 +95,176 @@ fn decodeFixedPoint(fixed_point: i32) -> f32 {
 	return f32(fixed_point) / fixed_point_multiplier;
 }
 
+const OBSTACLE_BOX = 0u;
+const OBSTACLE_SPHERE = 1u;
+const OBSTACLE_CYLINDER = 2u;
+const OBSTACLE_MESH = 3u;
+
+fn box_distance(local: vec3f, half_extents: vec3f) -> f32 {
+    let q = abs(local) - half_extents;
+    return length(max(q, vec3f(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
+}
+
+fn sdf_value(obstacle: Obstacle, cell: vec3u) -> f32 {
+    let dims = obstacle.sdf_dims;
+    return sdf_values[obstacle.sdf_offset + cell.x * dims.y * dims.z + cell.y * dims.z + cell.z];
+}
+
+fn mesh_distance(obstacle: Obstacle, local: vec3f) -> f32 {
+    let dims = vec3f(obstacle.sdf_dims);
+    let half_extents = 0.5 * (dims - 1.0) * obstacle.sdf_cell_size;
+    let g = (local + half_extents) / obstacle.sdf_cell_size;
+    if (any(g < vec3f(0.0)) || any(g > dims - 1.0)) {
+        return box_distance(local, half_extents) + 2.0 * obstacle.sdf_cell_size;
+    }
+    let base = vec3u(min(floor(g), dims - 2.0));
+    let t = g - vec3f(base);
+    let c00 = mix(sdf_value(obstacle, base), sdf_value(obstacle, base + vec3u(0u, 0u, 1u)), t.z);
+    let c01 = mix(sdf_value(obstacle, base + vec3u(0u, 1u, 0u)), sdf_value(obstacle, base + vec3u(0u, 1u, 1u)), t.z);
+    let c10 = mix(sdf_value(obstacle, base + vec3u(1u, 0u, 0u)), sdf_value(obstacle, base + vec3u(1u, 0u, 1u)), t.z);
+    let c11 = mix(sdf_value(obstacle, base + vec3u(1u, 1u, 0u)), sdf_value(obstacle, base + vec3u(1u, 1u, 1u)), t.z);
+    return mix(mix(c00, c01, t.y), mix(c10, c11, t.y), t.x);
+}
 
-@compute @workgroup_size(64)
-fn updateGrid(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x < arrayLength(&cells)) {
-        if (cells[id.x].mass > 0) {
+fn obstacle_distance(obstacle: Obstacle, position: vec3f) -> f32 {
+    let local = position - obstacle.center;
+    switch obstacle.kind {
+        case OBSTACLE_SPHERE: {
+            return length(local) - obstacle.size.x;
+        }
+        case OBSTACLE_CYLINDER: {
+            let d = vec2f(length(local.xz) - obstacle.size.x, abs(local.y) - obstacle.size.y);
+            return min(max(d.x, d.y), 0.0) + length(max(d, vec2f(0.0)));
+        }
+        case OBSTACLE_MESH: {
+            return mesh_distance(obstacle, local);
+        }
+        default: {
+            return box_distance(local, obstacle.size);
+        }
+    }
+}
+
+fn obstacle_normal(obstacle: Obstacle, position: vec3f) -> vec3f {
+    let e = vec2f(0.25, 0.0);
+    let gradient = vec3f(
+        obstacle_distance(obstacle, position + e.xyy) - obstacle_distance(obstacle, position - e.xyy),
+        obstacle_distance(obstacle, position + e.yxy) - obstacle_distance(obstacle, position - e.yxy),
+        obstacle_distance(obstacle, position + e.yyx) - obstacle_distance(obstacle, position - e.yyx)
+    );
+    let gradient_length = length(gradient);
+    if (gradient_length < 1e-6) {
+        return vec3f(0.0, 1.0, 0.0);
+    }
+    return gradient / gradient_length;
+}
+
+// Every cell the ray passes through records its ray distance in the write
+// slot; atomicMax on the inverted bits keeps the nearest one. The force is
+// centred on the hit found during the previous frame (the read slot).
+fn mouse_force_velocity(position: vec3f, mass: f32) -> vec3f {
+    let offset = position - mouse_force.ray_origin;
+    let t = dot(offset, mouse_force.ray_direction);
+    if (t > 0.0 && mass > MOUSE_HIT_MASS && length(offset - t * mouse_force.ray_direction) < 1.0) {
+        atomicMax(&mouse_hit[mouse_force.write_slot], ~bitcast<u32>(t));
+    }
+
+    let hit_bits = atomicLoad(&mouse_hit[1u - mouse_force.write_slot]);
+    if (hit_bits == 0u) {
+        return vec3f(0.0);
+    }
+    let hit = mouse_force.ray_origin + bitcast<f32>(~hit_bits) * mouse_force.ray_direction;
+    let to_cell = position - hit;
+    let distance = length(to_cell);
+    if (distance >= mouse_force.radius || distance < 1e-4) {
+        return vec3f(0.0);
+    }
+    let falloff = 1.0 - distance / mouse_force.radius;
+    let impulse = mouse_force.strength * falloff * falloff * material.dt;
+    let radial = to_cell / distance;
+    switch mouse_force.mode {
+        case MOUSE_FORCE_PULL: {
+            return -radial * impulse;
+        }
+        case MOUSE_FORCE_SWIRL: {
+            // Vortex around the view ray through the hit point.
+            return cross(mouse_force.ray_direction, radial) * impulse;
+        }
+        default: {
+            return radial * impulse;
+        }
+    }
+}
+
+const BLOCK_SIZE = 4u;
+const BLOCK_CELLS = 64u;
+
+// The cell this thread handles: threads walk the active blocks (see activeBlocks.wgsl)
+// 64 cells at a time. -1 past the end of the list or outside the grid.
+fn active_cell(workgroup: vec3<u32>, workgroups: vec3<u32>, local: u32) -> i32 {
+    let thread = (workgroup.y * workgroups.x + workgroup.x) * workgroup_size + local;
+    let slot = thread / BLOCK_CELLS;
+    if (slot >= active_blocks.count) {
+        return -1;
+    }
+    let dims = vec3u(vec3i(init_box_size));
+    let blocks = (dims + BLOCK_SIZE - 1u) / BLOCK_SIZE;
+    let block = active_blocks.blocks[slot];
+    let inner = thread % BLOCK_CELLS;
+    let cell = vec3u(block / (blocks.y * blocks.z), (block / blocks.z) % blocks.y, block % blocks.z) * BLOCK_SIZE
+        + vec3u(inner / (BLOCK_SIZE * BLOCK_SIZE), (inner / BLOCK_SIZE) % BLOCK_SIZE, inner % BLOCK_SIZE);
+    if (any(cell >= dims)) {
+        return -1;
+    }
+    return i32(cell.x * dims.y * dims.z + cell.y * dims.z + cell.z);
+}
+
+@compute @workgroup_size(workgroup_size)
+fn updateGrid(@builtin(workgroup_id) workgroup: vec3<u32>, @builtin(num_workgroups) workgroups: vec3<u32>, @builtin(local_invocation_index) local: u32) {
+    let index = active_cell(workgroup, workgroups, local);
+    if (index >= 0) {
+        if (cells[index].mass > 0) {
             var float_v: vec3f = vec3f(
-                decodeFixedPoint(cells[id.x].vx), 
-                decodeFixedPoint(cells[id.x].vy), 
-                decodeFixedPoint(cells[id.x].vz)
+                decodeFixedPoint(cells[index].vx), 
+                decodeFixedPoint(cells[index].vy), 
+                decodeFixedPoint(cells[index].vz)
             );
-            float_v /= decodeFixedPoint(cells[id.x].mass);
-            cells[id.x].vx = encodeFixedPoint(float_v.x);
-            cells[id.x].vy = encodeFixedPoint(float_v.y + -0.3 * dt);
-            cells[id.x].vz = encodeFixedPoint(float_v.z);
-
-            var x: i32 = i32(id.x) / i32(init_box_size.z) / i32(init_box_size.y);
-            var y: i32 = (i32(id.x) / i32(init_box_size.z)) % i32(init_box_size.y);
-            var z: i32 = i32(id.x) % i32(init_box_size.z);
-            if (x < 2 || x > i32(ceil(real_box_size.x) - 3)) { cells[id.x].vx = 0; } 
-            if (y < 2 || y > i32(ceil(real_box_size.y) - 3)) { cells[id.x].vy = 0; }
-            if (z < 2 || z > i32(ceil(real_box_size.z) - 3)) { cells[id.x].vz = 0; }
+            float_v /= decodeFixedPoint(cells[index].mass);
+            float_v.y += material.gravity * material.dt;
+
+            var x: i32 = index / i32(init_box_size.z) / i32(init_box_size.y);
+            var y: i32 = (index / i32(init_box_size.z)) % i32(init_box_size.y);
+            var z: i32 = index % i32(init_box_size.z);
+
+            let cell_position = vec3f(f32(x), f32(y), f32(z)) + 0.5;
+            if (mouse_force.mode != MOUSE_FORCE_OFF) {
+                float_v += mouse_force_velocity(cell_position, decodeFixedPoint(cells[index].mass));
+            }
+
+            // No penetration plus Coulomb friction against the static obstacles.
+            for (var i = 0u; i < obstacle_count.count; i++) {
+                let obstacle = obstacles[i];
+                if (obstacle_distance(obstacle, cell_position) < OBSTACLE_MARGIN) {
+                    let normal = obstacle_normal(obstacle, cell_position);
+                    let normal_speed = dot(float_v, normal);
+                    if (normal_speed < 0.0) {
+                        let tangent = float_v - normal_speed * normal;
+                        let tangent_speed = length(tangent);
+                        var friction_scale = 0.0;
+                        if (tangent_speed > 1e-6) {
+                            friction_scale = max(0.0, 1.0 + obstacle.friction * normal_speed / tangent_speed);
+                        }
+                        float_v = tangent * friction_scale;
+                    }
+                }
+            }
+
+            cells[index].vx = encodeFixedPoint(float_v.x);
+            cells[index].vy = encodeFixedPoint(float_v.y);
+            cells[index].vz = encodeFixedPoint(float_v.z);
+            if (x < 2 || x > i32(ceil(real_box_size.x) - 3)) { cells[index].vx = 0; } 
+            if (y < 2 || y > i32(ceil(real_box_size.y) - 3)) { cells[index].vy = 0; }
+            if (z < 2 || z > i32(ceil(real_box_size.z) - 3)) { cells[index].vz = 0; }
 
             let piston_wall_z = real_box_size.z - 4.0;
             let wall_distance = max(piston_wall_z - f32(z), 0.0);
@@ -55,7 +272,16 @@ fn updateGrid(@builtin(global_invocation_id) id: vec3<u32>) {
                 let influence = clamp((piston_state.boundary_width - wall_distance) / piston_state.boundary_width, 0.0, 1.0);
                 let wall_vz = mix(float_v.z, piston_state.wall_velocity_z, influence);
                 let target_vz = min(float_v.z, wall_vz);
-                cells[id.x].vz = encodeFixedPoint(target_vz);
+                cells[index].vz = encodeFixedPoint(target_vz);
+            }
+
+            // Same coupling when the piston drives the far X wall instead.
+            let piston_wall_x = real_box_size.x - 4.0;
+            let wall_distance_x = max(piston_wall_x - f32(x), 0.0);
+            if (piston_state.wall_velocity_x < 0.0 && wall_distance_x < piston_state.boundary_width) {
+                let influence = clamp((piston_state.boundary_width - wall_distance_x) / piston_state.boundary_width, 0.0, 1.0);
+                let wall_vx = mix(float_v.x, piston_state.wall_velocity_x, influence);
+                cells[index].vx = encodeFixedPoint(min(float_v.x, wall_vx));
             }
         }
     }
@@ -0,0 +1,76 @@
+import { vec3, vec4 } from 'https://unpkg.com/wgpu-matrix@3.4.0/dist/3.x/wgpu-matrix.module.js'
+import { renderUniformsViews } from './common.js?v=20261019c'
+
+// Holding this key while dragging moves the camera even when the tool is on.
+export const cameraModifierKey = 'Alt'
+
+/**
+ * Click-drag forcing. While enabled, a left-button, pen or one-finger drag on
+ * the canvas is turned into a ray through the pointer; the simulator applies
+ * the force around the point where that ray first meets the fluid.
+ */
+export class MouseForceTool {
+    constructor(canvas) {
+        this.canvas = canvas
+        this.enabled = false
+        this.active = false
+        this.clientX = 0
+        this.clientY = 0
+        // Only the pointer that started the drag steers the force.
+        this.pointerId = null
+
+        canvas.addEventListener('pointerdown', (event) => {
+            if (this.active || !this.claims(event)) return
+            event.preventDefault()
+            canvas.setPointerCapture(event.pointerId)
+            this.active = true
+            this.pointerId = event.pointerId
+            this.clientX = event.clientX
+            this.clientY = event.clientY
+        })
+        canvas.addEventListener('pointermove', (event) => {
+            if (this.active && event.pointerId !== this.pointerId) return
+            this.clientX = event.clientX
+            this.clientY = event.clientY
+        })
+        const release = (event) => {
+            if (event.pointerId === this.pointerId) {
+                this.active = false
+                this.pointerId = null
+            }
+        }
+        window.addEventListener('pointerup', release)
+        window.addEventListener('pointercancel', release)
+    }
+
+    // Whether a pointerdown belongs to the tool rather than the camera.
+    claims(event) {
+        return this.enabled && event.button === 0 && !event.getModifierState(cameraModifierKey)
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled
+        this.active = false
+        this.pointerId = null
+    }
+
+    unproject(ndcX, ndcY, ndcZ) {
+        const view = vec4.transformMat4([ndcX, ndcY, ndcZ, 1], renderUniformsViews.inv_projection_matrix)
+        const world = vec4.transformMat4(vec4.divScalar(view, view[3]), renderUniformsViews.inv_view_matrix)
+        // Particles are drawn shifted by render_z_offset; undo it to get simulation coordinates.
+        return [world[0], world[1], world[2] - renderUniformsViews.render_z_offset[0]]
+    }
+
+    // The ray under the cursor in simulation coordinates, or null when not dragging.
+    getRay() {
+        if (!this.active) {
+            return null
+        }
+        const rect = this.canvas.getBoundingClientRect()
+        const ndcX = ((this.clientX - rect.left) / rect.width) * 2 - 1
+        const ndcY = 1 - ((this.clientY - rect.top) / rect.height) * 2
+        const near = this.unproject(ndcX, ndcY, 0)
+        const far = this.unproject(ndcX, ndcY, 1)
+        return { origin: near, direction: Array.from(vec3.normalize(vec3.subtract(far, near))) }
+    }
+}
@@ -1,9 +1,31 @@
+// vertexCount, instanceCount, firstVertex, firstInstance
+const drawIndirectArgsSize = 16;
+const cullUniformsSize = 6 * 16 + 16;
+const cullWorkgroupSize = 256;
+
+function multiplyMatrices(a, b) {
+    const out = new Float32Array(16);
+    for (let col = 0; col < 4; col++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[col * 4 + k];
+            }
+            out[col * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
 export class FrustumCuller {
     constructor(device) {
         this.device = device;
         this.frustumPlanes = new Float32Array(24);
-        this.visibilityBuffer = null;
+        this.cullUniformsValues = new ArrayBuffer(cullUniformsSize);
+        this.visibleIndexBuffer = null;
+        this.indirectArgsBuffer = null;
         this.visibilityPipeline = null;
+        this.enabled = true;
         this.initialized = false;
     }
 
@@ -22,38 +44,75 @@ struct RenderUniforms {
     viewMatrix: mat4x4f,
     invViewMatrix: mat4x4f,
     boxSize: vec3f,
+    renderZOffset: f32,
+    boxAnchorZ: f32,
 }
 
 struct PosVel {
     position: vec3f,
+    density: f32,
     v: vec3f,
+    source: f32,
+    material: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+struct CullUniforms {
+    planes: array<FrustumPlane, 6>,
+    numParticles: u32,
+    cullEnabled: u32,
+}
+
+struct DrawIndirectArgs {
+    vertexCount: u32,
+    instanceCount: atomic<u32>,
+    firstVertex: u32,
+    firstInstance: u32,
 }
 
 @group(0) @binding(0) var<storage, read> particles: array<PosVel>;
-@group(0) @binding(1) var<storage, read_write> visibility: array<u32>;
+@group(0) @binding(1) var<storage, read_write> visibleIndices: array<u32>;
 @group(0) @binding(2) var<uniform> uniforms: RenderUniforms;
-@group(0) @binding(3) var<uniform> frustumPlanes: array<FrustumPlane, 6>;
+@group(0) @binding(3) var<uniform> cull: CullUniforms;
+@group(0) @binding(4) var<storage, read_write> drawArgs: DrawIndirectArgs;
+
+var<workgroup> localCount: atomic<u32>;
+var<workgroup> localBase: u32;
+
+@compute @workgroup_size(${cullWorkgroupSize})
+fn cullParticles(
+    @builtin(global_invocation_id) id: vec3<u32>,
+    @builtin(local_invocation_index) localIndex: u32
+) {
+    var isVisible = id.x < cull.numParticles;
+    if (isVisible && cull.cullEnabled != 0u) {
+        let particlePos = particles[id.x].position + vec3f(0.0, 0.0, uniforms.renderZOffset);
+        let sphereRadius = uniforms.sphereSize;
+        for (var i = 0u; i < 6u; i++) {
+            let plane = cull.planes[i];
+            let distance = dot(plane.normal, particlePos) + plane.distance;
+            if (distance < -sphereRadius) {
+                isVisible = false;
+                break;
+            }
+        }
+    }
 
-@compute @workgroup_size(256)
-fn cullParticles(@builtin(global_invocation_id) id: vec3<u32>) {
-    if (id.x >= arrayLength(&particles)) {
-        return;
+    // One global atomic per workgroup instead of one per visible particle.
+    var localSlot = 0u;
+    if (isVisible) {
+        localSlot = atomicAdd(&localCount, 1u);
     }
-    
-    let particlePos = particles[id.x].position;
-    let sphereRadius = uniforms.sphereSize;
-    
-    var isVisible = true;
-    for (var i = 0u; i < 6u; i++) {
-        let plane = frustumPlanes[i];
-        let distance = dot(plane.normal, particlePos) + plane.distance;
-        if (distance < -sphereRadius) {
-            isVisible = false;
-            break;
-        }
+    workgroupBarrier();
+    if (localIndex == 0u) {
+        localBase = atomicAdd(&drawArgs.instanceCount, atomicLoad(&localCount));
+    }
+    let base = workgroupUniformLoad(&localBase);
+    if (isVisible) {
+        visibleIndices[base + localSlot] = id.x;
     }
-    
-    visibility[id.x] = select(0u, 1u, isVisible);
 }`;
 
         const cullModule = this.device.createShaderModule({ code: cullShaderCode });
@@ -64,21 +123,32 @@ fn cullParticles(@builtin(global_invocation_id) id: vec3<u32>) {
             compute: { module: cullModule }
         });
 
-        this.visibilityBuffer = this.device.createBuffer({
-            label: 'visibility buffer',
+        this.visibleIndexBuffer = this.device.createBuffer({
+            label: 'visible index buffer',
             size: maxParticles * 4,
             usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC,
         });
 
-        this.frustumPlanesBuffer = this.device.createBuffer({
-            label: 'frustum planes buffer',
-            size: 6 * 4 * 4,
+        this.indirectArgsBuffer = this.device.createBuffer({
+            label: 'particle draw indirect buffer',
+            size: drawIndirectArgsSize,
+            usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC | GPUBufferUsage.COPY_DST,
+        });
+        this.device.queue.writeBuffer(this.indirectArgsBuffer, 0, new Uint32Array([6, 0, 0, 0]));
+
+        this.cullUniformsBuffer = this.device.createBuffer({
+            label: 'frustum cull uniforms buffer',
+            size: cullUniformsSize,
             usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
         });
 
         this.initialized = true;
     }
 
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
     extractFrustumPlanes(viewProjectionMatrix) {
         const m = viewProjectionMatrix;
         
@@ -102,10 +172,11 @@ fn cullParticles(@builtin(global_invocation_id) id: vec3<u32>) {
         this.frustumPlanes[14] = m[11] - m[9];
         this.frustumPlanes[15] = m[15] - m[13];
         
-        this.frustumPlanes[16] = m[3] + m[2];
-        this.frustumPlanes[17] = m[7] + m[6];
-        this.frustumPlanes[18] = m[11] + m[10];
-        this.frustumPlanes[19] = m[15] + m[14];
+        // WebGPU clip space depth is [0, 1], so the near plane is z >= 0.
+        this.frustumPlanes[16] = m[2];
+        this.frustumPlanes[17] = m[6];
+        this.frustumPlanes[18] = m[10];
+        this.frustumPlanes[19] = m[14];
         
         this.frustumPlanes[20] = m[3] - m[2];
         this.frustumPlanes[21] = m[7] - m[6];
@@ -138,27 +209,35 @@ fn cullParticles(@builtin(global_invocation_id) id: vec3<u32>) {
             layout: this.visibilityPipeline.getBindGroupLayout(0),
             entries: [
                 { binding: 0, resource: { buffer: particleBuffer }},
-                { binding: 1, resource: { buffer: this.visibilityBuffer }},
+                { binding: 1, resource: { buffer: this.visibleIndexBuffer }},
                 { binding: 2, resource: { buffer: renderUniformBuffer }},
-                { binding: 3, resource: { buffer: this.frustumPlanesBuffer }},
+                { binding: 3, resource: { buffer: this.cullUniformsBuffer }},
+                { binding: 4, resource: { buffer: this.indirectArgsBuffer }},
             ]
         });
     }
 
-    execute(commandEncoder, bindGroup, numParticles, viewProjectionMatrix) {
+    /**
+     * Compacts the indices of particles inside the view frustum into
+     * visibleIndexBuffer and writes their count into the instanceCount of
+     * indirectArgsBuffer, ready for drawIndirect. `timestampWrites` is passed
+     * through to the compute pass for profiling.
+     */
+    execute(commandEncoder, bindGroup, numParticles, viewMatrix, projectionMatrix, timestampWrites = undefined) {
         if (!this.initialized) {
-            return numParticles;
+            throw new Error('FrustumCuller not initialized');
         }
 
-        this.extractFrustumPlanes(viewProjectionMatrix);
-        this.device.queue.writeBuffer(this.frustumPlanesBuffer, 0, this.frustumPlanes);
+        this.extractFrustumPlanes(multiplyMatrices(projectionMatrix, viewMatrix));
+        new Float32Array(this.cullUniformsValues, 0, 24).set(this.frustumPlanes);
+        new Uint32Array(this.cullUniformsValues, 96, 2).set([numParticles, this.enabled ? 1 : 0]);
+        this.device.queue.writeBuffer(this.cullUniformsBuffer, 0, this.cullUniformsValues);
 
-        const computePass = commandEncoder.beginComputePass();
+        commandEncoder.clearBuffer(this.indirectArgsBuffer, 4, 4);
+        const computePass = commandEncoder.beginComputePass({ timestampWrites });
         computePass.setBindGroup(0, bindGroup);
         computePass.setPipeline(this.visibilityPipeline);
-        computePass.dispatchWorkgroups(Math.ceil(numParticles / 256));
+        computePass.dispatchWorkgroups(Math.ceil(numParticles / cullWorkgroupSize));
         computePass.end();
-
-        return numParticles;
     }
 }
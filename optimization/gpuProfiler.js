@@ -0,0 +1,166 @@
+// Two timestamps per pass; passes beyond this in one frame go untimed.
+export const profilerQueryCapacity = 512;
+
+/**
+ * Per-pass GPU timings. Call beginFrame() before encoding, pass
+ * timestampWrites(label) into each pass descriptor, resolve() before finishing
+ * the encoder and endFrame() after submitting. Passes sharing a label (one per
+ * substep) are summed.
+ *
+ * Without the 'timestamp-query' feature the breakdown falls back to CPU
+ * timing: encode time and submit-to-done time of the whole frame.
+ */
+export class GPUProfiler {
+    constructor(device, historyLength = 120) {
+        this.device = device;
+        this.supported = device.features.has('timestamp-query');
+        this.enabled = false;
+        // True while the current frame's passes are being timed.
+        this.timing = false;
+        this.historyLength = historyLength;
+        this.history = [];
+        this.frameIndex = 0;
+        this.labels = [];
+        this.readPending = false;
+        this.encodeStart = 0;
+
+        if (this.supported) {
+            this.querySet = device.createQuerySet({
+                label: 'profiler query set',
+                type: 'timestamp',
+                count: profilerQueryCapacity,
+            });
+            this.resolveBuffer = device.createBuffer({
+                label: 'profiler resolve buffer',
+                size: profilerQueryCapacity * 8,
+                usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
+            });
+            this.readBuffer = device.createBuffer({
+                label: 'profiler readback buffer',
+                size: profilerQueryCapacity * 8,
+                usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
+            });
+        }
+    }
+
+    get mode() {
+        return this.supported ? 'timestamp-query' : 'cpu-submit';
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.timing = false;
+    }
+
+    reset() {
+        this.history = [];
+        this.frameIndex = 0;
+    }
+
+    beginFrame() {
+        this.labels = [];
+        this.encodeStart = performance.now();
+        // Skip a frame while the previous readback still holds the buffer.
+        this.timing = this.enabled && this.supported && !this.readPending;
+    }
+
+    // The timestampWrites member of a pass descriptor, or undefined when not timing.
+    timestampWrites(label) {
+        if (!this.timing || (this.labels.length + 1) * 2 > profilerQueryCapacity) {
+            return undefined;
+        }
+        const index = this.labels.length * 2;
+        this.labels.push(label);
+        return {
+            querySet: this.querySet,
+            beginningOfPassWriteIndex: index,
+            endOfPassWriteIndex: index + 1,
+        };
+    }
+
+    resolve(commandEncoder) {
+        if (!this.timing || this.labels.length === 0) {
+            return;
+        }
+        const byteLength = this.labels.length * 16;
+        commandEncoder.resolveQuerySet(this.querySet, 0, this.labels.length * 2, this.resolveBuffer, 0);
+        commandEncoder.copyBufferToBuffer(this.resolveBuffer, 0, this.readBuffer, 0, byteLength);
+    }
+
+    // Starts collecting the submitted frame's timings; it does not wait for them.
+    endFrame() {
+        if (!this.enabled) {
+            return;
+        }
+        const submitted = performance.now();
+        if (!this.supported) {
+            const encodeMs = submitted - this.encodeStart;
+            this.device.queue.onSubmittedWorkDone().then(() => {
+                this.record({ 'encode (cpu)': encodeMs, 'submit to done': performance.now() - submitted });
+            });
+            return;
+        }
+        if (!this.timing || this.labels.length === 0) {
+            return;
+        }
+        const labels = this.labels;
+        this.timing = false;
+        this.readPending = true;
+        this.readBuffer.mapAsync(GPUMapMode.READ, 0, labels.length * 16).then(() => {
+            const stamps = new BigUint64Array(this.readBuffer.getMappedRange(0, labels.length * 16));
+            const passes = {};
+            labels.forEach((label, i) => {
+                // Timestamps may be quantized or reordered; a negative span counts as zero.
+                const span = stamps[i * 2 + 1] > stamps[i * 2] ? Number(stamps[i * 2 + 1] - stamps[i * 2]) : 0;
+                passes[label] = (passes[label] || 0) + span / 1e6;
+            });
+            this.readBuffer.unmap();
+            this.record(passes);
+        }).catch((error) => {
+            console.error(error);
+        }).finally(() => {
+            this.readPending = false;
+        });
+    }
+
+    record(passes) {
+        this.history.push({ frame: this.frameIndex++, passes });
+        if (this.history.length > this.historyLength) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * Mean, min and max milliseconds per label over the rolling history, in
+     * the order the passes ran.
+     */
+    summary() {
+        const rows = new Map();
+        for (const { passes } of this.history) {
+            for (const [label, ms] of Object.entries(passes)) {
+                const row = rows.get(label) || { label, total: 0, min: Infinity, max: 0, samples: 0 };
+                row.total += ms;
+                row.min = Math.min(row.min, ms);
+                row.max = Math.max(row.max, ms);
+                row.samples++;
+                rows.set(label, row);
+            }
+        }
+        return [...rows.values()].map(({ label, total, min, max, samples }) => ({
+            label,
+            meanMs: total / samples,
+            minMs: min,
+            maxMs: max,
+            samples,
+        }));
+    }
+
+    toJSON() {
+        return {
+            mode: this.mode,
+            historyLength: this.historyLength,
+            summary: this.summary(),
+            frames: this.history,
+        };
+    }
+}
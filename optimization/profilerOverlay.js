@@ -0,0 +1,78 @@
+const modeTitles = {
+    'timestamp-query': 'GPU passes (ms)',
+    'cpu-submit': 'CPU frame timing (ms, no timestamp-query)',
+};
+
+/**
+ * Rolling per-pass breakdown drawn from GPUProfiler.summary(). Styles are
+ * inline, like the color legend, so it works under both entry points.
+ */
+export class ProfilerOverlay {
+    constructor(parent = document.body) {
+        this.element = document.createElement('div');
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            left: '0px',
+            top: '52px',
+            minWidth: '220px',
+            padding: '6px 8px',
+            background: 'rgba(0, 0, 0, 0.65)',
+            color: '#fff',
+            font: '11px monospace',
+            borderRadius: '0 3px 3px 0',
+            pointerEvents: 'none',
+            zIndex: '100',
+            display: 'none',
+        });
+        this.title = document.createElement('div');
+        this.title.style.marginBottom = '4px';
+        this.rows = document.createElement('div');
+        this.element.append(this.title, this.rows);
+        parent.appendChild(this.element);
+    }
+
+    setVisible(visible) {
+        this.element.style.display = visible ? 'block' : 'none';
+    }
+
+    update(profiler) {
+        const summary = profiler.summary();
+        const total = summary.reduce((sum, row) => sum + row.meanMs, 0);
+        this.title.textContent = modeTitles[profiler.mode];
+        this.rows.replaceChildren(...summary.map((row) => this.createRow(row.label, row.meanMs, total)));
+        if (summary.length === 0) {
+            this.rows.textContent = 'waiting for samples…';
+        } else if (profiler.mode === 'timestamp-query') {
+            this.rows.append(this.createRow('total', total, 0));
+        }
+    }
+
+    createRow(label, ms, total) {
+        const row = document.createElement('div');
+        Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '6px', lineHeight: '14px' });
+        const name = document.createElement('span');
+        name.style.flex = '1';
+        name.textContent = label;
+        const value = document.createElement('span');
+        value.textContent = ms.toFixed(2);
+        const bar = document.createElement('span');
+        Object.assign(bar.style, {
+            display: 'inline-block',
+            width: '60px',
+            height: '6px',
+            background: 'rgba(255, 255, 255, 0.15)',
+        });
+        if (total > 0) {
+            const fill = document.createElement('span');
+            Object.assign(fill.style, {
+                display: 'block',
+                height: '100%',
+                width: `${Math.min(100, 100 * ms / total)}%`,
+                background: '#f0a030',
+            });
+            bar.appendChild(fill);
+        }
+        row.append(name, value, bar);
+        return row;
+    }
+}
@@ -1,28 +1,143 @@
+export const workgroupSizeCandidates = [32, 64, 128, 256];
+
+// Bump when the kernels change enough that stored timings no longer apply.
+const CACHE_VERSION = 2;
+const CACHE_PREFIX = 'webgpu-ocean.workgroupSizes';
+
+// One localStorage key per adapter; the GPU, not the page, decides the best size.
+export function adapterCacheKey(info = {}) {
+    const parts = [info.vendor, info.architecture, info.device, info.description].map((part) => part || '');
+    return `${CACHE_PREFIX}:${parts.join('|')}`;
+}
+
+// The candidates this device can launch as a one-dimensional workgroup.
+export function supportedWorkgroupSizes(limits, candidates = workgroupSizeCandidates) {
+    return candidates.filter((size) =>
+        size <= limits.maxComputeInvocationsPerWorkgroup && size <= limits.maxComputeWorkgroupSizeX);
+}
+
+export function recommendedWorkgroupSize(dispatchSize) {
+    if (dispatchSize <= 1000) return 32;
+    if (dispatchSize <= 10000) return 64;
+    if (dispatchSize <= 100000) return 128;
+    return 256;
+}
+
+/**
+ * Cached sizes for `kernels` from `storage` (a localStorage-like object), or
+ * null when nothing usable is stored. An entry missing any kernel, written by
+ * another cache version or holding a size outside `allowedSizes` is ignored.
+ */
+export function loadCachedSizes(storage, key, kernels, allowedSizes = workgroupSizeCandidates) {
+    if (!storage) {
+        return null;
+    }
+    try {
+        const entry = JSON.parse(storage.getItem(key));
+        if (!entry || entry.version !== CACHE_VERSION || !entry.sizes) {
+            return null;
+        }
+        if (!kernels.every((name) => allowedSizes.includes(entry.sizes[name]))) {
+            return null;
+        }
+        return Object.fromEntries(kernels.map((name) => [name, entry.sizes[name]]));
+    } catch (error) {
+        return null;
+    }
+}
+
+export function saveCachedSizes(storage, key, sizes) {
+    if (!storage) {
+        return;
+    }
+    try {
+        storage.setItem(key, JSON.stringify({ version: CACHE_VERSION, sizes }));
+    } catch (error) {
+        // Storage may be full or disabled; the sizes are simply measured again next time.
+    }
+}
+
+export function clearCachedSizes(storage, key) {
+    if (!storage) {
+        return;
+    }
+    try {
+        storage.removeItem(key);
+    } catch (error) {
+        // Storage may be disabled; then nothing was cached to clear.
+    }
+}
+
+// Reading localStorage throws where the page may not use storage.
+function pageStorage() {
+    try {
+        return globalThis.localStorage || null;
+    } catch (error) {
+        return null;
+    }
+}
+
 export class WorkgroupOptimizer {
-    constructor(device) {
+    /**
+     * `adapterInfo` names the GPU for the cache key; `storage` defaults to
+     * localStorage when the page has one.
+     */
+    constructor(device, adapterInfo = {}, storage = pageStorage()) {
         this.device = device;
         this.optimalSizes = new Map();
         this.testResults = new Map();
-        this.benchmarkDuration = 100;
+        // Kernel name -> milliseconds per dispatch at its chosen size, from the last measurement.
+        this.bestTimes = new Map();
+        this.benchmarkIterations = 10;
+        this.storage = storage;
+        this.cacheKey = adapterCacheKey(adapterInfo);
+        this.testSizes = supportedWorkgroupSizes(device.limits);
     }
 
-    async findOptimalWorkgroupSize(pipelineFactory, dispatchSize, testSizes = [32, 64, 128, 256]) {
-        const cacheKey = `${dispatchSize}-${testSizes.join(',')}`;
-        
+    /**
+     * Picks a workgroup size for each kernel, from the cache when possible.
+     * `kernels` is [{ name, dispatchSize, create(size) }] where create returns
+     * (a promise of) { pipeline, bindGroup }. Resolves to { sizes, fromCache };
+     * a fresh measurement leaves the kernels' buffers in an arbitrary state.
+     */
+    async tune(kernels, { force = false } = {}) {
+        const names = kernels.map((kernel) => kernel.name);
+        const cached = force ? null : loadCachedSizes(this.storage, this.cacheKey, names, this.testSizes);
+        if (cached) {
+            return { sizes: cached, fromCache: true };
+        }
+        const sizes = {};
+        for (const kernel of kernels) {
+            sizes[kernel.name] = await this.findOptimalWorkgroupSize(kernel.create, kernel.dispatchSize, this.testSizes, kernel.name);
+        }
+        saveCachedSizes(this.storage, this.cacheKey, sizes);
+        return { sizes, fromCache: false };
+    }
+
+    clearCache() {
+        this.optimalSizes.clear();
+        this.bestTimes.clear();
+        clearCachedSizes(this.storage, this.cacheKey);
+    }
+
+    async findOptimalWorkgroupSize(pipelineFactory, dispatchSize, testSizes = this.testSizes, name = '') {
+        const cacheKey = `${name}-${dispatchSize}-${testSizes.join(',')}`;
+
         if (this.optimalSizes.has(cacheKey)) {
             return this.optimalSizes.get(cacheKey);
         }
 
-        let bestSize = 64;
+        let bestSize = this.getRecommendedSize(dispatchSize);
         let bestTime = Infinity;
 
         for (const size of testSizes) {
             try {
-                const pipeline = await pipelineFactory(size);
-                const time = await this.benchmarkWorkgroupSize(pipeline, dispatchSize, size);
-                
-                this.testResults.set(size, time);
-                
+                const created = await pipelineFactory(size);
+                const { pipeline, bindGroup } = created.pipeline ? created : { pipeline: created };
+                const time = await this.benchmarkWorkgroupSize(pipeline, dispatchSize, size, bindGroup);
+
+                this.testResults.set(`${name} ${size}`, time);
+
                 if (time < bestTime) {
                     bestTime = time;
                     bestSize = size;
@@ -33,43 +148,49 @@ export class WorkgroupOptimizer {
         }
 
         this.optimalSizes.set(cacheKey, bestSize);
+        if (bestTime < Infinity) {
+            this.bestTimes.set(name, bestTime);
+        }
         return bestSize;
     }
 
-    async benchmarkWorkgroupSize(pipeline, dispatchSize, workgroupSize) {
+    // Milliseconds per dispatch. One warm-up submit, then all iterations in a single submit.
+    async benchmarkWorkgroupSize(pipeline, dispatchSize, workgroupSize, bindGroup = null) {
         const numWorkgroups = Math.ceil(dispatchSize / workgroupSize);
-        const iterations = 10;
-        
-        const startTime = performance.now();
-        
-        for (let i = 0; i < iterations; i++) {
+        const maxWorkgroups = this.device.limits.maxComputeWorkgroupsPerDimension ?? 65535;
+        if (numWorkgroups > maxWorkgroups) {
+            throw new Error(`${numWorkgroups} workgroups of ${workgroupSize} exceed the ${maxWorkgroups} per dispatch`);
+        }
+        const iterations = this.benchmarkIterations;
+        const submit = (count) => {
             const commandEncoder = this.device.createCommandEncoder();
             const computePass = commandEncoder.beginComputePass();
             computePass.setPipeline(pipeline);
-            computePass.dispatchWorkgroups(numWorkgroups);
+            if (bindGroup) {
+                computePass.setBindGroup(0, bindGroup);
+            }
+            for (let i = 0; i < count; i++) {
+                computePass.dispatchWorkgroups(numWorkgroups);
+            }
             computePass.end();
-            
-            const commands = commandEncoder.finish();
-            this.device.queue.submit([commands]);
-            
-            await this.device.queue.onSubmittedWorkDone();
-        }
-        
+            this.device.queue.submit([commandEncoder.finish()]);
+            return this.device.queue.onSubmittedWorkDone();
+        };
+
+        await submit(1);
+        const startTime = performance.now();
+        await submit(iterations);
         const endTime = performance.now();
         return (endTime - startTime) / iterations;
     }
 
     getRecommendedSize(dispatchSize) {
-        if (dispatchSize <= 1000) return 32;
-        if (dispatchSize <= 10000) return 64;
-        if (dispatchSize <= 100000) return 128;
-        return 256;
+        return recommendedWorkgroupSize(dispatchSize);
     }
 
-    logResults() {
-        for (const [size, time] of this.testResults) {
-            console.log(`Workgroup size ${size}: ${time.toFixed(2)}ms average`);
-        }
+    // Measured milliseconds per dispatch for `names`, formatted like the size list.
+    timingSummary(names) {
+        return names.map((name) => this.bestTimes.has(name) ? this.bestTimes.get(name).toFixed(3) : '-').join(' / ');
     }
 }
 
@@ -0,0 +1,87 @@
+import { ZipWriter } from './zipWriter.js?v=20261020h';
+import { downloadBlob, timestampedName } from '../fileIO.js?v=20261019c';
+
+export const recordingOutputs = ['zip', 'sequence']
+
+function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => blob ? resolve(blob) : reject(new Error('Canvas capture failed')), 'image/png');
+    });
+}
+
+/**
+ * Captures one PNG (and optionally one particle dump) per rendered frame while
+ * main.js drives the simulation with a fixed frame duration instead of the
+ * wall clock, so the same scene and seed always yield the same sequence.
+ */
+export class FrameRecorder {
+    constructor(canvas, exporter) {
+        this.canvas = canvas
+        this.exporter = exporter
+        this.recording = false
+        this.frameIndex = 0
+        this.fps = 30
+        this.substepsPerFrame = 2
+        this.particleFormat = 'none'
+        this.output = 'zip'
+        this.zip = null
+    }
+
+    get frameDuration() {
+        return 1 / this.fps;
+    }
+
+    start({ fps, substepsPerFrame, particleFormat, output }) {
+        this.fps = fps;
+        this.substepsPerFrame = substepsPerFrame;
+        this.particleFormat = particleFormat;
+        this.output = output;
+        this.frameIndex = 0;
+        this.zip = output === 'zip' ? new ZipWriter() : null;
+        this.recording = true;
+    }
+
+    /**
+     * Starts the PNG of the frame just drawn. Must be called in the same task
+     * as the queue submit, before anything is awaited, or the canvas will
+     * already have been presented and cleared. Pass the result to finishFrame().
+     */
+    beginFrame() {
+        return {
+            name: `frame_${String(this.frameIndex).padStart(5, '0')}`,
+            png: canvasToBlob(this.canvas),
+        };
+    }
+
+    // Stores a frame from beginFrame(), with a dump of the first `numParticles` particles.
+    async finishFrame(frame, numParticles) {
+        const particlePromise = this.particleFormat !== 'none'
+            ? this.exporter.exportFrame(numParticles, this.particleFormat)
+            : null;
+
+        await this.store(`${frame.name}.png`, await frame.png);
+        if (particlePromise) {
+            await this.store(`${frame.name}.${this.particleFormat}`, await particlePromise);
+        }
+        this.frameIndex++;
+    }
+
+    async store(name, blob) {
+        if (this.zip) {
+            await this.zip.add(name, blob);
+        } else {
+            downloadBlob(blob, name);
+        }
+    }
+
+    stop() {
+        if (!this.recording) {
+            return;
+        }
+        this.recording = false;
+        if (this.zip) {
+            downloadBlob(this.zip.finish(), timestampedName('recording', 'zip'));
+            this.zip = null;
+        }
+    }
+}
@@ -0,0 +1,126 @@
+const crcTable = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Largest value the classic 16 and 32 bit zip fields hold; at or past these
+// the ZIP64 records carry the real value.
+const MAX_UINT16 = 0xffff;
+const MAX_UINT32 = 0xffffffff;
+
+/**
+ * Minimal store-only (uncompressed) zip builder. PNG frames are already
+ * compressed, so deflating them again would only cost time. Each entry is kept
+ * as a Blob, which the browser may page to disk, and archives past 4 GiB or
+ * 65535 entries get ZIP64 records. A single entry must stay under 4 GiB.
+ */
+export class ZipWriter {
+    constructor() {
+        this.entries = []
+        this.parts = []
+        this.offset = 0
+    }
+
+    async add(name, data) {
+        const bytes = data instanceof Blob ? new Uint8Array(await data.arrayBuffer()) : new Uint8Array(data);
+        if (bytes.length >= MAX_UINT32) {
+            throw new Error(`Zip entry ${name} is ${bytes.length} bytes; entries must be under 4 GiB`);
+        }
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(bytes);
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, 0x21, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, bytes.length, true);
+        header.setUint32(22, bytes.length, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, 0, true);
+
+        this.entries.push({ nameBytes, crc, size: bytes.length, offset: this.offset });
+        this.parts.push(new Blob([header, nameBytes, bytes]));
+        this.offset += 30 + nameBytes.length + bytes.length;
+    }
+
+    finish() {
+        const central = [];
+        let centralSize = 0;
+        for (const entry of this.entries) {
+            // Offsets past 4 GiB move into a ZIP64 extended information field.
+            const zip64 = entry.offset >= MAX_UINT32;
+            const record = new DataView(new ArrayBuffer(zip64 ? 58 : 46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, zip64 ? 45 : 20, true);
+            record.setUint16(6, zip64 ? 45 : 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, 0, true);
+            record.setUint16(14, 0x21, true);
+            record.setUint32(16, entry.crc, true);
+            record.setUint32(20, entry.size, true);
+            record.setUint32(24, entry.size, true);
+            record.setUint16(28, entry.nameBytes.length, true);
+            record.setUint16(30, zip64 ? 12 : 0, true);
+            record.setUint32(42, zip64 ? MAX_UINT32 : entry.offset, true);
+            if (zip64) {
+                record.setUint16(46, 0x0001, true);
+                record.setUint16(48, 8, true);
+                record.setBigUint64(50, BigInt(entry.offset), true);
+            }
+            // The name sits between the fixed fields and the extra field.
+            central.push(new DataView(record.buffer, 0, 46), entry.nameBytes, new DataView(record.buffer, 46));
+            centralSize += record.byteLength + entry.nameBytes.length;
+        }
+
+        const count = this.entries.length;
+        const zip64 = count >= MAX_UINT16 || centralSize >= MAX_UINT32 || this.offset >= MAX_UINT32;
+        const trailer = [];
+        if (zip64) {
+            const record = new DataView(new ArrayBuffer(56));
+            record.setUint32(0, 0x06064b50, true);
+            record.setBigUint64(4, 44n, true);
+            record.setUint16(12, 45, true);
+            record.setUint16(14, 45, true);
+            record.setBigUint64(24, BigInt(count), true);
+            record.setBigUint64(32, BigInt(count), true);
+            record.setBigUint64(40, BigInt(centralSize), true);
+            record.setBigUint64(48, BigInt(this.offset), true);
+
+            const locator = new DataView(new ArrayBuffer(20));
+            locator.setUint32(0, 0x07064b50, true);
+            locator.setBigUint64(8, BigInt(this.offset + centralSize), true);
+            locator.setUint32(16, 1, true);
+            trailer.push(record, locator);
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, Math.min(count, MAX_UINT16), true);
+        end.setUint16(10, Math.min(count, MAX_UINT16), true);
+        end.setUint32(12, Math.min(centralSize, MAX_UINT32), true);
+        end.setUint32(16, Math.min(this.offset, MAX_UINT32), true);
+        trailer.push(end);
+
+        return new Blob([...this.parts, ...central, ...trailer], { type: 'application/zip' });
+    }
+}
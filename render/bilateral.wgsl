@@ -0,0 +1,55 @@
+struct FragmentInput {
+    @builtin(position) position: vec4f,
+    @location(0) uv: vec2f,
+}
+
+struct FilterUniforms {
+    blur_dir: vec2f,
+    projected_particle_constant: f32,
+    depth_threshold: f32,
+    max_filter_size: f32,
+    // 1 while the camera is orthographic: a particle then covers the same pixels at any depth.
+    orthographic: f32,
+}
+
+const EMPTY_DEPTH = 1e5;
+
+@group(0) @binding(0) var depth_texture: texture_2d<f32>;
+@group(0) @binding(1) var<uniform> filter_uniforms: FilterUniforms;
+
+@fragment
+fn fs(input: FragmentInput) -> @location(0) vec4f {
+    let coord = vec2i(input.position.xy);
+    let depth = textureLoad(depth_texture, coord, 0).r;
+    if (depth >= EMPTY_DEPTH || depth <= 0.0) {
+        return vec4f(depth, 0.0, 0.0, 1.0);
+    }
+
+    let dims = vec2i(textureDimensions(depth_texture));
+    let projected_size = select(filter_uniforms.projected_particle_constant / depth, filter_uniforms.projected_particle_constant, filter_uniforms.orthographic > 0.5);
+    let filter_size = min(i32(filter_uniforms.max_filter_size), i32(ceil(projected_size)));
+    let sigma = max(f32(filter_size) / 3.0, 1e-3);
+    let two_sigma2 = 2.0 * sigma * sigma;
+    let sigma_depth = filter_uniforms.depth_threshold / 3.0;
+    let two_sigma_depth2 = 2.0 * sigma_depth * sigma_depth;
+
+    var sum = 0.0;
+    var weight_sum = 0.0;
+    for (var x = -filter_size; x <= filter_size; x++) {
+        let offset = vec2i(vec2f(f32(x)) * filter_uniforms.blur_dir);
+        let sample_coord = clamp(coord + offset, vec2i(0), dims - 1);
+        let sample_depth = textureLoad(depth_texture, sample_coord, 0).r;
+        if (sample_depth >= EMPTY_DEPTH) {
+            continue;
+        }
+
+        let r = f32(x);
+        let weight = exp(-r * r / two_sigma2);
+        let rd = sample_depth - depth;
+        let weight_depth = exp(-rd * rd / two_sigma_depth2);
+        sum += sample_depth * weight * weight_depth;
+        weight_sum += weight * weight_depth;
+    }
+
+    return vec4f(sum / max(weight_sum, 1e-6), 0.0, 0.0, 1.0);
+}
@@ -1,6 +1,6 @@
 struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) line_coord: vec2f,
+    @location(0) color: vec4f,
 }
 
 struct RenderUniforms {
@@ -11,79 +11,104 @@ struct RenderUniforms {
     view_matrix: mat4x4f,
     inv_view_matrix: mat4x4f,
     box_size: vec3f,
+    render_z_offset: f32,
+    box_anchor_z: f32,
 }
 
-@group(0) @binding(0) var<uniform> uniforms: RenderUniforms;
-
-@vertex
-fn vs(@builtin(vertex_index) vertex_index: u32) -> VertexOutput {
-    if (vertex_index < 6u) {
-        var moving_wall_vertices = array<vec3f, 6>(
-            vec3f(0.0, 0.0, 1.0), vec3f(0.0, 0.0625, 1.0), vec3f(1.0, 0.0, 1.0),
-            vec3f(1.0, 0.0, 1.0), vec3f(0.0, 0.0625, 1.0), vec3f(1.0, 0.0625, 1.0)
-        );
-
-        let vertex_pos = moving_wall_vertices[vertex_index];
-        let scaled_pos = vertex_pos * uniforms.box_size;
-        let view_pos = uniforms.view_matrix * vec4f(scaled_pos, 1.0);
-        let clip_pos = uniforms.projection_matrix * view_pos;
-
-        return VertexOutput(clip_pos, vec2f(0.0, 0.0));
-    }
-
-    let wireframe_vertex_index = vertex_index - 6u;
-
-    let line_thickness = 8.0;
-
-    var box_edge_starts = array<vec3f, 8>(
-        vec3f(0.0, 0.0, 0.0), vec3f(1.0, 0.0, 0.0), vec3f(1.0, 1.0, 0.0), vec3f(0.0, 1.0, 0.0),
-        vec3f(0.0, 0.0, 0.0), vec3f(1.0, 0.0, 0.0), vec3f(1.0, 1.0, 0.0), vec3f(0.0, 1.0, 0.0)
-    );
-
-    var box_edge_ends = array<vec3f, 8>(
-        vec3f(1.0, 0.0, 0.0), vec3f(1.0, 1.0, 0.0), vec3f(0.0, 1.0, 0.0), vec3f(0.0, 0.0, 0.0),
-        vec3f(0.0, 0.0, 1.0), vec3f(1.0, 0.0, 1.0), vec3f(1.0, 1.0, 1.0), vec3f(0.0, 1.0, 1.0)
-    );
+struct OverlayBox {
+    min_corner: vec3f,
+    // Axis whose max face gets crossed diagonals, or -1 for none.
+    face_axis: f32,
+    max_corner: vec3f,
+    pad0: f32,
+    color: vec4f,
+}
 
-    let edge_index = wireframe_vertex_index / 6u;
-    let quad_vertex = wireframe_vertex_index % 6u;
+struct Overlay {
+    lattice_extent: vec3f,
+    lattice_spacing: f32,
+    lattice_color: vec4f,
+    boxes: array<OverlayBox, 4>,
+}
 
-    let start_pos = box_edge_starts[edge_index] * uniforms.box_size;
-    let end_pos = box_edge_ends[edge_index] * uniforms.box_size;
+@group(0) @binding(0) var<uniform> uniforms: RenderUniforms;
+@group(0) @binding(1) var<uniform> overlay: Overlay;
 
-    let start_view = (uniforms.view_matrix * vec4f(start_pos, 1.0)).xyz;
-    let end_view = (uniforms.view_matrix * vec4f(end_pos, 1.0)).xyz;
+// Outside the clip volume, so a line between two of these draws nothing.
+const CLIPPED = vec4f(2.0, 2.0, 2.0, 1.0);
 
-    let line_dir = normalize(end_view - start_view);
-    let line_right = normalize(cross(line_dir, vec3f(0.0, 0.0, 1.0)));
-    let line_up = cross(line_right, line_dir);
+fn project(position: vec3f) -> vec4f {
+    let shifted = position + vec3f(0.0, 0.0, uniforms.render_z_offset);
+    return uniforms.projection_matrix * uniforms.view_matrix * vec4f(shifted, 1.0);
+}
 
-    let thickness_view = line_thickness * 0.001;
+fn box_corner(box: OverlayBox, corner: u32) -> vec3f {
+    let bits = vec3<bool>((corner & 1u) != 0u, (corner & 2u) != 0u, (corner & 4u) != 0u);
+    return select(box.min_corner, box.max_corner, bits);
+}
 
-    var quad_positions = array<vec3f, 6>(
-        start_view - line_right * thickness_view,
-        start_view + line_right * thickness_view,
-        end_view - line_right * thickness_view,
-        end_view - line_right * thickness_view,
-        start_view + line_right * thickness_view,
-        end_view + line_right * thickness_view
-    );
+// 24 vertices for the 12 edges, then 4 for an X across the face at max `face_axis`.
+@vertex
+fn box_vs(
+    @builtin(vertex_index) vertex_index: u32,
+    @builtin(instance_index) instance_index: u32
+) -> VertexOutput {
+    let box = overlay.boxes[instance_index];
+    if (vertex_index < 24u) {
+        var edge_corners = array<u32, 24>(
+            0u, 1u, 2u, 3u, 4u, 5u, 6u, 7u,
+            0u, 2u, 1u, 3u, 4u, 6u, 5u, 7u,
+            0u, 4u, 1u, 5u, 2u, 6u, 3u, 7u,
+        );
+        return VertexOutput(project(box_corner(box, edge_corners[vertex_index])), box.color);
+    }
 
-    let final_view_pos = quad_positions[quad_vertex];
-    let clip_pos = uniforms.projection_matrix * vec4f(final_view_pos, 1.0);
+    if (box.face_axis < 0.0) {
+        return VertexOutput(CLIPPED, box.color);
+    }
+    let axis = u32(box.face_axis);
+    let face_vertex = vertex_index - 24u;
+    let far_end = (face_vertex & 1u) != 0u;
+    let second_diagonal = face_vertex >= 2u;
+    var corner = 1u << axis;
+    if (far_end) {
+        corner |= 1u << ((axis + 1u) % 3u);
+    }
+    if (far_end != second_diagonal) {
+        corner |= 1u << ((axis + 2u) % 3u);
+    }
+    return VertexOutput(project(box_corner(box, corner)), box.color);
+}
 
-    var line_coords = array<vec2f, 6>(
-        vec2f(0.0, 0.0), vec2f(1.0, 0.0), vec2f(0.0, 1.0),
-        vec2f(0.0, 1.0), vec2f(1.0, 0.0), vec2f(1.0, 1.0)
-    );
+fn lattice_lines(axis: u32) -> u32 {
+    return u32(floor(overlay.lattice_extent[axis] / overlay.lattice_spacing)) + 1u;
+}
 
-    return VertexOutput(clip_pos, line_coords[quad_vertex]);
+// One instance per line, on the three faces through the origin. Lines along
+// each axis come in two families: one steps along each of the other axes, in
+// the plane where the third is zero.
+@vertex
+fn lattice_vs(
+    @builtin(vertex_index) vertex_index: u32,
+    @builtin(instance_index) instance_index: u32
+) -> VertexOutput {
+    var line = instance_index;
+    for (var family = 0u; family < 6u; family++) {
+        let axis = family / 2u;
+        let step_axis = (axis + 1u + family % 2u) % 3u;
+        let count = lattice_lines(step_axis);
+        if (line < count) {
+            var position = vec3f(0.0);
+            position[step_axis] = f32(line) * overlay.lattice_spacing;
+            position[axis] = f32(vertex_index) * overlay.lattice_extent[axis];
+            return VertexOutput(project(position), overlay.lattice_color);
+        }
+        line -= count;
+    }
+    return VertexOutput(CLIPPED, overlay.lattice_color);
 }
 
 @fragment
 fn fs(input: VertexOutput) -> @location(0) vec4f {
-    if (input.line_coord.x == 0.0 && input.line_coord.y == 0.0) {
-        return vec4f(0.0, 0.4, 1.0, 0.5);
-    }
-    return vec4f(0.0, 0.0, 0.0, 1.0);
+    return input.color;
 }
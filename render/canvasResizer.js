@@ -0,0 +1,42 @@
+export const renderScaleRange = [0.5, 3.0]
+
+/**
+ * Tracks the canvas CSS size and keeps its backing store at clientSize * renderScale.
+ * ResizeObserver only marks the size as stale; the new size is applied from the
+ * frame loop via update(), so GPU resources are never swapped mid-frame.
+ */
+export class CanvasResizer {
+    constructor(canvas, device, renderScale = renderScaleRange[1]) {
+        this.canvas = canvas
+        this.maxDimension = device.limits.maxTextureDimension2D
+        this.renderScale = renderScale
+        this.pending = true
+
+        this.observer = new ResizeObserver(() => {
+            this.pending = true
+        })
+        this.observer.observe(canvas)
+    }
+
+    setRenderScale(scale) {
+        this.renderScale = Math.max(renderScaleRange[0], Math.min(renderScaleRange[1], scale))
+        this.pending = true
+    }
+
+    // Returns true when the backing store changed size.
+    update() {
+        if (!this.pending) {
+            return false
+        }
+        this.pending = false
+
+        const width = Math.max(1, Math.min(this.maxDimension, Math.round(this.canvas.clientWidth * this.renderScale)))
+        const height = Math.max(1, Math.min(this.maxDimension, Math.round(this.canvas.clientHeight * this.renderScale)))
+        if (width === this.canvas.width && height === this.canvas.height) {
+            return false
+        }
+        this.canvas.width = width
+        this.canvas.height = height
+        return true
+    }
+}
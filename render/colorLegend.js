@@ -0,0 +1,69 @@
+import { colorLUTSize } from './colorMap.js?v=20261019n'
+
+function formatValue(value) {
+    const magnitude = Math.abs(value)
+    if (magnitude !== 0 && (magnitude < 0.01 || magnitude >= 1e4)) {
+        return value.toExponential(1)
+    }
+    return value.toFixed(magnitude < 10 ? 2 : 1)
+}
+
+// Styles are inline so the legend works under both index.html and the bundled entry.
+export class ColorLegend {
+    constructor(parent = document.body) {
+        this.element = document.createElement('div')
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            left: '12px',
+            bottom: '12px',
+            padding: '6px 8px',
+            background: 'rgba(0, 0, 0, 0.55)',
+            color: '#fff',
+            font: '11px sans-serif',
+            borderRadius: '3px',
+            pointerEvents: 'none',
+        })
+
+        this.title = document.createElement('div')
+        this.title.style.marginBottom = '4px'
+
+        this.canvas = document.createElement('canvas')
+        this.canvas.width = colorLUTSize
+        this.canvas.height = 1
+        Object.assign(this.canvas.style, {
+            display: 'block',
+            width: '200px',
+            height: '12px',
+            imageRendering: 'pixelated',
+        })
+
+        this.labels = document.createElement('div')
+        Object.assign(this.labels.style, {
+            display: 'flex',
+            justifyContent: 'space-between',
+            marginTop: '2px',
+        })
+        this.minLabel = document.createElement('span')
+        this.midLabel = document.createElement('span')
+        this.maxLabel = document.createElement('span')
+        this.labels.append(this.minLabel, this.midLabel, this.maxLabel)
+
+        this.element.append(this.title, this.canvas, this.labels)
+        parent.appendChild(this.element)
+    }
+
+    update({ title, lut, min, max }) {
+        this.title.textContent = title
+        const context = this.canvas.getContext('2d')
+        const image = context.createImageData(colorLUTSize, 1)
+        image.data.set(lut)
+        context.putImageData(image, 0, 0)
+        this.minLabel.textContent = formatValue(min)
+        this.midLabel.textContent = formatValue((min + max) / 2)
+        this.maxLabel.textContent = formatValue(max)
+    }
+
+    setVisible(visible) {
+        this.element.style.display = visible ? 'block' : 'none'
+    }
+}
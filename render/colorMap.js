@@ -0,0 +1,149 @@
+// Order matches the attribute switch in sphere.wgsl.
+export const colorAttributes = ['speed', 'velocity x', 'velocity y', 'velocity z', 'height', 'density', 'source', 'material']
+export const colorPalettes = ['classic', 'viridis', 'turbo', 'grayscale', 'custom']
+
+export const colorLUTSize = 256
+export const colorUniformsSize = 16
+
+const classicStops = [
+    [0.0, [0.05, 0.0, 0.15]],
+    [0.15, [0.4, 0.1, 0.6]],
+    [0.35, [0.8, 0.2, 0.9]],
+    [0.55, [1.0, 0.4, 0.2]],
+    [0.8, [1.0, 0.9, 0.1]],
+    [1.0, [1.0, 0.0, 0.0]],
+]
+
+const viridisStops = [
+    [0.0, [0.267, 0.005, 0.329]],
+    [0.125, [0.278, 0.176, 0.482]],
+    [0.25, [0.231, 0.322, 0.545]],
+    [0.375, [0.173, 0.447, 0.557]],
+    [0.5, [0.129, 0.569, 0.549]],
+    [0.625, [0.157, 0.682, 0.502]],
+    [0.75, [0.369, 0.788, 0.384]],
+    [0.875, [0.678, 0.863, 0.188]],
+    [1.0, [0.992, 0.906, 0.145]],
+]
+
+function interpolateStops(stops, t) {
+    for (let i = 1; i < stops.length; i++) {
+        const [t1, c1] = stops[i]
+        if (t <= t1 || i === stops.length - 1) {
+            const [t0, c0] = stops[i - 1]
+            const s = Math.min(1, Math.max(0, (t - t0) / (t1 - t0)))
+            return c0.map((value, channel) => value + (c1[channel] - value) * s)
+        }
+    }
+    return stops[0][1]
+}
+
+// Polynomial fit of Google's Turbo colormap.
+function turbo(t) {
+    const r = 0.13572138 + t * (4.61539260 + t * (-42.66032258 + t * (132.13108234 + t * (-152.94239396 + t * 59.28637943))))
+    const g = 0.09140261 + t * (2.19418839 + t * (4.84296658 + t * (-14.18503333 + t * (4.27729857 + t * 2.82956604))))
+    const b = 0.10667330 + t * (12.64194608 + t * (-60.58204836 + t * (110.36276771 + t * (-89.90310912 + t * 27.34824973))))
+    return [r, g, b]
+}
+
+export function hexToRGB(hex) {
+    const value = parseInt(hex.replace('#', ''), 16)
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff].map((channel) => channel / 255)
+}
+
+export function paletteColor(palette, t, customColors = []) {
+    switch (palette) {
+        case 'viridis':
+            return interpolateStops(viridisStops, t)
+        case 'turbo':
+            return turbo(t)
+        case 'grayscale':
+            return [t, t, t]
+        case 'custom': {
+            const colors = customColors.map(hexToRGB)
+            return interpolateStops(colors.map((color, i) => [i / Math.max(1, colors.length - 1), color]), t)
+        }
+        default:
+            return interpolateStops(classicStops, t)
+    }
+}
+
+/**
+ * Bakes a palette into the rgba8 lookup row that sphere.wgsl samples. The
+ * legend draws from the same bytes, so both always show identical colors.
+ */
+export function buildColorLUT(palette, customColors) {
+    const lut = new Uint8Array(colorLUTSize * 4)
+    for (let i = 0; i < colorLUTSize; i++) {
+        const color = paletteColor(palette, i / (colorLUTSize - 1), customColors)
+        for (let channel = 0; channel < 3; channel++) {
+            lut[i * 4 + channel] = Math.round(Math.min(1, Math.max(0, color[channel])) * 255)
+        }
+        lut[i * 4 + 3] = 255
+    }
+    return lut
+}
+
+/**
+ * A lookup row of flat bands, one per entry of `colors`, for coloring by an
+ * integer such as the material index. Use with the range [-0.5, count - 0.5]
+ * so each index lands in the middle of its band.
+ */
+export function buildCategoryLUT(colors) {
+    const lut = new Uint8Array(colorLUTSize * 4)
+    const rgb = colors.map(hexToRGB)
+    for (let i = 0; i < colorLUTSize; i++) {
+        const color = rgb[Math.min(rgb.length - 1, Math.floor(i * rgb.length / colorLUTSize))]
+        for (let channel = 0; channel < 3; channel++) {
+            lut[i * 4 + channel] = Math.round(color[channel] * 255)
+        }
+        lut[i * 4 + 3] = 255
+    }
+    return lut
+}
+
+export function writeColorUniforms(attribute, min, max, target = new ArrayBuffer(colorUniformsSize)) {
+    new Uint32Array(target, 0, 1)[0] = Math.max(0, colorAttributes.indexOf(attribute))
+    new Float32Array(target, 4, 2).set([min, max])
+    return target
+}
+
+// CPU mirror of the value sphere.wgsl colors by, read from the PosVel layout.
+export function attributeValue(posvel, index, attribute, stride = 12) {
+    const base = index * stride
+    switch (attribute) {
+        case 'velocity x':
+            return posvel[base + 4]
+        case 'velocity y':
+            return posvel[base + 5]
+        case 'velocity z':
+            return posvel[base + 6]
+        case 'height':
+            return posvel[base + 1]
+        case 'density':
+            return posvel[base + 3]
+        case 'source':
+            return posvel[base + 7]
+        case 'material':
+            return posvel[base + 8]
+        default:
+            return Math.hypot(posvel[base + 4], posvel[base + 5], posvel[base + 6])
+    }
+}
+
+export function computeAttributeRange(posvel, numParticles, attribute) {
+    let min = Infinity
+    let max = -Infinity
+    for (let i = 0; i < numParticles; i++) {
+        const value = attributeValue(posvel, i, attribute)
+        if (value < min) min = value
+        if (value > max) max = value
+    }
+    if (!(min <= max)) {
+        return null
+    }
+    if (max - min < 1e-6) {
+        max = min + 1e-6
+    }
+    return { min, max }
+}
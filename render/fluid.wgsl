@@ -0,0 +1,105 @@
+struct FragmentInput {
+    @builtin(position) position: vec4f,
+    @location(0) uv: vec2f,
+}
+
+struct RenderUniforms {
+    texel_size: vec2f,
+    sphere_size: f32,
+    inv_projection_matrix: mat4x4f,
+    projection_matrix: mat4x4f,
+    view_matrix: mat4x4f,
+    inv_view_matrix: mat4x4f,
+    box_size: vec3f,
+    render_z_offset: f32,
+    box_anchor_z: f32,
+}
+
+const EMPTY_DEPTH = 1e5;
+
+@group(0) @binding(0) var depth_texture: texture_2d<f32>;
+@group(0) @binding(1) var thickness_texture: texture_2d<f32>;
+@group(0) @binding(2) var background_texture: texture_2d<f32>;
+@group(0) @binding(3) var scene_depth_texture: texture_depth_2d;
+@group(0) @binding(4) var<uniform> uniforms: RenderUniforms;
+
+// The pixel's line of sight, from its near-plane to its far-plane point, at
+// `depth`. Works for both projections: perspective lines meet at the eye,
+// orthographic ones run parallel.
+fn view_position_at(coord: vec2i, depth: f32) -> vec3f {
+    let uv = (vec2f(coord) + 0.5) * uniforms.texel_size;
+    let ndc = vec2f(uv.x * 2.0 - 1.0, 1.0 - uv.y * 2.0);
+    var near = uniforms.inv_projection_matrix * vec4f(ndc, 0.0, 1.0);
+    near /= near.w;
+    var far = uniforms.inv_projection_matrix * vec4f(ndc, 1.0, 1.0);
+    far /= far.w;
+    return mix(near.xyz, far.xyz, (-depth - near.z) / (far.z - near.z));
+}
+
+fn is_orthographic() -> bool {
+    return uniforms.projection_matrix[2][3] == 0.0;
+}
+
+fn sample_depth(coord: vec2i, dims: vec2i) -> f32 {
+    return textureLoad(depth_texture, clamp(coord, vec2i(0), dims - 1), 0).r;
+}
+
+fn sky_color(direction: vec3f) -> vec3f {
+    let t = clamp(direction.y * 0.5 + 0.5, 0.0, 1.0);
+    return mix(vec3f(0.55, 0.55, 0.58), vec3f(0.92, 0.95, 1.0), t);
+}
+
+@fragment
+fn fs(input: FragmentInput) -> @location(0) vec4f {
+    let coord = vec2i(input.position.xy);
+    let dims = vec2i(textureDimensions(depth_texture));
+    let background = textureLoad(background_texture, coord, 0).rgb;
+
+    let depth = sample_depth(coord, dims);
+    if (depth >= EMPTY_DEPTH || depth <= 0.0) {
+        return vec4f(background, 1.0);
+    }
+
+    let view_position = view_position_at(coord, depth);
+    let clip_position = uniforms.projection_matrix * vec4f(view_position, 1.0);
+    let scene_depth = textureLoad(scene_depth_texture, coord, 0);
+    if (clip_position.z / clip_position.w > scene_depth) {
+        return vec4f(background, 1.0);
+    }
+
+    var ddx = view_position_at(coord + vec2i(1, 0), sample_depth(coord + vec2i(1, 0), dims)) - view_position;
+    let ddx2 = view_position - view_position_at(coord - vec2i(1, 0), sample_depth(coord - vec2i(1, 0), dims));
+    if (abs(ddx2.z) < abs(ddx.z)) {
+        ddx = ddx2;
+    }
+    var ddy = view_position_at(coord + vec2i(0, 1), sample_depth(coord + vec2i(0, 1), dims)) - view_position;
+    let ddy2 = view_position - view_position_at(coord - vec2i(0, 1), sample_depth(coord - vec2i(0, 1), dims));
+    if (abs(ddy2.z) < abs(ddy.z)) {
+        ddy = ddy2;
+    }
+    let normal = normalize(cross(ddy, ddx));
+
+    let thickness = textureLoad(thickness_texture, coord, 0).r;
+    let view_dir = select(normalize(-view_position), vec3f(0.0, 0.0, 1.0), is_orthographic());
+
+    let fluid_color = vec3f(0.085, 0.6375, 0.9);
+    let absorption = 0.06;
+    let transmittance = exp(-absorption * thickness * (1.0 - fluid_color));
+    let refraction_offset = vec2i(normal.xy * min(thickness, 40.0) * 0.6 * vec2f(1.0, -1.0));
+    let refracted_coord = clamp(coord + refraction_offset, vec2i(0), dims - 1);
+    let refraction_color = textureLoad(background_texture, refracted_coord, 0).rgb * transmittance;
+
+    let world_normal = (uniforms.inv_view_matrix * vec4f(normal, 0.0)).xyz;
+    let world_view_dir = (uniforms.inv_view_matrix * vec4f(view_dir, 0.0)).xyz;
+    let reflection_color = sky_color(reflect(-world_view_dir, world_normal));
+
+    let f0 = 0.02;
+    let fresnel = clamp(f0 + (1.0 - f0) * pow(1.0 - max(dot(normal, view_dir), 0.0), 5.0), 0.0, 1.0);
+
+    let light_dir = normalize((uniforms.view_matrix * vec4f(0.46, 0.82, 0.34, 0.0)).xyz);
+    let half_dir = normalize(light_dir + view_dir);
+    let specular = pow(max(dot(half_dir, normal), 0.0), 250.0);
+
+    let color = mix(refraction_color, reflection_color, fresnel) + vec3f(specular);
+    return vec4f(color, 1.0);
+}
@@ -1,25 +1,74 @@
+import { buildColorLUT, colorLUTSize, colorUniformsSize, writeColorUniforms } from './colorMap.js?v=20261019n'
+import { FrustumCuller } from '../optimization/frustumCulling.js?v=20261019t'
+import { numParticlesMax, renderUniformsViews } from '../common.js?v=20261019c'
+
+export const renderModes = ['particles', 'fluid', 'wireframe']
+
+// Overlay toggles: the whole grid, the box the piston currently leaves open,
+// the solver's boundary planes inside it, and the grid cells.
+export const debugOverlayNames = ['domainBox', 'realBox', 'solverBounds', 'gridLattice']
+
+const filterUniformSize = 32
+const bilateralIterations = 3
+const emptyDepth = 1e5
+const overlayUniformSize = 32 + 4 * 48
+const maxOverlayBoxes = 4
+const wireframeVertices = 2 * 48
+
 export class FluidRenderer {
     constructor(
         device, canvas, presentationFormat,
         radius, fov, posvelBuffer, 
-        renderUniformBuffer
+        renderUniformBuffer, obstacleSet
     ) {
         this.device = device
         this.canvas = canvas
         this.presentationFormat = presentationFormat
+        this.radius = radius
+        this.fov = fov
+        this.projection = 'perspective'
+        // Half the view height in world units while orthographic, as on the camera.
+        this.orthoScale = 1
         this.posvelBuffer = posvelBuffer
         this.renderUniformBuffer = renderUniformBuffer
+        this.obstacleSet = obstacleSet
         this.boundaryVisible = true
+        this.renderMode = 'particles'
+        this.debugOverlays = Object.fromEntries(debugOverlayNames.map((name) => [name, false]))
+        this.domainBoxSize = [0, 0, 0]
+        this.pistonAxis = 2
+        this.latticeSpacing = 1
+        this.overlayValues = new Float32Array(overlayUniformSize / 4)
+        this.frustumCuller = new FrustumCuller(device)
         this.clearColor = { r: 0.8, g: 0.8, b: 0.8, a: 1.0 }
         this.cachedColorView = null
         this.lastTexture = null
+        this.profiler = null
     }
 
     async initialize() {
-        const sphere = await fetch('render/sphere.wgsl?v=20260716a').then(r => r.text());
+        const sphere = await fetch('render/sphere.wgsl?v=20261019n').then(r => r.text());
         const wall = await fetch('render/wall.wgsl?v=20260310k').then(r => r.text());
+        const obstacle = await fetch('render/obstacle.wgsl?v=20261019j').then(r => r.text());
+        const fullScreen = await fetch('render/fullScreen.wgsl?v=20261019f').then(r => r.text());
+        const depthMap = await fetch('render/depthMap.wgsl?v=20261019n').then(r => r.text());
+        const bilateral = await fetch('render/bilateral.wgsl?v=20261020m').then(r => r.text());
+        const thicknessMap = await fetch('render/thicknessMap.wgsl?v=20261019n').then(r => r.text());
+        const gaussian = await fetch('render/gaussian.wgsl?v=20261020m').then(r => r.text());
+        const fluid = await fetch('render/fluid.wgsl?v=20261019w').then(r => r.text());
+        const boundingBox = await fetch('render/boundingBox.wgsl?v=20261019t').then(r => r.text());
+        const wireframe = await fetch('render/wireframe.wgsl?v=20261019t').then(r => r.text());
         const sphereModule = this.device.createShaderModule({ code: sphere })
         const wallModule = this.device.createShaderModule({ code: wall })
+        const obstacleModule = this.device.createShaderModule({ code: obstacle })
+        const fullScreenModule = this.device.createShaderModule({ code: fullScreen })
+        const depthMapModule = this.device.createShaderModule({ code: depthMap })
+        const bilateralModule = this.device.createShaderModule({ code: bilateral })
+        const thicknessMapModule = this.device.createShaderModule({ code: thicknessMap })
+        const gaussianModule = this.device.createShaderModule({ code: gaussian })
+        const fluidModule = this.device.createShaderModule({ code: fluid })
+        const boundingBoxModule = this.device.createShaderModule({ code: boundingBox })
+        const wireframeModule = this.device.createShaderModule({ code: wireframe })
 
         const particleBindGroupLayout = this.device.createBindGroupLayout({
             entries: [
@@ -33,6 +82,21 @@ export class FluidRenderer {
                     visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
                     buffer: { type: 'uniform' },
                 },
+                {
+                    binding: 2,
+                    visibility: GPUShaderStage.VERTEX | GPUShaderStage.FRAGMENT,
+                    buffer: { type: 'uniform' },
+                },
+                {
+                    binding: 3,
+                    visibility: GPUShaderStage.FRAGMENT,
+                    texture: { sampleType: 'float' },
+                },
+                {
+                    binding: 4,
+                    visibility: GPUShaderStage.VERTEX,
+                    buffer: { type: 'read-only-storage' },
+                },
             ],
         })
         const particlePipelineLayout = this.device.createPipelineLayout({
@@ -55,6 +119,22 @@ export class FluidRenderer {
             }
         })
 
+        this.wireframePipeline = this.device.createRenderPipeline({
+            label: 'wireframe pipeline',
+            layout: particlePipelineLayout,
+            vertex: { module: wireframeModule },
+            fragment: {
+                module: wireframeModule,
+                targets: [{ format: this.presentationFormat }]
+            },
+            primitive: { topology: 'line-list' },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float'
+            }
+        })
+
         this.wallPipeline = this.device.createRenderPipeline({
             label: 'wall pipeline',
             layout: 'auto',
@@ -71,12 +151,164 @@ export class FluidRenderer {
             }
         })
 
-        const depthTestTexture = this.device.createTexture({
-            size: [this.canvas.width, this.canvas.height, 1],
-            format: 'depth32float',
-            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        this.obstaclePipeline = this.device.createRenderPipeline({
+            label: 'obstacle pipeline',
+            layout: 'auto',
+            vertex: { module: obstacleModule },
+            fragment: {
+                module: obstacleModule,
+                targets: [{ format: this.presentationFormat }]
+            },
+            primitive: { topology: 'triangle-list', cullMode: 'none' },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float'
+            }
+        })
+
+        this.depthMapPipeline = this.device.createRenderPipeline({
+            label: 'depth map pipeline',
+            layout: particlePipelineLayout,
+            vertex: { module: depthMapModule },
+            fragment: {
+                module: depthMapModule,
+                targets: [{ format: 'r32float' }]
+            },
+            primitive: { topology: 'triangle-list' },
+            depthStencil: {
+                depthWriteEnabled: true,
+                depthCompare: 'less',
+                format: 'depth32float'
+            }
+        })
+
+        this.thicknessMapPipeline = this.device.createRenderPipeline({
+            label: 'thickness map pipeline',
+            layout: particlePipelineLayout,
+            vertex: { module: thicknessMapModule },
+            fragment: {
+                module: thicknessMapModule,
+                targets: [{
+                    format: 'r16float',
+                    blend: {
+                        color: { operation: 'add', srcFactor: 'one', dstFactor: 'one' },
+                        alpha: { operation: 'add', srcFactor: 'one', dstFactor: 'one' },
+                    }
+                }]
+            },
+            primitive: { topology: 'triangle-list' },
+        })
+
+        this.bilateralPipeline = this.device.createRenderPipeline({
+            label: 'bilateral filter pipeline',
+            layout: 'auto',
+            vertex: { module: fullScreenModule },
+            fragment: {
+                module: bilateralModule,
+                targets: [{ format: 'r32float' }]
+            },
+            primitive: { topology: 'triangle-list' },
+        })
+
+        this.gaussianPipeline = this.device.createRenderPipeline({
+            label: 'gaussian filter pipeline',
+            layout: 'auto',
+            vertex: { module: fullScreenModule },
+            fragment: {
+                module: gaussianModule,
+                targets: [{ format: 'r16float' }]
+            },
+            primitive: { topology: 'triangle-list' },
         })
-        this.depthTestTextureView = depthTestTexture.createView()
+
+        this.fluidPipeline = this.device.createRenderPipeline({
+            label: 'fluid composite pipeline',
+            layout: 'auto',
+            vertex: { module: fullScreenModule },
+            fragment: {
+                module: fluidModule,
+                targets: [{ format: this.presentationFormat }]
+            },
+            primitive: { topology: 'triangle-list' },
+        })
+
+        // Overlays skip the depth test so planes inside the fluid stay visible.
+        const overlayBindGroupLayout = this.device.createBindGroupLayout({
+            entries: [
+                { binding: 0, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } },
+                { binding: 1, visibility: GPUShaderStage.VERTEX, buffer: { type: 'uniform' } },
+            ],
+        })
+        const overlayPipeline = (label, entryPoint) => this.device.createRenderPipeline({
+            label,
+            layout: this.device.createPipelineLayout({ bindGroupLayouts: [overlayBindGroupLayout] }),
+            vertex: { module: boundingBoxModule, entryPoint },
+            fragment: {
+                module: boundingBoxModule,
+                entryPoint: 'fs',
+                targets: [{
+                    format: this.presentationFormat,
+                    blend: {
+                        color: { operation: 'add', srcFactor: 'src-alpha', dstFactor: 'one-minus-src-alpha' },
+                        alpha: { operation: 'add', srcFactor: 'one', dstFactor: 'one-minus-src-alpha' },
+                    }
+                }]
+            },
+            primitive: { topology: 'line-list' },
+        })
+        this.overlayBoxPipeline = overlayPipeline('overlay box pipeline', 'box_vs')
+        this.overlayLatticePipeline = overlayPipeline('overlay lattice pipeline', 'lattice_vs')
+
+        this.overlayUniformBuffer = this.device.createBuffer({
+            label: 'overlay uniform buffer',
+            size: overlayUniformSize,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        this.overlayBindGroup = this.device.createBindGroup({
+            label: 'overlay bind group',
+            layout: overlayBindGroupLayout,
+            entries: [
+                { binding: 0, resource: { buffer: this.renderUniformBuffer }},
+                { binding: 1, resource: { buffer: this.overlayUniformBuffer }},
+            ]
+        })
+
+        // The culler's instance count is copied in each frame; only the vertex count differs.
+        this.wireframeArgsBuffer = this.device.createBuffer({
+            label: 'wireframe draw indirect buffer',
+            size: 16,
+            usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.COPY_DST,
+        })
+        this.device.queue.writeBuffer(this.wireframeArgsBuffer, 0, new Uint32Array([wireframeVertices, 0, 0, 0]))
+
+        this.filterXBuffer = this.device.createBuffer({
+            label: 'filter x uniform buffer',
+            size: filterUniformSize,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        this.filterYBuffer = this.device.createBuffer({
+            label: 'filter y uniform buffer',
+            size: filterUniformSize,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+
+        await this.frustumCuller.initialize(numParticlesMax)
+        this.cullBindGroup = this.frustumCuller.createBindGroup(this.posvelBuffer, this.renderUniformBuffer)
+
+        this.colorUniformBuffer = this.device.createBuffer({
+            label: 'color uniform buffer',
+            size: colorUniformsSize,
+            usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
+        })
+        this.colorMapTexture = this.device.createTexture({
+            label: 'color map texture',
+            size: [colorLUTSize, 1, 1],
+            format: 'rgba8unorm',
+            usage: GPUTextureUsage.TEXTURE_BINDING | GPUTextureUsage.COPY_DST,
+        })
+        this.setColorMap('speed', 0, 1.5)
+        this.setColorLUT(buildColorLUT('classic'))
 
         this.sphereBindGroup = this.device.createBindGroup({
             label: 'sphere bind group', 
@@ -84,6 +316,9 @@ export class FluidRenderer {
             entries: [
                 { binding: 0, resource: { buffer: this.posvelBuffer }},
                 { binding: 1, resource: { buffer: this.renderUniformBuffer }},
+                { binding: 2, resource: { buffer: this.colorUniformBuffer }},
+                { binding: 3, resource: this.colorMapTexture.createView() },
+                { binding: 4, resource: { buffer: this.frustumCuller.visibleIndexBuffer }},
             ]
         })
 
@@ -95,12 +330,194 @@ export class FluidRenderer {
             ]
         })
 
+        this.obstacleBindGroup = this.device.createBindGroup({
+            label: 'obstacle bind group',
+            layout: this.obstaclePipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: { buffer: this.renderUniformBuffer }},
+                { binding: 1, resource: { buffer: this.obstacleSet.obstacleBuffer }},
+                { binding: 2, resource: { buffer: this.obstacleSet.sdfBuffer }},
+            ]
+        })
+
+        this.createSizedResources()
+    }
+
+    createSizedResources() {
+        const size = [this.canvas.width, this.canvas.height, 1]
+
+        const depthTestTexture = this.device.createTexture({
+            label: 'depth test texture',
+            size,
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        })
+        const particleDepthTexture = this.device.createTexture({
+            label: 'particle depth test texture',
+            size,
+            format: 'depth32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT,
+        })
+        const depthMapTexture = this.device.createTexture({
+            label: 'depth map texture',
+            size,
+            format: 'r32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        })
+        const tmpDepthMapTexture = this.device.createTexture({
+            label: 'temporary depth map texture',
+            size,
+            format: 'r32float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        })
+        const thicknessTexture = this.device.createTexture({
+            label: 'thickness map texture',
+            size,
+            format: 'r16float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        })
+        const tmpThicknessTexture = this.device.createTexture({
+            label: 'temporary thickness map texture',
+            size,
+            format: 'r16float',
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        })
+        const backgroundTexture = this.device.createTexture({
+            label: 'background texture',
+            size,
+            format: this.presentationFormat,
+            usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+        })
+
+        for (const texture of this.sizedTextures || []) {
+            texture.destroy()
+        }
+        this.sizedTextures = [
+            depthTestTexture, particleDepthTexture, depthMapTexture, tmpDepthMapTexture,
+            thicknessTexture, tmpThicknessTexture, backgroundTexture,
+        ]
+
+        this.depthTestTextureView = depthTestTexture.createView()
+        this.particleDepthTextureView = particleDepthTexture.createView()
+        this.depthMapTextureView = depthMapTexture.createView()
+        this.tmpDepthMapTextureView = tmpDepthMapTexture.createView()
+        this.thicknessTextureView = thicknessTexture.createView()
+        this.tmpThicknessTextureView = tmpThicknessTexture.createView()
+        this.backgroundTextureView = backgroundTexture.createView()
+
+        this.writeFilterUniforms()
+
+        const filterBindGroup = (pipeline, textureView, filterBuffer) => this.device.createBindGroup({
+            layout: pipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: textureView },
+                { binding: 1, resource: { buffer: filterBuffer }},
+            ]
+        })
+        this.bilateralXBindGroup = filterBindGroup(this.bilateralPipeline, this.depthMapTextureView, this.filterXBuffer)
+        this.bilateralYBindGroup = filterBindGroup(this.bilateralPipeline, this.tmpDepthMapTextureView, this.filterYBuffer)
+        this.gaussianXBindGroup = filterBindGroup(this.gaussianPipeline, this.thicknessTextureView, this.filterXBuffer)
+        this.gaussianYBindGroup = filterBindGroup(this.gaussianPipeline, this.tmpThicknessTextureView, this.filterYBuffer)
+
+        this.fluidBindGroup = this.device.createBindGroup({
+            label: 'fluid composite bind group',
+            layout: this.fluidPipeline.getBindGroupLayout(0),
+            entries: [
+                { binding: 0, resource: this.depthMapTextureView },
+                { binding: 1, resource: this.thicknessTextureView },
+                { binding: 2, resource: this.backgroundTextureView },
+                { binding: 3, resource: this.depthTestTextureView },
+                { binding: 4, resource: { buffer: this.renderUniformBuffer }},
+            ]
+        })
+    }
+
+    resize() {
+        this.createSizedResources()
+    }
+
+    /**
+     * The bilateral filter spans a particle's size on screen. In perspective
+     * that is the constant over the depth; orthographic views draw every
+     * particle the same size, so the constant is that size itself.
+     */
+    writeFilterUniforms() {
+        const orthographic = this.projection === 'orthographic'
+        const projectedParticleConstant = orthographic
+            ? (6 * this.radius * this.canvas.height) / (2 * this.orthoScale)
+            : (6 * this.radius * this.canvas.height) / (2 * Math.tan(this.fov / 2))
+        const filterValues = new Float32Array(filterUniformSize / 4)
+        filterValues.set([1, 0, projectedParticleConstant, this.radius * 10, 60, orthographic ? 1 : 0])
+        this.device.queue.writeBuffer(this.filterXBuffer, 0, filterValues)
+        filterValues.set([0, 1])
+        this.device.queue.writeBuffer(this.filterYBuffer, 0, filterValues)
+    }
+
+    // Called when the camera changes; only a projection or orthographic zoom change rewrites the filters.
+    setProjection(projection, orthoScale) {
+        if (projection === this.projection && (projection !== 'orthographic' || orthoScale === this.orthoScale)) {
+            return
+        }
+        this.projection = projection
+        this.orthoScale = orthoScale
+        this.writeFilterUniforms()
     }
 
     setBoundaryVisible(visible) {
         this.boundaryVisible = visible;
     }
 
+    setRenderMode(mode) {
+        this.renderMode = mode;
+    }
+
+    setDebugOverlay(name, visible) {
+        if (!(name in this.debugOverlays)) {
+            throw new Error(`Unknown debug overlay: ${name}`);
+        }
+        this.debugOverlays[name] = visible;
+    }
+
+    // Full grid extent; the domain box overlay outlines it.
+    setDomainBox(size) {
+        this.domainBoxSize = [...size];
+    }
+
+    // 0 for x, 2 for z: which face of the real box is the piston.
+    setPistonAxis(axisIndex) {
+        this.pistonAxis = axisIndex;
+    }
+
+    setLatticeSpacing(cells) {
+        this.latticeSpacing = Math.max(1, Math.round(cells));
+    }
+
+    setProfiler(profiler) {
+        this.profiler = profiler
+    }
+
+    // Pass descriptor timestampWrites for `label`, or undefined when not profiling.
+    timestamps(label) {
+        return this.profiler ? this.profiler.timestampWrites(label) : undefined
+    }
+
+    setFrustumCulling(enabled) {
+        this.frustumCuller.setEnabled(enabled);
+    }
+
+    setColorMap(attribute, min, max) {
+        this.device.queue.writeBuffer(this.colorUniformBuffer, 0, writeColorUniforms(attribute, min, max));
+    }
+
+    setColorLUT(lut) {
+        this.device.queue.writeTexture(
+            { texture: this.colorMapTexture },
+            lut,
+            { bytesPerRow: colorLUTSize * 4 },
+            [colorLUTSize, 1, 1],
+        );
+    }
+
     execute(context, commandEncoder, numParticles) {
         const currentTexture = context.getCurrentTexture();
         
@@ -109,6 +526,26 @@ export class FluidRenderer {
             this.lastTexture = currentTexture;
         }
 
+        this.frustumCuller.execute(
+            commandEncoder, this.cullBindGroup, numParticles,
+            renderUniformsViews.view_matrix, renderUniformsViews.projection_matrix,
+            this.timestamps('frustum cull')
+        );
+
+        if (this.renderMode === 'fluid') {
+            this.executeFluid(commandEncoder);
+        } else {
+            this.executeParticles(commandEncoder);
+        }
+        this.drawDebugOverlays(commandEncoder);
+    }
+
+    executeParticles(commandEncoder) {
+        const wireframe = this.renderMode === 'wireframe';
+        if (wireframe) {
+            commandEncoder.copyBufferToBuffer(this.frustumCuller.indirectArgsBuffer, 4, this.wireframeArgsBuffer, 4, 4);
+        }
+
         const renderPassDescriptor = {
             colorAttachments: [
                 {
@@ -126,18 +563,205 @@ export class FluidRenderer {
             },
         }
 
-        const renderPassEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
-
-        if (this.boundaryVisible) {
-            renderPassEncoder.setBindGroup(0, this.wallBindGroup);
-            renderPassEncoder.setPipeline(this.wallPipeline);
-            renderPassEncoder.draw(31 * 36);
+        let renderPassEncoder;
+        if (this.profiler && this.profiler.timing) {
+            // Walls and obstacles get a pass of their own so their cost shows up separately.
+            const backgroundPass = commandEncoder.beginRenderPass({
+                ...renderPassDescriptor,
+                timestampWrites: this.timestamps('walls & obstacles'),
+            });
+            this.drawBackground(backgroundPass);
+            backgroundPass.end();
+            renderPassEncoder = commandEncoder.beginRenderPass({
+                colorAttachments: [{ view: this.cachedColorView, loadOp: 'load', storeOp: 'store' }],
+                depthStencilAttachment: {
+                    view: this.depthTestTextureView,
+                    depthLoadOp: 'load',
+                    depthStoreOp: 'store',
+                },
+                timestampWrites: this.timestamps('spheres'),
+            });
+        } else {
+            renderPassEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
+            this.drawBackground(renderPassEncoder);
         }
 
         renderPassEncoder.setBindGroup(0, this.sphereBindGroup);
-        renderPassEncoder.setPipeline(this.spherePipeline);
-        renderPassEncoder.draw(6, numParticles);
+        if (wireframe) {
+            renderPassEncoder.setPipeline(this.wireframePipeline);
+            renderPassEncoder.drawIndirect(this.wireframeArgsBuffer, 0);
+        } else {
+            renderPassEncoder.setPipeline(this.spherePipeline);
+            renderPassEncoder.drawIndirect(this.frustumCuller.indirectArgsBuffer, 0);
+        }
 
         renderPassEncoder.end();
     }
+
+    /**
+     * Boxes for the enabled overlays, in simulation coordinates. The solver
+     * bounds are the g2p wall clamp (3 to size - 4) and the last grid nodes
+     * updateGrid leaves free (2 to ceil(size) - 3).
+     */
+    overlayBoxes() {
+        const realBoxSize = Array.from(renderUniformsViews.box_size);
+        const boxes = [];
+        if (this.debugOverlays.domainBox) {
+            boxes.push({ min: [0, 0, 0], max: this.domainBoxSize, faceAxis: -1, color: [0.3, 0.3, 0.3, 0.8] });
+        }
+        if (this.debugOverlays.realBox) {
+            boxes.push({ min: [0, 0, 0], max: realBoxSize, faceAxis: this.pistonAxis, color: [0.0, 0.4, 1.0, 0.9] });
+        }
+        if (this.debugOverlays.solverBounds) {
+            boxes.push({
+                min: [3, 3, 3],
+                max: realBoxSize.map((size) => size - 4),
+                faceAxis: -1,
+                color: [1.0, 0.55, 0.0, 0.9],
+            });
+            boxes.push({
+                min: [2, 2, 2],
+                max: realBoxSize.map((size) => Math.ceil(size) - 3),
+                faceAxis: -1,
+                color: [0.9, 0.1, 0.1, 0.9],
+            });
+        }
+        return boxes.slice(0, maxOverlayBoxes);
+    }
+
+    drawDebugOverlays(commandEncoder) {
+        const boxes = this.overlayBoxes();
+        if (boxes.length === 0 && !this.debugOverlays.gridLattice) {
+            return;
+        }
+
+        const latticeExtent = Array.from(renderUniformsViews.box_size, Math.ceil);
+        const values = this.overlayValues;
+        values.set(latticeExtent, 0);
+        values[3] = this.latticeSpacing;
+        values.set([0.2, 0.2, 0.2, 0.35], 4);
+        boxes.forEach((box, index) => {
+            const offset = 8 + index * 12;
+            values.set(box.min, offset);
+            values[offset + 3] = box.faceAxis;
+            values.set(box.max, offset + 4);
+            values.set(box.color, offset + 8);
+        });
+        this.device.queue.writeBuffer(this.overlayUniformBuffer, 0, values);
+
+        const pass = commandEncoder.beginRenderPass({
+            colorAttachments: [{ view: this.cachedColorView, loadOp: 'load', storeOp: 'store' }],
+            timestampWrites: this.timestamps('debug overlays'),
+        });
+        pass.setBindGroup(0, this.overlayBindGroup);
+        if (this.debugOverlays.gridLattice) {
+            // Lines along each axis step along the other two, so 2 * (nx + ny + nz) in all.
+            const lines = latticeExtent.reduce((sum, extent) => sum + Math.floor(extent / this.latticeSpacing) + 1, 0);
+            pass.setPipeline(this.overlayLatticePipeline);
+            pass.draw(2, 2 * lines);
+        }
+        if (boxes.length > 0) {
+            pass.setPipeline(this.overlayBoxPipeline);
+            pass.draw(28, boxes.length);
+        }
+        pass.end();
+    }
+
+    executeFluid(commandEncoder) {
+        const backgroundPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.backgroundTextureView,
+                clearValue: this.clearColor,
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.depthTestTextureView,
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            },
+            timestampWrites: this.timestamps('walls & obstacles'),
+        });
+        this.drawBackground(backgroundPass);
+        backgroundPass.end();
+
+        const depthMapPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.depthMapTextureView,
+                clearValue: { r: emptyDepth, g: 0.0, b: 0.0, a: 1.0 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            depthStencilAttachment: {
+                view: this.particleDepthTextureView,
+                depthClearValue: 1.0,
+                depthLoadOp: 'clear',
+                depthStoreOp: 'store',
+            },
+            timestampWrites: this.timestamps('depth map'),
+        });
+        depthMapPass.setBindGroup(0, this.sphereBindGroup);
+        depthMapPass.setPipeline(this.depthMapPipeline);
+        depthMapPass.drawIndirect(this.frustumCuller.indirectArgsBuffer, 0);
+        depthMapPass.end();
+
+        for (let i = 0; i < bilateralIterations; i++) {
+            this.fullScreenPass(commandEncoder, this.bilateralPipeline, this.bilateralXBindGroup, this.tmpDepthMapTextureView, 'bilateral filter');
+            this.fullScreenPass(commandEncoder, this.bilateralPipeline, this.bilateralYBindGroup, this.depthMapTextureView, 'bilateral filter');
+        }
+
+        const thicknessPass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: this.thicknessTextureView,
+                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 0.0 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            timestampWrites: this.timestamps('thickness map'),
+        });
+        thicknessPass.setBindGroup(0, this.sphereBindGroup);
+        thicknessPass.setPipeline(this.thicknessMapPipeline);
+        thicknessPass.drawIndirect(this.frustumCuller.indirectArgsBuffer, 0);
+        thicknessPass.end();
+
+        this.fullScreenPass(commandEncoder, this.gaussianPipeline, this.gaussianXBindGroup, this.tmpThicknessTextureView, 'gaussian blur');
+        this.fullScreenPass(commandEncoder, this.gaussianPipeline, this.gaussianYBindGroup, this.thicknessTextureView, 'gaussian blur');
+
+        this.fullScreenPass(commandEncoder, this.fluidPipeline, this.fluidBindGroup, this.cachedColorView, 'fluid shading');
+    }
+
+    drawBackground(passEncoder) {
+        if (this.boundaryVisible) {
+            passEncoder.setBindGroup(0, this.wallBindGroup);
+            passEncoder.setPipeline(this.wallPipeline);
+            passEncoder.draw(31 * 36);
+        }
+        this.drawObstacles(passEncoder);
+    }
+
+    drawObstacles(passEncoder) {
+        if (this.obstacleSet.count === 0) {
+            return;
+        }
+        passEncoder.setBindGroup(0, this.obstacleBindGroup);
+        passEncoder.setPipeline(this.obstaclePipeline);
+        passEncoder.draw(36, this.obstacleSet.count);
+    }
+
+    fullScreenPass(commandEncoder, pipeline, bindGroup, targetView, label) {
+        const pass = commandEncoder.beginRenderPass({
+            colorAttachments: [{
+                view: targetView,
+                clearValue: { r: 0.0, g: 0.0, b: 0.0, a: 1.0 },
+                loadOp: 'clear',
+                storeOp: 'store',
+            }],
+            timestampWrites: this.timestamps(label),
+        });
+        pass.setBindGroup(0, bindGroup);
+        pass.setPipeline(pipeline);
+        pass.draw(6);
+        pass.end();
+    }
 }
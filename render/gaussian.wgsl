@@ -0,0 +1,41 @@
+struct FragmentInput {
+    @builtin(position) position: vec4f,
+    @location(0) uv: vec2f,
+}
+
+struct FilterUniforms {
+    blur_dir: vec2f,
+    projected_particle_constant: f32,
+    depth_threshold: f32,
+    max_filter_size: f32,
+    orthographic: f32,
+}
+
+const FILTER_SIZE = 12;
+const SIGMA = 4.0;
+
+@group(0) @binding(0) var thickness_texture: texture_2d<f32>;
+@group(0) @binding(1) var<uniform> filter_uniforms: FilterUniforms;
+
+@fragment
+fn fs(input: FragmentInput) -> @location(0) vec4f {
+    let coord = vec2i(input.position.xy);
+    let dims = vec2i(textureDimensions(thickness_texture));
+    let thickness = textureLoad(thickness_texture, coord, 0).r;
+    if (thickness == 0.0) {
+        return vec4f(0.0, 0.0, 0.0, 1.0);
+    }
+
+    var sum = 0.0;
+    var weight_sum = 0.0;
+    for (var x = -FILTER_SIZE; x <= FILTER_SIZE; x++) {
+        let offset = vec2i(vec2f(f32(x)) * filter_uniforms.blur_dir);
+        let sample_coord = clamp(coord + offset, vec2i(0), dims - 1);
+        let r = f32(x);
+        let weight = exp(-r * r / (2.0 * SIGMA * SIGMA));
+        sum += textureLoad(thickness_texture, sample_coord, 0).r * weight;
+        weight_sum += weight;
+    }
+
+    return vec4f(sum / weight_sum, 0.0, 0.0, 1.0);
+}
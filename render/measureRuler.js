@@ -0,0 +1,127 @@
+// Screen distance the ruler aims to leave between labeled ticks.
+const TARGET_TICK_PIXELS = 80
+// A screen axis within this of a world axis gets that axis's coordinates.
+const ALIGNED = 0.999
+const axisNames = ['x', 'y', 'z']
+
+// The 1, 2 or 5 times a power of ten at or above `value`.
+export function niceStep(value) {
+    const power = 10 ** Math.floor(Math.log10(value))
+    const mantissa = value / power
+    return (mantissa <= 1 ? 1 : mantissa <= 2 ? 2 : mantissa <= 5 ? 5 : 10) * power
+}
+
+function formatTick(value, step) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)))
+    return value.toFixed(decimals)
+}
+
+function alignedAxis(direction) {
+    const axis = direction.findIndex((component) => Math.abs(component) > ALIGNED)
+    return axis >= 0 ? axis : null
+}
+
+/**
+ * Rulers along the bottom and left edges of an orthographic view, labeled in
+ * simulation coordinates when that screen edge lines up with a world axis,
+ * plus a scale bar. Drawn on a 2D canvas over the WebGPU one.
+ */
+export class MeasureRuler {
+    constructor(parent = document.body) {
+        this.canvas = document.createElement('canvas')
+        Object.assign(this.canvas.style, {
+            position: 'fixed',
+            pointerEvents: 'none',
+            zIndex: '50',
+            display: 'none',
+        })
+        parent.appendChild(this.canvas)
+    }
+
+    setVisible(visible) {
+        this.canvas.style.display = visible ? 'block' : 'none'
+    }
+
+    /**
+     * `rect` is the view's client rectangle, `unitsPerPixel` its world units
+     * per CSS pixel, `center` the simulation point at the middle of the
+     * screen and `right` and `up` the screen directions in world space.
+     */
+    update({ rect, unitsPerPixel, center, right, up }) {
+        const scale = window.devicePixelRatio || 1
+        Object.assign(this.canvas.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+        })
+        const width = Math.round(rect.width * scale)
+        const height = Math.round(rect.height * scale)
+        // Resizing reallocates the canvas, so only do it when the view changed size.
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width
+            this.canvas.height = height
+        }
+
+        const context = this.canvas.getContext('2d')
+        context.setTransform(scale, 0, 0, scale, 0, 0)
+        context.clearRect(0, 0, rect.width, rect.height)
+        context.font = '11px monospace'
+        context.lineWidth = 1
+        context.strokeStyle = 'rgba(0, 0, 0, 0.8)'
+        context.fillStyle = 'rgba(0, 0, 0, 0.85)'
+
+        const step = niceStep(unitsPerPixel * TARGET_TICK_PIXELS)
+        const horizontal = alignedAxis(right)
+        if (horizontal !== null) {
+            // Screen x of the world coordinate `value` along the aligned axis.
+            const toScreen = (value) => rect.width / 2 + (value - center[horizontal]) / (right[horizontal] * unitsPerPixel)
+            this.drawTicks(step, toScreen, rect.width, (position, label) => {
+                context.beginPath()
+                context.moveTo(position + 0.5, rect.height)
+                context.lineTo(position + 0.5, rect.height - 10)
+                context.stroke()
+                context.fillText(label, position + 3, rect.height - 12)
+            })
+            context.fillText(`${axisNames[horizontal]} ${right[horizontal] > 0 ? '→' : '←'}`, rect.width / 2, rect.height - 28)
+        }
+        const vertical = alignedAxis(up)
+        if (vertical !== null) {
+            const toScreen = (value) => rect.height / 2 - (value - center[vertical]) / (up[vertical] * unitsPerPixel)
+            this.drawTicks(step, toScreen, rect.height, (position, label) => {
+                context.beginPath()
+                context.moveTo(0, position + 0.5)
+                context.lineTo(10, position + 0.5)
+                context.stroke()
+                context.fillText(label, 12, position + 4)
+            })
+            context.fillText(`${axisNames[vertical]} ${up[vertical] > 0 ? '↑' : '↓'}`, 12, 16)
+        }
+
+        const barPixels = step / unitsPerPixel
+        const barRight = rect.width - 16
+        const barY = rect.height - 28
+        context.fillRect(barRight - barPixels, barY, barPixels, 3)
+        context.textAlign = 'right'
+        context.fillText(`${formatTick(step, step)} units`, barRight, barY - 4)
+        context.textAlign = 'left'
+    }
+
+    // Calls `draw(screenPosition, label)` for each multiple of `step` on screen.
+    drawTicks(step, toScreen, length, draw) {
+        const ends = [toScreen(0), toScreen(step)]
+        const pixelsPerStep = Math.abs(ends[1] - ends[0])
+        // World coordinates at the two ends of the edge, in either order.
+        const a = -ends[0] / (ends[1] - ends[0]) * step
+        const b = (length - ends[0]) / (ends[1] - ends[0]) * step
+        const first = Math.ceil(Math.min(a, b) / step)
+        const last = Math.floor(Math.max(a, b) / step)
+        if (pixelsPerStep <= 0 || last - first > length) {
+            return
+        }
+        for (let i = first; i <= last; i++) {
+            const value = i * step
+            draw(toScreen(value), formatTick(value, step))
+        }
+    }
+}
@@ -0,0 +1,219 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) sim_position: vec3f,
+    @location(1) @interpolate(flat) obstacle_index: u32,
+}
+
+struct FragmentOutput {
+    @location(0) frag_color: vec4f,
+    @builtin(frag_depth) frag_depth: f32,
+}
+
+struct RenderUniforms {
+    texel_size: vec2f,
+    sphere_size: f32,
+    inv_projection_matrix: mat4x4f,
+    projection_matrix: mat4x4f,
+    view_matrix: mat4x4f,
+    inv_view_matrix: mat4x4f,
+    box_size: vec3f,
+    render_z_offset: f32,
+    box_anchor_z: f32,
+}
+
+struct Obstacle {
+    center: vec3f,
+    kind: u32,
+    size: vec3f,
+    friction: f32,
+    sdf_dims: vec3u,
+    sdf_offset: u32,
+    sdf_cell_size: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+struct ObstacleCount {
+    count: u32,
+    pad0: u32,
+    pad1: u32,
+    pad2: u32,
+}
+
+@group(0) @binding(0) var<uniform> uniforms: RenderUniforms;
+@group(0) @binding(1) var<storage, read> obstacles: array<Obstacle>;
+@group(0) @binding(2) var<storage, read> sdf_values: array<f32>;
+
+const MAX_MARCH_STEPS = 96;
+const HIT_DISTANCE = 0.01;
+
+const OBSTACLE_BOX = 0u;
+const OBSTACLE_SPHERE = 1u;
+const OBSTACLE_CYLINDER = 2u;
+const OBSTACLE_MESH = 3u;
+
+fn box_distance(local: vec3f, half_extents: vec3f) -> f32 {
+    let q = abs(local) - half_extents;
+    return length(max(q, vec3f(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
+}
+
+fn sdf_value(obstacle: Obstacle, cell: vec3u) -> f32 {
+    let dims = obstacle.sdf_dims;
+    return sdf_values[obstacle.sdf_offset + cell.x * dims.y * dims.z + cell.y * dims.z + cell.z];
+}
+
+fn mesh_distance(obstacle: Obstacle, local: vec3f) -> f32 {
+    let dims = vec3f(obstacle.sdf_dims);
+    let half_extents = 0.5 * (dims - 1.0) * obstacle.sdf_cell_size;
+    let g = (local + half_extents) / obstacle.sdf_cell_size;
+    if (any(g < vec3f(0.0)) || any(g > dims - 1.0)) {
+        return box_distance(local, half_extents) + 2.0 * obstacle.sdf_cell_size;
+    }
+    let base = vec3u(min(floor(g), dims - 2.0));
+    let t = g - vec3f(base);
+    let c00 = mix(sdf_value(obstacle, base), sdf_value(obstacle, base + vec3u(0u, 0u, 1u)), t.z);
+    let c01 = mix(sdf_value(obstacle, base + vec3u(0u, 1u, 0u)), sdf_value(obstacle, base + vec3u(0u, 1u, 1u)), t.z);
+    let c10 = mix(sdf_value(obstacle, base + vec3u(1u, 0u, 0u)), sdf_value(obstacle, base + vec3u(1u, 0u, 1u)), t.z);
+    let c11 = mix(sdf_value(obstacle, base + vec3u(1u, 1u, 0u)), sdf_value(obstacle, base + vec3u(1u, 1u, 1u)), t.z);
+    return mix(mix(c00, c01, t.y), mix(c10, c11, t.y), t.x);
+}
+
+fn obstacle_distance(obstacle: Obstacle, position: vec3f) -> f32 {
+    let local = position - obstacle.center;
+    switch obstacle.kind {
+        case OBSTACLE_SPHERE: {
+            return length(local) - obstacle.size.x;
+        }
+        case OBSTACLE_CYLINDER: {
+            let d = vec2f(length(local.xz) - obstacle.size.x, abs(local.y) - obstacle.size.y);
+            return min(max(d.x, d.y), 0.0) + length(max(d, vec2f(0.0)));
+        }
+        case OBSTACLE_MESH: {
+            return mesh_distance(obstacle, local);
+        }
+        default: {
+            return box_distance(local, obstacle.size);
+        }
+    }
+}
+
+fn obstacle_normal(obstacle: Obstacle, position: vec3f) -> vec3f {
+    let e = vec2f(0.25, 0.0);
+    let gradient = vec3f(
+        obstacle_distance(obstacle, position + e.xyy) - obstacle_distance(obstacle, position - e.xyy),
+        obstacle_distance(obstacle, position + e.yxy) - obstacle_distance(obstacle, position - e.yxy),
+        obstacle_distance(obstacle, position + e.yyx) - obstacle_distance(obstacle, position - e.yyx)
+    );
+    let gradient_length = length(gradient);
+    if (gradient_length < 1e-6) {
+        return vec3f(0.0, 1.0, 0.0);
+    }
+    return gradient / gradient_length;
+}
+
+fn obstacle_half_extents(obstacle: Obstacle) -> vec3f {
+    switch obstacle.kind {
+        case OBSTACLE_SPHERE: {
+            return vec3f(obstacle.size.x);
+        }
+        case OBSTACLE_CYLINDER: {
+            return obstacle.size.xyx;
+        }
+        case OBSTACLE_MESH: {
+            return 0.5 * (vec3f(obstacle.sdf_dims) - 1.0) * obstacle.sdf_cell_size;
+        }
+        default: {
+            return obstacle.size;
+        }
+    }
+}
+
+fn cube_corner(vertex_index: u32) -> vec3f {
+    var corners = array<vec3f, 8>(
+        vec3f(-1.0, -1.0, -1.0),
+        vec3f( 1.0, -1.0, -1.0),
+        vec3f( 1.0,  1.0, -1.0),
+        vec3f(-1.0,  1.0, -1.0),
+        vec3f(-1.0, -1.0,  1.0),
+        vec3f( 1.0, -1.0,  1.0),
+        vec3f( 1.0,  1.0,  1.0),
+        vec3f(-1.0,  1.0,  1.0),
+    );
+    var indices = array<u32, 36>(
+        0u, 2u, 1u, 0u, 3u, 2u,
+        4u, 5u, 6u, 4u, 6u, 7u,
+        0u, 1u, 5u, 0u, 5u, 4u,
+        3u, 6u, 2u, 3u, 7u, 6u,
+        0u, 4u, 7u, 0u, 7u, 3u,
+        1u, 2u, 6u, 1u, 6u, 5u,
+    );
+    return corners[indices[vertex_index]];
+}
+
+// The proxy cube only bounds the obstacle; the surface itself is ray marched
+// through the same distance function the grid update collides against.
+@vertex
+fn vs(
+    @builtin(vertex_index) vertex_index: u32,
+    @builtin(instance_index) instance_index: u32
+) -> VertexOutput {
+    let obstacle = obstacles[instance_index];
+    let half_extents = obstacle_half_extents(obstacle) + vec3f(0.05);
+    let sim_position = obstacle.center + cube_corner(vertex_index) * half_extents;
+    let world_position = sim_position + vec3f(0.0, 0.0, uniforms.render_z_offset);
+    let clip_position = uniforms.projection_matrix * uniforms.view_matrix * vec4f(world_position, 1.0);
+    return VertexOutput(clip_position, sim_position, instance_index);
+}
+
+@fragment
+fn fs(input: VertexOutput) -> FragmentOutput {
+    var out: FragmentOutput;
+    let obstacle = obstacles[input.obstacle_index];
+    let camera_position = uniforms.inv_view_matrix[3].xyz - vec3f(0.0, 0.0, uniforms.render_z_offset);
+    let ray_direction = normalize(input.sim_position - camera_position);
+
+    let half_extents = obstacle_half_extents(obstacle) + vec3f(0.05);
+    let inv_direction = 1.0 / ray_direction;
+    let t_a = (obstacle.center - half_extents - camera_position) * inv_direction;
+    let t_b = (obstacle.center + half_extents - camera_position) * inv_direction;
+    let t_min = min(t_a, t_b);
+    let t_max = max(t_a, t_b);
+    let t_enter = max(max(t_min.x, max(t_min.y, t_min.z)), 0.0);
+    let t_exit = min(t_max.x, min(t_max.y, t_max.z));
+
+    var t = t_enter;
+    var hit = false;
+    for (var step = 0; step < MAX_MARCH_STEPS; step++) {
+        let distance = obstacle_distance(obstacle, camera_position + ray_direction * t);
+        if (distance < HIT_DISTANCE) {
+            hit = true;
+            break;
+        }
+        t += distance;
+        if (t > t_exit) {
+            break;
+        }
+    }
+    if (!hit) {
+        discard;
+    }
+
+    let hit_position = camera_position + ray_direction * t;
+    let normal = obstacle_normal(obstacle, hit_position);
+    let light_a = normalize(vec3f(0.46, 0.82, 0.34));
+    let light_b = normalize(vec3f(-0.56, 0.22, 0.80));
+    let ambient = 0.32;
+    let diffuse = max(0.0, dot(normal, light_a)) * 0.85 + max(0.0, dot(normal, light_b)) * 0.3;
+    let half_vector = normalize(light_a - ray_direction);
+    let specular = pow(max(0.0, dot(normal, half_vector)), 24.0) * 0.08;
+
+    // Rougher obstacles read darker so friction is visible at a glance.
+    let base_color = mix(vec3f(0.62, 0.60, 0.56), vec3f(0.36, 0.33, 0.30), clamp(obstacle.friction, 0.0, 1.0));
+    out.frag_color = vec4f(base_color * (ambient + diffuse) + vec3f(specular), 1.0);
+
+    let world_hit = hit_position + vec3f(0.0, 0.0, uniforms.render_z_offset);
+    let clip_position = uniforms.projection_matrix * uniforms.view_matrix * vec4f(world_hit, 1.0);
+    out.frag_depth = clip_position.z / clip_position.w;
+    return out;
+}
@@ -0,0 +1,73 @@
+struct VertexOutput {
+    @builtin(position) position: vec4f,
+    @location(0) uv: vec2f,
+}
+
+struct FragmentInput {
+    @location(0) uv: vec2f,
+}
+
+struct RenderUniforms {
+    texel_size: vec2f,
+    sphere_size: f32,
+    inv_projection_matrix: mat4x4f,
+    projection_matrix: mat4x4f,
+    view_matrix: mat4x4f,
+    inv_view_matrix: mat4x4f,
+    box_size: vec3f,
+    render_z_offset: f32,
+    box_anchor_z: f32,
+}
+
+struct PosVel {
+    position: vec3f,
+    density: f32,
+    v: vec3f,
+    source: f32,
+    material: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+@group(0) @binding(0) var<storage> particles: array<PosVel>;
+@group(0) @binding(1) var<uniform> uniforms: RenderUniforms;
+@group(0) @binding(4) var<storage> visible_indices: array<u32>;
+
+@vertex
+fn vs(
+    @builtin(vertex_index) vertex_index: u32,
+    @builtin(instance_index) instance_index: u32
+) -> VertexOutput {
+    var corner_positions = array(
+        vec2( 0.5,  0.5),
+        vec2( 0.5, -0.5),
+        vec2(-0.5, -0.5),
+        vec2( 0.5,  0.5),
+        vec2(-0.5, -0.5),
+        vec2(-0.5,  0.5),
+    );
+
+    let corner = vec3(corner_positions[vertex_index] * uniforms.sphere_size, 0.0);
+    let uv = corner_positions[vertex_index] + 0.5;
+
+    let particle_index = visible_indices[instance_index];
+    let real_position = particles[particle_index].position + vec3f(0.0, 0.0, uniforms.render_z_offset);
+    let view_position = (uniforms.view_matrix * vec4f(real_position, 1.0)).xyz;
+
+    let out_position = uniforms.projection_matrix * vec4f(view_position + corner, 1.0);
+
+    return VertexOutput(out_position, uv);
+}
+
+@fragment
+fn fs(input: FragmentInput) -> @location(0) vec4f {
+    var normalxy: vec2f = input.uv * 2.0 - 1.0;
+    var r2: f32 = dot(normalxy, normalxy);
+    if (r2 > 1.0) {
+        discard;
+    }
+
+    let thickness = sqrt(1.0 - r2) * uniforms.sphere_size;
+    return vec4f(thickness, 0.0, 0.0, 1.0);
+}
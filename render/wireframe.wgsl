@@ -1,14 +1,10 @@
 struct VertexOutput {
     @builtin(position) position: vec4f,
-    @location(0) uv: vec2f,
-    @location(1) view_position: vec3f,
-    @location(2) speed: f32,
+    @location(0) color_t: f32,
 }
 
 struct FragmentInput {
-    @location(0) uv: vec2f,
-    @location(1) view_position: vec3f,
-    @location(2) speed: f32,
+    @location(0) color_t: f32,
 }
 
 struct FragmentOutput {
@@ -29,88 +25,73 @@ struct RenderUniforms {
 
 struct PosVel {
     position: vec3f,
+    density: f32,
     v: vec3f,
+    source: f32,
+    material: f32,
+    pad0: f32,
+    pad1: f32,
+    pad2: f32,
+}
+
+struct ColorUniforms {
+    color_attribute: u32,
+    range_min: f32,
+    range_max: f32,
+    pad0: f32,
 }
 
 @group(0) @binding(0) var<storage> particles: array<PosVel>;
 @group(0) @binding(1) var<uniform> uniforms: RenderUniforms;
+@group(0) @binding(2) var<uniform> color_uniforms: ColorUniforms;
+@group(0) @binding(3) var color_map: texture_2d<f32>;
+@group(0) @binding(4) var<storage> visible_indices: array<u32>;
+
+const NUM_SEGMENTS = 48u;
 
+// Drawn as a line list of 2 * NUM_SEGMENTS vertices: the first half pairs up
+// segments 0-1, 2-3, ... and the second half 1-2, 3-4, ..., closing the circle.
 @vertex
 fn vs(
     @builtin(vertex_index) vertex_index: u32,
     @builtin(instance_index) instance_index: u32
 ) -> VertexOutput {
-    let num_segments = 48u;
-    let segment_index = vertex_index % num_segments;
-    let next_segment_index = (segment_index + 1u) % num_segments;
+    let segment_index = (vertex_index + vertex_index / NUM_SEGMENTS) % NUM_SEGMENTS;
+    let angle = f32(segment_index) * 2.0 * 3.14159 / f32(NUM_SEGMENTS);
+    let corner = vec3f(cos(angle), sin(angle), 0.0) * uniforms.sphere_size * 0.5;
 
-    let line_vertex = vertex_index / num_segments;
-
-    let angle = f32(segment_index) * 2.0 * 3.14159 / f32(num_segments);
-    let next_angle = f32(next_segment_index) * 2.0 * 3.14159 / f32(num_segments);
-
-    var corner: vec2f;
-    if (line_vertex == 0u) {
-        corner = vec2f(cos(angle), sin(angle)) * uniforms.sphere_size;
-    } else {
-        corner = vec2f(cos(next_angle), sin(next_angle)) * uniforms.sphere_size;
-    }
-
-    let uv = corner / uniforms.sphere_size * 0.5 + 0.5;
-
-    let real_position = particles[instance_index].position + vec3f(0.0, 0.0, uniforms.render_z_offset);
+    let particle_index = visible_indices[instance_index];
+    let real_position = particles[particle_index].position + vec3f(0.0, 0.0, uniforms.render_z_offset);
     let view_position = (uniforms.view_matrix * vec4f(real_position, 1.0)).xyz;
 
-    let out_position = uniforms.projection_matrix * vec4f(view_position + vec3f(corner, 0.0), 1.0);
+    let out_position = uniforms.projection_matrix * vec4f(view_position + corner, 1.0);
 
-    let speed = sqrt(dot(particles[instance_index].v, particles[instance_index].v));
+    let range = max(color_uniforms.range_max - color_uniforms.range_min, 1e-6);
+    let color_t = clamp((color_value(particles[particle_index]) - color_uniforms.range_min) / range, 0.0, 1.0);
 
-    return VertexOutput(out_position, uv, view_position, speed);
+    return VertexOutput(out_position, color_t);
 }
 
-fn value_to_color(value: f32) -> vec3<f32> {
-    let col0 = vec3f(0.05, 0.0, 0.15);
-    let col1 = vec3f(0.4, 0.1, 0.6);
-    let col2 = vec3f(0.8, 0.2, 0.9);
-    let col3 = vec3f(1.0, 0.4, 0.2);
-    let col4 = vec3f(1.0, 0.9, 0.1);
-    let col5 = vec3f(1.0, 0.0, 0.0);
-
-    let shimmer = sin(value * 20.0) * 0.1;
-
-    var base_color: vec3f;
-
-    if (0 <= value && value < 0.15) {
-        let t = value / 0.15;
-        base_color = mix(col0, col1, t);
-    } else if (0.15 <= value && value < 0.35) {
-        let t = (value - 0.15) / 0.2;
-        base_color = mix(col1, col2, t);
-    } else if (0.35 <= value && value < 0.55) {
-        let t = (value - 0.35) / 0.2;
-        base_color = mix(col2, col3, t);
-    } else if (0.55 <= value && value < 0.8) {
-        let t = (value - 0.55) / 0.25;
-        base_color = mix(col3, col4, t);
-    } else {
-        let t = (value - 0.8) / 0.2;
-        base_color = mix(col4, col5, t);
+fn color_value(particle: PosVel) -> f32 {
+    switch color_uniforms.color_attribute {
+        case 1u: { return particle.v.x; }
+        case 2u: { return particle.v.y; }
+        case 3u: { return particle.v.z; }
+        case 4u: { return particle.position.y; }
+        case 5u: { return particle.density; }
+        case 6u: { return particle.source; }
+        case 7u: { return particle.material; }
+        default: { return length(particle.v); }
     }
-
-    if (value > 0.7) {
-        let intensity = (value - 0.7) / 0.3;
-        base_color += vec3f(shimmer * intensity, shimmer * intensity * 0.5, shimmer * intensity * 0.2);
-    }
-
-    return clamp(base_color, vec3f(0.0), vec3f(1.0));
 }
 
 @fragment
 fn fs(input: FragmentInput) -> FragmentOutput {
     var out: FragmentOutput;
 
-    var color: vec3f = value_to_color(input.speed / 1.5);
-    out.frag_color = vec4f(color, 1.0);
+    let lut_size = textureDimensions(color_map).x;
+    let lut_index = min(u32(input.color_t * f32(lut_size - 1u) + 0.5), lut_size - 1u);
+    out.frag_color = vec4f(textureLoad(color_map, vec2u(lut_index, 0u), 0).rgb, 1.0);
 
     return out;
 }
@@ -0,0 +1,317 @@
+import { maxObstacles, obstacleKinds } from './mls-mpm/obstacles.js?v=20261019j';
+import { drainShapes, emitterShapes, maxDrains, maxEmitters } from './mls-mpm/emitters.js?v=20261020l';
+import { pistonAxes, pistonProfiles } from './mls-mpm/pistonDriver.js?v=20261020o';
+import { maxPhases } from './mls-mpm/phases.js?v=20261019o';
+import { cameraEasingNames } from './cameraPath.js?v=20261019w';
+
+export const SCENE_FORMAT = 'webgpu-ocean-scene';
+// Bump when the schema gains a field, so an older build rejects the file instead
+// of loading it without that field. Version 2 added piston profiles, axis and time,
+// time stepping, camera paths and projections, obstacles, emitters, drains and
+// phase indices. Fields added since version 1 are optional, so those files still load.
+export const SCENE_VERSION = 2;
+const OLDEST_SCENE_VERSION = 1;
+
+const CAMERA_MODES = ['orbit', 'coolcal'];
+const CAMERA_PROJECTIONS = ['perspective', 'orthographic'];
+
+function describe(value) {
+    if (value === undefined) return 'nothing';
+    if (typeof value === 'string') return `"${value}"`;
+    return JSON.stringify(value);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+class SceneChecker {
+    constructor() {
+        this.errors = [];
+    }
+
+    fail(path, message, value) {
+        this.errors.push(`${path} ${message} (got ${describe(value)})`);
+    }
+
+    object(value, path) {
+        if (!isPlainObject(value)) {
+            this.fail(path, 'must be an object', value);
+            return false;
+        }
+        return true;
+    }
+
+    number(value, path, [min, max] = [-Infinity, Infinity]) {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            this.fail(path, 'must be a number', value);
+        } else if (value < min || value > max) {
+            this.fail(path, `must be between ${min} and ${max}`, value);
+        }
+    }
+
+    integer(value, path, range) {
+        if (!Number.isInteger(value)) {
+            this.fail(path, 'must be an integer', value);
+        } else {
+            this.number(value, path, range);
+        }
+    }
+
+    boolean(value, path) {
+        if (typeof value !== 'boolean') {
+            this.fail(path, 'must be true or false', value);
+        }
+    }
+
+    oneOf(value, path, options) {
+        if (!options.includes(value)) {
+            this.fail(path, `must be one of ${options.map(describe).join(', ')}`, value);
+        }
+    }
+
+    vector(value, path, length = 3) {
+        if (!Array.isArray(value) || value.length !== length || !value.every((x) => typeof x === 'number' && Number.isFinite(x))) {
+            this.fail(path, `must be an array of ${length} numbers`, value);
+            return false;
+        }
+        return true;
+    }
+}
+
+/**
+ * Limits come from the grid the simulator was allocated with, so main.js passes
+ * its own box constants; the defaults only guard against nonsense values.
+ */
+export function validateScene(scene, limits = {}) {
+    const {
+        maxBoxWidth = Infinity,
+        maxBoxHeight = Infinity,
+        minBoxLength = 1,
+        maxBoxLength = Infinity,
+        maxParticles = Infinity,
+    } = limits;
+    const check = new SceneChecker();
+
+    if (!check.object(scene, 'scene')) {
+        return check.errors;
+    }
+    if (scene.format !== SCENE_FORMAT) {
+        check.fail('format', `must be "${SCENE_FORMAT}"`, scene.format);
+    }
+    if (!Number.isInteger(scene.version) || scene.version < OLDEST_SCENE_VERSION || scene.version > SCENE_VERSION) {
+        check.fail('version', `must be ${OLDEST_SCENE_VERSION} to ${SCENE_VERSION}; this build cannot read other scene versions`, scene.version);
+    }
+
+    if (check.object(scene.box, 'box')) {
+        check.number(scene.box.width, 'box.width', [10, maxBoxWidth]);
+        check.number(scene.box.height, 'box.height', [10, maxBoxHeight]);
+        check.number(scene.box.length, 'box.length', [minBoxLength, maxBoxLength]);
+    }
+
+    if (check.object(scene.fluid, 'fluid')) {
+        check.integer(scene.fluid.particleCount, 'fluid.particleCount', [1, maxParticles]);
+        check.number(scene.fluid.seedLength, 'fluid.seedLength', [0, maxBoxLength]);
+        if (scene.fluid.regions !== undefined) {
+            if (!Array.isArray(scene.fluid.regions)) {
+                check.fail('fluid.regions', 'must be an array', scene.fluid.regions);
+            } else {
+                scene.fluid.regions.forEach((region, index) => {
+                    const path = `fluid.regions[${index}]`;
+                    if (!check.object(region, path)) return;
+                    const hasMin = check.vector(region.min, `${path}.min`);
+                    const hasMax = check.vector(region.max, `${path}.max`);
+                    if (hasMin && hasMax && region.min.some((value, axis) => value >= region.max[axis])) {
+                        check.fail(path, 'must have min below max on every axis', region);
+                    }
+                    checkPhaseIndex(check, region.material, `${path}.material`);
+                });
+            }
+        }
+    }
+
+    if (check.object(scene.piston, 'piston')) {
+        check.boolean(scene.piston.enabled, 'piston.enabled');
+        check.number(scene.piston.minLength, 'piston.minLength', [0, maxBoxLength]);
+        check.number(scene.piston.period, 'piston.period', [0.5, 3600]);
+        check.number(scene.piston.power, 'piston.power', [0, 2]);
+        check.number(scene.piston.pushWidth, 'piston.pushWidth', [0.5, 8]);
+        check.number(scene.piston.phase, 'piston.phase');
+        if (scene.piston.time !== undefined) {
+            check.number(scene.piston.time, 'piston.time', [0, Infinity]);
+        }
+        checkPistonProfile(check, scene.piston, maxBoxWidth);
+    }
+
+    if (check.object(scene.material, 'material')) {
+        check.number(scene.material.stiffness, 'material.stiffness', [0, 100]);
+        check.number(scene.material.restDensity, 'material.restDensity', [0.1, 100]);
+        check.number(scene.material.viscosity, 'material.viscosity', [0, 10]);
+        check.number(scene.material.gravity, 'material.gravity', [-10, 10]);
+        check.number(scene.material.dt, 'material.dt', [0.001, 1]);
+    }
+
+    // Time stepping came after the first scene files; without it the defaults apply.
+    if (scene.timeStep !== undefined && check.object(scene.timeStep, 'timeStep')) {
+        check.boolean(scene.timeStep.adaptive, 'timeStep.adaptive');
+        check.number(scene.timeStep.cfl, 'timeStep.cfl', [0.01, 2]);
+        check.integer(scene.timeStep.maxSubsteps, 'timeStep.maxSubsteps', [1, 64]);
+        check.number(scene.timeStep.simTimePerSecond, 'timeStep.simTimePerSecond', [0.1, 1000]);
+    }
+
+    checkCameraPose(check, scene.camera, 'camera');
+
+    // Camera paths came after the first scene files; a scene without one has no flythrough.
+    if (scene.cameraPath !== undefined && check.object(scene.cameraPath, 'cameraPath')) {
+        const { loop, keyframes } = scene.cameraPath;
+        if (loop !== undefined) {
+            check.boolean(loop, 'cameraPath.loop');
+        }
+        if (keyframes === undefined) {
+            check.fail('cameraPath.keyframes', 'must be an array', keyframes);
+        }
+        checkList(check, keyframes, 'cameraPath.keyframes', Infinity, (keyframe, path) => {
+            if (!check.object(keyframe, path)) return;
+            check.number(keyframe.time, `${path}.time`, [0, Infinity]);
+            check.oneOf(keyframe.easing, `${path}.easing`, cameraEasingNames);
+            checkCameraPose(check, keyframe.pose, `${path}.pose`);
+        });
+        if (Array.isArray(keyframes) && keyframes.some((keyframe, index) => index > 0 && !(keyframe?.time > keyframes[index - 1]?.time))) {
+            check.fail('cameraPath.keyframes', 'must have increasing times', keyframes.map((keyframe) => keyframe?.time));
+        }
+    }
+
+    checkList(check, scene.obstacles, 'obstacles', maxObstacles, (obstacle, path) => checkObstacle(check, obstacle, path));
+
+    checkList(check, scene.emitters, 'emitters', maxEmitters, (emitter, path) => {
+        if (!check.object(emitter, path)) return;
+        check.oneOf(emitter.shape, `${path}.shape`, emitterShapes);
+        check.vector(emitter.center, `${path}.center`);
+        checkPositiveSize(check, emitter.size, `${path}.size`);
+        check.vector(emitter.velocity, `${path}.velocity`);
+        check.number(emitter.rate, `${path}.rate`, [0, maxParticles]);
+        checkPhaseIndex(check, emitter.material, `${path}.material`);
+    });
+
+    checkList(check, scene.drains, 'drains', maxDrains, (drain, path) => {
+        if (!check.object(drain, path)) return;
+        check.oneOf(drain.shape, `${path}.shape`, drainShapes);
+        check.vector(drain.center, `${path}.center`);
+        checkPositiveSize(check, drain.size, `${path}.size`);
+    });
+
+    return check.errors;
+}
+
+function checkCameraPose(check, pose, path) {
+    if (!check.object(pose, path)) return;
+    check.oneOf(pose.mode, `${path}.mode`, CAMERA_MODES);
+    check.vector(pose.target, `${path}.target`);
+    check.number(pose.distance, `${path}.distance`, [0, Infinity]);
+    check.number(pose.xTheta, `${path}.xTheta`);
+    check.number(pose.yTheta, `${path}.yTheta`);
+    check.vector(pose.position, `${path}.position`);
+    check.number(pose.yaw, `${path}.yaw`);
+    check.number(pose.pitch, `${path}.pitch`);
+    // Orthographic views came after the first scene files; without them the pose is perspective.
+    if (pose.projection !== undefined) {
+        check.oneOf(pose.projection, `${path}.projection`, CAMERA_PROJECTIONS);
+    }
+    if (pose.orthoScale !== undefined) {
+        check.number(pose.orthoScale, `${path}.orthoScale`, [0.5, Infinity]);
+    }
+}
+
+// Fluid phase indices came after the first scene files; leaving one out means phase 0.
+function checkPhaseIndex(check, value, path) {
+    if (value !== undefined) {
+        check.integer(value, path, [0, maxPhases - 1]);
+    }
+}
+
+// Profile fields came after the first scene files, so each one is optional.
+function checkPistonProfile(check, piston, maxBoxWidth) {
+    if (piston.profile !== undefined) {
+        check.oneOf(piston.profile, 'piston.profile', pistonProfiles);
+    }
+    if (piston.axis !== undefined) {
+        check.oneOf(piston.axis, 'piston.axis', pistonAxes);
+    }
+    if (piston.minWidth !== undefined) {
+        check.number(piston.minWidth, 'piston.minWidth', [0, maxBoxWidth]);
+    }
+    checkList(check, piston.harmonics, 'piston.harmonics', 16, (harmonic, path) => {
+        if (!check.object(harmonic, path)) return;
+        check.number(harmonic.amplitude, `${path}.amplitude`);
+        check.integer(harmonic.multiple, `${path}.multiple`, [1, 64]);
+        check.number(harmonic.phase, `${path}.phase`);
+    });
+    checkList(check, piston.keyframes, 'piston.keyframes', Infinity, (keyframe, path) => {
+        check.vector(keyframe, path, 2);
+    });
+    if (Array.isArray(piston.keyframes) && piston.keyframes.length > 0) {
+        if (piston.keyframes.length < 2) {
+            check.fail('piston.keyframes', 'must have at least two entries', piston.keyframes.length);
+        } else if (piston.keyframes.some((keyframe, index) => index > 0 && !(keyframe[0] > piston.keyframes[index - 1][0]))) {
+            check.fail('piston.keyframes', 'must have increasing times', piston.keyframes.map((keyframe) => keyframe[0]));
+        }
+    }
+}
+
+// Optional array field; `checkItem(item, path)` validates one entry.
+function checkList(check, list, path, maxLength, checkItem) {
+    if (list === undefined) return;
+    if (!Array.isArray(list)) {
+        check.fail(path, 'must be an array', list);
+    } else if (list.length > maxLength) {
+        check.fail(path, `must have at most ${maxLength} entries`, list.length);
+    } else {
+        list.forEach((item, index) => checkItem(item, `${path}[${index}]`));
+    }
+}
+
+function checkPositiveSize(check, size, path) {
+    if (check.vector(size, path) && size.some((value) => value <= 0)) {
+        check.fail(path, 'must be positive on every axis', size);
+    }
+}
+
+function checkObstacle(check, obstacle, path) {
+    if (!check.object(obstacle, path)) return;
+    check.oneOf(obstacle.kind, `${path}.kind`, obstacleKinds);
+    check.vector(obstacle.center, `${path}.center`);
+    checkPositiveSize(check, obstacle.size, `${path}.size`);
+    check.number(obstacle.friction, `${path}.friction`, [0, 2]);
+    if (obstacle.kind !== 'mesh') return;
+
+    if (!check.object(obstacle.mesh, `${path}.mesh`)) return;
+    const { positions, indices } = obstacle.mesh;
+    if (!Array.isArray(positions) || positions.length === 0 || positions.length % 3 !== 0
+        || !positions.every((x) => typeof x === 'number' && Number.isFinite(x))) {
+        check.fail(`${path}.mesh.positions`, 'must be a non-empty array of xyz numbers', positions?.length);
+        return;
+    }
+    const vertexCount = positions.length / 3;
+    if (!Array.isArray(indices) || indices.length === 0 || indices.length % 3 !== 0
+        || !indices.every((i) => Number.isInteger(i) && i >= 0 && i < vertexCount)) {
+        check.fail(`${path}.mesh.indices`, `must be triangles of vertex indices below ${vertexCount}`, indices?.length);
+    }
+}
+
+export function serializeScene(scene) {
+    return JSON.stringify(scene, null, 2);
+}
+
+export function parseScene(text, limits) {
+    let scene;
+    try {
+        scene = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Scene file is not valid JSON: ${error.message}`);
+    }
+    const errors = validateScene(scene, limits);
+    if (errors.length > 0) {
+        throw new Error(`Scene file is invalid:\n- ${errors.join('\n- ')}`);
+    }
+    return scene;
+}
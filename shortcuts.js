@@ -0,0 +1,343 @@
+import { isTypingTarget } from './input.js?v=20261019x'
+
+// Bump when the meaning of a stored binding changes.
+const STORAGE_VERSION = 1
+const STORAGE_KEY = 'webgpu-ocean.shortcuts'
+
+const modifierCodes = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight']
+const modifierPrefixes = [['ctrlKey', 'Ctrl'], ['altKey', 'Alt'], ['shiftKey', 'Shift'], ['metaKey', 'Meta']]
+
+const keyNames = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    ShiftLeft: 'Left Shift',
+    ShiftRight: 'Right Shift',
+    ControlLeft: 'Left Ctrl',
+    ControlRight: 'Right Ctrl',
+    AltLeft: 'Left Alt',
+    AltRight: 'Right Alt',
+    MetaLeft: 'Left Meta',
+    MetaRight: 'Right Meta',
+    Escape: 'Esc',
+    Slash: '/',
+    Backslash: '\\',
+    Backquote: '`',
+    Minus: '-',
+    Equal: '=',
+    Comma: ',',
+    Period: '.',
+    Semicolon: ';',
+    Quote: "'",
+    BracketLeft: '[',
+    BracketRight: ']',
+}
+
+/**
+ * A keydown as the string commands are bound to: its KeyboardEvent.code
+ * behind any held modifiers, as in 'Shift+Slash'. A modifier pressed on its
+ * own is just its code.
+ */
+export function keyCombo(event) {
+    if (modifierCodes.includes(event.code)) {
+        return event.code
+    }
+    const prefixes = modifierPrefixes.filter(([flag]) => event[flag]).map(([, name]) => `${name}+`)
+    return prefixes.join('') + event.code
+}
+
+export function keyLabel(combo) {
+    return combo.split('+').map((part) => {
+        if (keyNames[part]) return keyNames[part]
+        if (/^(Key[A-Z]|Digit\d)$/.test(part)) return part.slice(-1)
+        return part
+    }).join(' + ')
+}
+
+// Reading localStorage throws where the page may not use storage.
+function pageStorage() {
+    try {
+        return globalThis.localStorage || null
+    } catch (error) {
+        return null
+    }
+}
+
+// Stored bindings by id, skipping anything that is not a list of key strings.
+function loadBindings(storage) {
+    if (!storage) {
+        return {}
+    }
+    try {
+        const entry = JSON.parse(storage.getItem(STORAGE_KEY))
+        if (!entry || entry.version !== STORAGE_VERSION || !entry.bindings) {
+            return {}
+        }
+        return Object.fromEntries(Object.entries(entry.bindings).filter(([, keys]) =>
+            Array.isArray(keys) && keys.every((key) => typeof key === 'string')))
+    } catch (error) {
+        return {}
+    }
+}
+
+function sameKeys(a, b) {
+    return a.length === b.length && a.every((key, index) => key === b[index])
+}
+
+/**
+ * Every keyboard shortcut in one place. Commands run once per key press and
+ * are bound to key combos; held actions (flying the camera) belong to an
+ * InputMap, which the registry keeps in step, and are bound to plain codes.
+ * A key does one thing: binding it to an action takes it from any other.
+ * Bindings that differ from the defaults are saved to `storage` (localStorage
+ * by default) and restored when the same id is registered again. Key presses
+ * in text fields are left to the field.
+ */
+export class ShortcutRegistry {
+    constructor(target = document, storage = pageStorage()) {
+        this.storage = storage
+        this.saved = loadBindings(storage)
+        // id -> { id, label, group, defaultKeys, keys, run, repeat, input }
+        this.shortcuts = new Map()
+        this.listeners = []
+
+        target.addEventListener('keydown', (event) => {
+            if (isTypingTarget(event.target)) return
+            const shortcut = this.commandFor(keyCombo(event))
+            if (!shortcut || (event.repeat && !shortcut.repeat)) return
+            event.preventDefault()
+            shortcut.run()
+        })
+    }
+
+    /**
+     * Adds a command. `keys` are its default combos; `repeat` lets a held key
+     * run it again at the keyboard's repeat rate.
+     */
+    register(id, { label, group = 'General', keys = [], run, repeat = false }) {
+        this.add({ id, label, group, defaultKeys: [...keys], run, repeat, input: null })
+    }
+
+    // Adds the held actions of `input` named in `labels`, with its current keys as defaults.
+    registerHeld(input, labels, group) {
+        Object.entries(labels).forEach(([id, label]) => {
+            this.add({ id, label, group, defaultKeys: [...(input.keyBindings[id] || [])], run: null, repeat: false, input })
+        })
+    }
+
+    add(shortcut) {
+        this.shortcuts.set(shortcut.id, shortcut)
+        this.setKeys(shortcut, this.saved[shortcut.id] || shortcut.defaultKeys)
+        this.notify()
+    }
+
+    setKeys(shortcut, keys) {
+        shortcut.keys = [...keys]
+        if (shortcut.input) {
+            shortcut.input.bindKeys(shortcut.id, keys)
+        }
+    }
+
+    commandFor(combo) {
+        for (const shortcut of this.shortcuts.values()) {
+            if (shortcut.run && shortcut.keys.includes(combo)) {
+                return shortcut
+            }
+        }
+        return null
+    }
+
+    isHeld(id) {
+        return this.shortcuts.get(id)?.input != null
+    }
+
+    bind(id, keys) {
+        const shortcut = this.shortcuts.get(id)
+        if (!shortcut) {
+            throw new Error(`Unknown shortcut: ${id}`)
+        }
+        this.shortcuts.forEach((other) => {
+            if (other !== shortcut && other.keys.some((key) => keys.includes(key))) {
+                this.setKeys(other, other.keys.filter((key) => !keys.includes(key)))
+            }
+        })
+        this.setKeys(shortcut, keys)
+        this.save()
+        this.notify()
+    }
+
+    resetBindings() {
+        this.shortcuts.forEach((shortcut) => this.setKeys(shortcut, shortcut.defaultKeys))
+        this.save()
+        this.notify()
+    }
+
+    save() {
+        this.saved = {}
+        this.shortcuts.forEach((shortcut) => {
+            if (!sameKeys(shortcut.keys, shortcut.defaultKeys)) {
+                this.saved[shortcut.id] = [...shortcut.keys]
+            }
+        })
+        if (!this.storage) {
+            return
+        }
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, bindings: this.saved }))
+        } catch (error) {
+            // Storage may be full or disabled; the bindings last until the page reloads.
+        }
+    }
+
+    // [{ id, label, group, keys }] in registration order.
+    list() {
+        return [...this.shortcuts.values()].map(({ id, label, group, keys }) => ({ id, label, group, keys: [...keys] }))
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener)
+    }
+
+    notify() {
+        this.listeners.forEach((listener) => listener())
+    }
+}
+
+/**
+ * The registry's actions and keys in a panel over the page. Clicking a
+ * binding waits for the next key press and makes it that action's only key;
+ * Backspace clears it and Esc cancels. Esc or a click outside closes the
+ * panel. Styles are inline, like the other overlays.
+ */
+export class ShortcutOverlay {
+    constructor(registry, parent = document.body) {
+        this.registry = registry
+        this.capturing = null
+        this.visible = false
+
+        this.element = document.createElement('div')
+        Object.assign(this.element.style, {
+            position: 'fixed',
+            inset: '0',
+            background: 'rgba(0, 0, 0, 0.4)',
+            zIndex: '200',
+            display: 'none',
+            alignItems: 'center',
+            justifyContent: 'center',
+        })
+        this.panel = document.createElement('div')
+        Object.assign(this.panel.style, {
+            maxHeight: '80vh',
+            overflowY: 'auto',
+            minWidth: '320px',
+            padding: '10px 14px',
+            background: 'rgba(20, 20, 20, 0.92)',
+            color: '#fff',
+            font: '12px monospace',
+            borderRadius: '4px',
+        })
+        this.element.appendChild(this.panel)
+        parent.appendChild(this.element)
+
+        this.element.addEventListener('pointerdown', (event) => {
+            if (event.target === this.element) {
+                this.setVisible(false)
+            }
+        })
+        // Capture on window so a key being bound never reaches the shortcuts themselves.
+        window.addEventListener('keydown', (event) => this.handleKey(event), true)
+        registry.onChange(() => {
+            if (this.visible) this.render()
+        })
+    }
+
+    toggle() {
+        this.setVisible(!this.visible)
+    }
+
+    setVisible(visible) {
+        this.visible = visible
+        this.capturing = null
+        this.element.style.display = visible ? 'flex' : 'none'
+        if (visible) {
+            this.render()
+        }
+    }
+
+    handleKey(event) {
+        if (!this.visible) return
+        if (this.capturing === null) {
+            if (event.code === 'Escape') {
+                event.preventDefault()
+                event.stopPropagation()
+                this.setVisible(false)
+            }
+            return
+        }
+        // A command waits for the key a modifier is held with.
+        const held = this.registry.isHeld(this.capturing)
+        if (!held && modifierCodes.includes(event.code)) return
+        event.preventDefault()
+        event.stopPropagation()
+        const id = this.capturing
+        this.capturing = null
+        if (event.code === 'Escape') {
+            this.render()
+        } else if (event.code === 'Backspace' || event.code === 'Delete') {
+            this.registry.bind(id, [])
+        } else {
+            this.registry.bind(id, [held ? event.code : keyCombo(event)])
+        }
+    }
+
+    render() {
+        const title = document.createElement('div')
+        title.textContent = 'Keyboard shortcuts'
+        Object.assign(title.style, { fontWeight: 'bold', marginBottom: '6px' })
+        const rows = []
+        let group = null
+        this.registry.list().forEach((shortcut) => {
+            if (shortcut.group !== group) {
+                group = shortcut.group
+                const heading = document.createElement('div')
+                heading.textContent = group
+                Object.assign(heading.style, { color: '#9cf', margin: '8px 0 2px' })
+                rows.push(heading)
+            }
+            rows.push(this.createRow(shortcut))
+        })
+
+        const footer = document.createElement('div')
+        Object.assign(footer.style, { marginTop: '10px', color: '#aaa' })
+        footer.textContent = 'Click a key to change it; Backspace clears, Esc cancels. '
+        const reset = document.createElement('button')
+        reset.textContent = 'Reset to defaults'
+        reset.addEventListener('click', () => {
+            this.capturing = null
+            this.registry.resetBindings()
+        })
+        footer.appendChild(reset)
+
+        this.panel.replaceChildren(title, ...rows, footer)
+    }
+
+    createRow(shortcut) {
+        const row = document.createElement('div')
+        Object.assign(row.style, { display: 'flex', alignItems: 'center', gap: '12px', lineHeight: '20px' })
+        const label = document.createElement('span')
+        label.style.flex = '1'
+        label.textContent = shortcut.label
+        const keys = document.createElement('button')
+        Object.assign(keys.style, { font: 'inherit', minWidth: '90px' })
+        keys.textContent = this.capturing === shortcut.id
+            ? 'press a key…'
+            : shortcut.keys.map(keyLabel).join(', ') || '—'
+        keys.addEventListener('click', () => {
+            this.capturing = shortcut.id
+            this.render()
+        })
+        row.append(label, keys)
+        return row
+    }
+}
@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PistonDriver, initialPistonPhase, parsePistonTable } from '../mls-mpm/pistonDriver.js';
+
+const box = [100, 190, 200];
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} is not ${expected}`);
+
+function driverAt(profile, cycles) {
+    const driver = new PistonDriver();
+    driver.profile = profile;
+    driver.phase = initialPistonPhase + cycles * 2 * Math.PI;
+    return driver;
+}
+
+test('tables parse CSV, whitespace and semicolons with an optional header', () => {
+    assert.deepEqual(parsePistonTable('time,extent\n0,200\n1.5,150\n'), [[0, 200], [1.5, 150]]);
+    assert.deepEqual(parsePistonTable('# wave maker\n\n0\t200\n1 180\n2;160\r\n'), [[0, 200], [1, 180], [2, 160]]);
+});
+
+test('table errors name the line', () => {
+    assert.throws(() => parsePistonTable('t,e\n0,200\nsoon,150'), /^Error: Piston table line 3: expected "time, extent"$/);
+    assert.throws(() => parsePistonTable('0,200\n1'), /^Error: Piston table line 2: expected "time, extent"$/);
+    assert.throws(() => parsePistonTable('0,200\n1,150\n1,140'), /^Error: Piston table line 3: times must increase$/);
+    assert.throws(() => parsePistonTable('t,e\n0,200'), /^Error: Piston table needs at least two rows$/);
+    assert.throws(() => parsePistonTable(''), /at least two rows/);
+});
+
+test('periodic profiles start open and reach the innermost point half a cycle in', () => {
+    for (const profile of ['sine', 'square']) {
+        close(driverAt(profile, 0).blend(), 1, `${profile} at the start`);
+        close(driverAt(profile, 0.25).blend(), 0.5, `${profile} a quarter cycle in`);
+        close(driverAt(profile, 0.5).blend(), 0, `${profile} half a cycle in`);
+    }
+});
+
+test('harmonics sum their sines scaled by the total amplitude', () => {
+    // The default amplitudes 1, 0.35 and 0.15 give 1 + 0 - 0.15 at the start.
+    close(driverAt('harmonics', 0).blend(), 0.5 + 0.5 * 0.85 / 1.5, 'start');
+    close(driverAt('harmonics', 0.5).blend(), 0.5 - 0.5 * 0.85 / 1.5, 'half a cycle in');
+    // A quarter cycle in, every harmonic is at a zero of its sine.
+    close(driverAt('harmonics', 0.25).blend(), 0.5, 'a quarter cycle in');
+});
+
+test('the square profile holds near its ends', () => {
+    assert.ok(driverAt('square', 0.1).blend() > 0.95);
+    assert.ok(driverAt('square', 0.6).blend() < 0.05);
+});
+
+test('the sawtooth pushes in slowly and returns quickly', () => {
+    close(driverAt('sawtooth', 0).blend(), 1, 'start');
+    close(driverAt('sawtooth', 0.425).blend(), 0.5, 'halfway through the push');
+    close(driverAt('sawtooth', 0.85).blend(), 0, 'end of the push');
+    close(driverAt('sawtooth', 0.925).blend(), 0.5, 'halfway back');
+    close(driverAt('sawtooth', 1).blend(), 1, 'next cycle');
+});
+
+test('the solitary stroke pushes once and stays in', () => {
+    close(driverAt('solitary', 0).blend(), 1, 'start');
+    close(driverAt('solitary', 0.5).blend(), 0.5, 'half a period');
+    close(driverAt('solitary', 1).blend(), 0, 'one period');
+    const later = driverAt('solitary', 3);
+    assert.equal(later.extent(120, 200), 120);
+});
+
+test('harmonics with no amplitude leave the box open', () => {
+    const driver = driverAt('harmonics', 0.3);
+    driver.harmonics = driver.harmonics.map((harmonic) => ({ ...harmonic, amplitude: 0 }));
+    assert.equal(driver.blend(), 1);
+});
+
+test('keyframes interpolate and loop over the table', () => {
+    const driver = new PistonDriver();
+    driver.profile = 'keyframes';
+    driver.keyframes = [[0, 200], [2, 150], [4, 200]];
+    const extentAfter = (seconds) => {
+        driver.restart();
+        return driver.update(seconds, box, 100).realBoxSize[2];
+    };
+    assert.equal(extentAfter(1), 175);
+    assert.equal(extentAfter(3), 175);
+    assert.equal(extentAfter(5), 175);
+    // Extents outside the stroke are clamped to it.
+    driver.keyframes = [[0, 250], [1, 50]];
+    assert.equal(extentAfter(0.5), 150);
+    assert.equal(extentAfter(0.1), 200);
+    assert.equal(extentAfter(0.9), 100);
+});
+
+test('changing the period does not move the keyframe playhead', () => {
+    const driver = new PistonDriver();
+    driver.profile = 'keyframes';
+    driver.keyframes = [[0, 200], [10, 100]];
+    driver.update(3, box, 100);
+    driver.period = 2;
+    const { realBoxSize } = driver.update(1, box, 100);
+    assert.equal(realBoxSize[2], 160);
+});
+
+test('the wall speed is measured over the simulated time', () => {
+    const driver = new PistonDriver();
+    driver.update(0, box, 100);
+    const { realBoxSize, pistonVelocity } = driver.update(1, box, 100, 24);
+    // One second is an eighth of the default eight second sine.
+    close(realBoxSize[2], 100 + 100 * (0.5 + 0.5 * Math.sin(initialPistonPhase + Math.PI / 4)), 'extent');
+    close(pistonVelocity, (realBoxSize[2] - 200) / 24, 'velocity');
+});
+
+test('a disabled piston leaves the box open and still', () => {
+    const driver = new PistonDriver();
+    driver.enabled = false;
+    assert.deepEqual(driver.update(1, box, 100), { realBoxSize: box, pistonVelocity: 0 });
+    assert.equal(driver.phase, initialPistonPhase);
+});
+
+test('seek recovers the time from the phase when none was saved', () => {
+    const driver = new PistonDriver();
+    driver.seek(initialPistonPhase + Math.PI);
+    assert.equal(driver.time, driver.period / 2);
+    driver.seek(initialPistonPhase, 7);
+    assert.equal(driver.time, 7);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCENE_FORMAT, SCENE_VERSION, parseScene, serializeScene, validateScene } from '../scene.js';
+import { maxEmitters } from '../mls-mpm/emitters.js';
+
+const limits = { maxBoxWidth: 100, maxBoxHeight: 190, minBoxLength: 60, maxBoxLength: 220, maxParticles: 400000 };
+
+const pose = { mode: 'orbit', target: [50, 18, 80], distance: 70, xTheta: 0.3, yTheta: -0.4, position: [0, 0, 0], yaw: 0, pitch: 0 };
+const emitter = { shape: 'nozzle', center: [50, 40, 100], size: [3, 3, 3], velocity: [0, 0, -2], rate: 20 };
+
+// The smallest scene this build writes: only the fields version 1 required.
+function minimalScene(overrides = {}) {
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        box: { width: 100, height: 190, length: 160 },
+        fluid: { particleCount: 100000, seedLength: 100 },
+        piston: { enabled: true, minLength: 120, period: 8, power: 0.7, pushWidth: 3, phase: 1.57 },
+        material: { stiffness: 3, restDensity: 4, viscosity: 0.1, gravity: -0.3, dt: 0.2 },
+        camera: { ...pose },
+        ...overrides,
+    };
+}
+
+test('a minimal scene is valid and round-trips through JSON', () => {
+    const scene = minimalScene();
+    assert.deepEqual(validateScene(scene, limits), []);
+    assert.deepEqual(parseScene(serializeScene(scene), limits), scene);
+});
+
+test('version 1 scenes still load', () => {
+    assert.deepEqual(validateScene(minimalScene({ version: 1 }), limits), []);
+});
+
+test('newer, missing and malformed versions are rejected', () => {
+    for (const version of [SCENE_VERSION + 1, 0, undefined, '2', 1.5]) {
+        const errors = validateScene(minimalScene({ version }), limits);
+        assert.equal(errors.length, 1, `version ${version}`);
+        assert.match(errors[0], /^version must be 1 to \d+/);
+    }
+});
+
+test('every bad field gets its own message', () => {
+    const scene = minimalScene({ format: 'other' });
+    scene.box.width = 500;
+    scene.fluid.particleCount = 1.5;
+    scene.piston.enabled = 'yes';
+    scene.camera.mode = 'fly';
+    assert.deepEqual(validateScene(scene, limits), [
+        'format must be "webgpu-ocean-scene" (got "other")',
+        'box.width must be between 10 and 100 (got 500)',
+        'fluid.particleCount must be an integer (got 1.5)',
+        'piston.enabled must be true or false (got "yes")',
+        'camera.mode must be one of "orbit", "coolcal" (got "fly")',
+    ]);
+});
+
+test('optional sections are checked when present', () => {
+    const errors = validateScene(minimalScene({
+        timeStep: { adaptive: true, cfl: 5, maxSubsteps: 8, simTimePerSecond: 24 },
+        piston: { ...minimalScene().piston, profile: 'zigzag', keyframes: [[0, 100], [0, 120]] },
+        drains: [{ shape: 'box', center: [1, 2, 3], size: [1, 0, 1] }],
+    }), limits);
+    assert.deepEqual(errors, [
+        'piston.profile must be one of "sine", "square", "sawtooth", "solitary", "harmonics", "keyframes" (got "zigzag")',
+        'piston.keyframes must have increasing times (got [0,0])',
+        'timeStep.cfl must be between 0.01 and 2 (got 5)',
+        'drains[0].size must be positive on every axis (got [1,0,1])',
+    ]);
+});
+
+test('emitter lists are capped', () => {
+    const emitters = Array.from({ length: maxEmitters }, () => ({ ...emitter }));
+    assert.deepEqual(validateScene(minimalScene({ emitters }), limits), []);
+    assert.deepEqual(validateScene(minimalScene({ emitters: [...emitters, emitter] }), limits), [
+        `emitters must have at most ${maxEmitters} entries (got ${maxEmitters + 1})`,
+    ]);
+});
+
+test('camera path keyframes must be in time order', () => {
+    const keyframe = (time) => ({ time, easing: 'linear', pose: { ...pose } });
+    const path = (times) => minimalScene({ cameraPath: { loop: false, keyframes: times.map(keyframe) } });
+    assert.deepEqual(validateScene(path([0, 1, 2]), limits), []);
+    assert.deepEqual(validateScene(path([0, 2, 1]), limits), ['cameraPath.keyframes must have increasing times (got [0,2,1])']);
+});
+
+test('parseScene reports JSON and schema errors', () => {
+    assert.throws(() => parseScene('{', limits), /^Error: Scene file is not valid JSON/);
+    assert.throws(() => parseScene(serializeScene(minimalScene({ version: 99 })), limits),
+        /^Error: Scene file is invalid:\n- version must be/);
+});
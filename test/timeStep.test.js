@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chooseSubsteps, fixedSubsteps } from '../mls-mpm/timeStep.js';
+
+const limits = { cfl: 0.5, maxDt: 0.2, maxSubsteps: 8 };
+
+test('fixed stepping runs the given substeps whatever the frame took', () => {
+    assert.deepEqual(fixedSubsteps(2, 0.2), { substeps: 2, dt: 0.2, simTime: 0.4, cflLimited: false });
+    assert.deepEqual(fixedSubsteps(5, 0.1), { substeps: 5, dt: 0.1, simTime: 0.5, cflLimited: false });
+});
+
+test('a still fluid takes the fewest substeps of at most maxDt', () => {
+    const step = chooseSubsteps(0.4, 0, limits);
+    assert.equal(step.substeps, 2);
+    assert.equal(step.dt, 0.2);
+    assert.equal(step.simTime, 0.4);
+    assert.equal(step.cflLimited, false);
+});
+
+test('an exact multiple of maxDt does not round up to an extra substep', () => {
+    assert.equal(chooseSubsteps(0.6000000001, 0, limits).substeps, 3);
+});
+
+test('fast particles shorten the substeps to the CFL limit', () => {
+    // 0.5 cells at 10 cells per unit allows dt 0.05, so 0.4 units need eight substeps.
+    const step = chooseSubsteps(0.4, 10, limits);
+    assert.equal(step.substeps, 8);
+    assert.ok(Math.abs(step.dt - 0.05) < 1e-12);
+    assert.ok(Math.abs(step.simTime - 0.4) < 1e-12);
+    assert.equal(step.cflLimited, true);
+});
+
+test('running out of substeps simulates less time instead of breaking the limit', () => {
+    const step = chooseSubsteps(0.4, 20, limits);
+    assert.equal(step.substeps, 8);
+    assert.equal(step.dt, 0.025);
+    assert.equal(step.simTime, 0.2);
+    for (const speed of [20, 100, 1000]) {
+        const { dt } = chooseSubsteps(0.4, speed, limits);
+        assert.ok(dt * speed <= limits.cfl + 1e-12);
+    }
+});
+
+test('minSubsteps raises the count without passing maxSubsteps', () => {
+    const step = chooseSubsteps(0.4, 0, { ...limits, minSubsteps: 4 });
+    assert.equal(step.substeps, 4);
+    assert.ok(Math.abs(step.dt - 0.1) < 1e-12);
+    assert.equal(chooseSubsteps(0.4, 0, { ...limits, minSubsteps: 12 }).substeps, 8);
+});
+
+test('a speed that is not finite is ignored', () => {
+    for (const speed of [NaN, Infinity, -1]) {
+        const step = chooseSubsteps(0.4, speed, limits);
+        assert.equal(step.substeps, 2);
+        assert.equal(step.cflLimited, false);
+    }
+});
+
+test('a zero-length frame still takes one substep of no time', () => {
+    const step = chooseSubsteps(0, 0, limits);
+    assert.equal(step.substeps, 1);
+    assert.equal(step.simTime, 0);
+});
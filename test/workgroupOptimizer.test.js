@@ -0,0 +1,136 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    WorkgroupOptimizer,
+    adapterCacheKey,
+    recommendedWorkgroupSize,
+    supportedWorkgroupSizes,
+} from '../optimization/workgroupOptimizer.js';
+
+// Milliseconds each dispatch of a size-N pipeline takes on the stub GPU.
+const dispatchCost = { 32: 4, 64: 2, 128: 1, 256: 3 };
+
+// The benchmark reads performance.now(); finished stub work advances this clock
+// by the cost of every dispatch submitted since the last wait.
+const clock = { now: 0, pending: 0 };
+mock.method(performance, 'now', () => clock.now);
+
+// Enough of a GPUDevice for benchmarking.
+function stubDevice(limits = {}) {
+    return {
+        limits: { maxComputeInvocationsPerWorkgroup: 256, maxComputeWorkgroupSizeX: 256, maxComputeWorkgroupsPerDimension: 65535, ...limits },
+        createCommandEncoder: () => {
+            let pipeline = null;
+            return {
+                beginComputePass: () => ({
+                    setPipeline: (value) => { pipeline = value; },
+                    setBindGroup: () => {},
+                    dispatchWorkgroups: () => { clock.pending += dispatchCost[pipeline.size]; },
+                    end: () => {},
+                }),
+                finish: () => ({}),
+            };
+        },
+        queue: {
+            submit: () => {},
+            onSubmittedWorkDone: async () => {
+                clock.now += clock.pending;
+                clock.pending = 0;
+            },
+        },
+    };
+}
+
+function stubStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+}
+
+// Kernels whose pipelines record their size; `created` counts pipeline builds.
+function stubKernels(names) {
+    const created = [];
+    const kernels = names.map((name) => ({
+        name,
+        dispatchSize: 100000,
+        create: async (size) => {
+            created.push(`${name} ${size}`);
+            return { pipeline: { size }, bindGroup: {} };
+        },
+    }));
+    return { kernels, created };
+}
+
+function tuneWith(device, storage, adapterInfo, names = ['p2g_1', 'g2p'], options) {
+    const optimizer = new WorkgroupOptimizer(device, adapterInfo, storage);
+    const { kernels, created } = stubKernels(names);
+    return optimizer.tune(kernels, options).then((result) => ({ ...result, created, optimizer }));
+}
+
+const adapter = { vendor: 'stub', architecture: 'test', device: '1' };
+
+test('a cache miss measures every size and stores the fastest per adapter', async () => {
+    const storage = stubStorage();
+    const { sizes, fromCache, created, optimizer } = await tuneWith(stubDevice(), storage, adapter);
+    assert.equal(fromCache, false);
+    assert.deepEqual(sizes, { p2g_1: 128, g2p: 128 });
+    assert.equal(created.length, 8);
+    assert.deepEqual(JSON.parse(storage.getItem(adapterCacheKey(adapter))).sizes, sizes);
+    assert.equal(optimizer.timingSummary(['p2g_1', 'g2p']), '1.000 / 1.000');
+});
+
+test('a cache hit reuses the stored sizes without building pipelines', async () => {
+    const storage = stubStorage();
+    await tuneWith(stubDevice(), storage, adapter);
+    const { sizes, fromCache, created } = await tuneWith(stubDevice(), storage, adapter);
+    assert.equal(fromCache, true);
+    assert.deepEqual(sizes, { p2g_1: 128, g2p: 128 });
+    assert.equal(created.length, 0);
+});
+
+test('another adapter, a missing kernel or force measure again', async () => {
+    const storage = stubStorage();
+    await tuneWith(stubDevice(), storage, adapter);
+    assert.equal((await tuneWith(stubDevice(), storage, { ...adapter, device: '2' })).fromCache, false);
+    assert.equal((await tuneWith(stubDevice(), storage, adapter, ['p2g_1', 'g2p', 'clearGrid'])).fromCache, false);
+    assert.equal((await tuneWith(stubDevice(), storage, adapter, ['p2g_1', 'g2p'], { force: true })).fromCache, false);
+});
+
+test('clearCache forgets the stored sizes', async () => {
+    const storage = stubStorage();
+    const { optimizer } = await tuneWith(stubDevice(), storage, adapter);
+    optimizer.clearCache();
+    assert.equal(storage.getItem(adapterCacheKey(adapter)), null);
+    assert.equal(optimizer.timingSummary(['p2g_1']), '-');
+    assert.equal((await tuneWith(stubDevice(), storage, adapter)).fromCache, false);
+});
+
+test('sizes the device cannot launch are neither measured nor taken from the cache', async () => {
+    const storage = stubStorage();
+    await tuneWith(stubDevice(), storage, adapter);
+    const small = stubDevice({ maxComputeInvocationsPerWorkgroup: 64 });
+    const { sizes, fromCache, created } = await tuneWith(small, storage, adapter);
+    assert.equal(fromCache, false);
+    assert.deepEqual(sizes, { p2g_1: 64, g2p: 64 });
+    assert.ok(created.every((label) => /\b(32|64)$/.test(label)));
+    assert.deepEqual(supportedWorkgroupSizes(small.limits), [32, 64]);
+});
+
+test('storage that throws or is missing does not stop tuning or clearing', async () => {
+    const denied = () => { throw new Error('denied'); };
+    const broken = { getItem: denied, setItem: denied, removeItem: denied };
+    for (const storage of [broken, null]) {
+        const { fromCache, optimizer } = await tuneWith(stubDevice(), storage, adapter);
+        assert.equal(fromCache, false);
+        assert.doesNotThrow(() => optimizer.clearCache());
+        assert.equal(optimizer.timingSummary(['p2g_1']), '-');
+    }
+});
+
+test('recommended sizes grow with the dispatch size', () => {
+    assert.deepEqual([500, 5000, 50000, 500000].map(recommendedWorkgroupSize), [32, 64, 128, 256]);
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZipWriter, crc32 } from '../recording/zipWriter.js';
+
+async function finishBytes(zip) {
+    return new DataView(await zip.finish().arrayBuffer());
+}
+
+// Reads the end of central directory record, following the ZIP64 locator when present.
+function readEnd(view) {
+    const end = view.byteLength - 22;
+    assert.equal(view.getUint32(end, true), 0x06054b50);
+    const result = {
+        count: view.getUint16(end + 10, true),
+        centralSize: view.getUint32(end + 12, true),
+        centralOffset: view.getUint32(end + 16, true),
+        zip64: null,
+    };
+    const locator = end - 20;
+    if (locator >= 0 && view.getUint32(locator, true) === 0x07064b50) {
+        const record = Number(view.getBigUint64(locator + 8, true));
+        assert.equal(view.getUint32(record, true), 0x06064b50);
+        result.zip64 = {
+            count: Number(view.getBigUint64(record + 32, true)),
+            centralSize: Number(view.getBigUint64(record + 40, true)),
+            centralOffset: Number(view.getBigUint64(record + 48, true)),
+        };
+    }
+    return result;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xcbf43926);
+});
+
+test('small archives use the classic records and store each entry as given', async () => {
+    const zip = new ZipWriter();
+    await zip.add('a.txt', new TextEncoder().encode('hello'));
+    await zip.add('b.bin', new Blob([new Uint8Array([1, 2, 3])]));
+    const view = await finishBytes(zip);
+    const end = readEnd(view);
+
+    assert.equal(end.zip64, null);
+    assert.equal(end.count, 2);
+    assert.equal(end.centralOffset, zip.offset);
+    assert.equal(view.getUint32(end.centralOffset, true), 0x02014b50);
+    assert.equal(view.getUint32(end.centralOffset + 20, true), 5);
+    assert.equal(view.getUint16(end.centralOffset + 30, true), 0);
+
+    // The second local header follows the first entry's name and data.
+    const second = 30 + 'a.txt'.length + 5;
+    assert.equal(view.getUint32(second, true), 0x04034b50);
+    assert.deepEqual([...new Uint8Array(view.buffer, second + 30 + 'b.bin'.length, 3)], [1, 2, 3]);
+});
+
+test('more than 65535 entries are counted in a ZIP64 end record', async () => {
+    const zip = new ZipWriter();
+    const empty = new Uint8Array(0);
+    for (let i = 0; i < 65536; i++) {
+        await zip.add(String(i), empty);
+    }
+    const end = readEnd(await finishBytes(zip));
+
+    assert.equal(end.count, 0xffff);
+    assert.deepEqual(end.zip64, { count: 65536, centralSize: end.centralSize, centralOffset: zip.offset });
+});
+
+test('offsets past 4 GiB move into ZIP64 extra fields', async () => {
+    const zip = new ZipWriter();
+    await zip.add('first', new Uint8Array(1));
+    // Stand in for 4 GiB of earlier frames without allocating them.
+    zip.entries[0].offset = 2 ** 32 + 7;
+    const view = await finishBytes(zip);
+
+    const record = 30 + 'first'.length + 1;
+    assert.equal(view.getUint32(record, true), 0x02014b50);
+    assert.equal(view.getUint16(record + 4, true), 45);
+    assert.equal(view.getUint16(record + 30, true), 12);
+    assert.equal(view.getUint32(record + 42, true), 0xffffffff);
+    const extra = record + 46 + 'first'.length;
+    assert.equal(view.getUint16(extra, true), 0x0001);
+    assert.equal(view.getUint16(extra + 2, true), 8);
+    assert.equal(Number(view.getBigUint64(extra + 4, true)), 2 ** 32 + 7);
+});